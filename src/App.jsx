@@ -9,6 +9,13 @@ import SkillTracker from "./pages/SkillTracker";
 import CompanyTracker from "./pages/CompanyTracker";
 import Resources from "./pages/Resources";
 import Profile from "./pages/Profile";
+import Applications from "./pages/Applications";
+import Settings from "./pages/Settings";
+import ResumeBuilder from "./pages/ResumeBuilder";
+import Roadmap from "./pages/Roadmap";
+import Calendar from "./pages/Calendar";
+import MockInterview from "./pages/MockInterview";
+import PracticeLog from "./pages/PracticeLog";
 
 export default function App() {
   return (
@@ -26,6 +33,11 @@ export default function App() {
             <Layout><JobBoard /></Layout>
           </ProtectedRoute>
         } />
+        <Route path="/applications" element={
+          <ProtectedRoute>
+            <Layout><Applications /></Layout>
+          </ProtectedRoute>
+        } />
         <Route path="/analyzer" element={
           <ProtectedRoute>
             <Layout><JDAnalyzer /></Layout>
@@ -36,11 +48,31 @@ export default function App() {
             <Layout><SkillTracker /></Layout>
           </ProtectedRoute>
         } />
+        <Route path="/roadmap" element={
+          <ProtectedRoute>
+            <Layout><Roadmap /></Layout>
+          </ProtectedRoute>
+        } />
         <Route path="/companies" element={
           <ProtectedRoute>
             <Layout><CompanyTracker /></Layout>
           </ProtectedRoute>
         } />
+        <Route path="/calendar" element={
+          <ProtectedRoute>
+            <Layout><Calendar /></Layout>
+          </ProtectedRoute>
+        } />
+        <Route path="/mock" element={
+          <ProtectedRoute>
+            <Layout><MockInterview /></Layout>
+          </ProtectedRoute>
+        } />
+        <Route path="/practice" element={
+          <ProtectedRoute>
+            <Layout><PracticeLog /></Layout>
+          </ProtectedRoute>
+        } />
         <Route path="/resources" element={
           <ProtectedRoute>
             <Layout><Resources /></Layout>
@@ -51,6 +83,16 @@ export default function App() {
             <Layout><Profile /></Layout>
           </ProtectedRoute>
         } />
+        <Route path="/resume" element={
+          <ProtectedRoute>
+            <Layout><ResumeBuilder /></Layout>
+          </ProtectedRoute>
+        } />
+        <Route path="/settings" element={
+          <ProtectedRoute>
+            <Layout><Settings /></Layout>
+          </ProtectedRoute>
+        } />
       </Routes>
     </BrowserRouter>
   );
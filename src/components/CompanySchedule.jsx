@@ -0,0 +1,169 @@
+import { useState } from "react";
+import { ROUND_TYPES, ROUND_OUTCOMES, getCompanyEvents, downloadICS } from "../utils/calendar";
+
+const EMPTY_ROUND = { type: ROUND_TYPES[0], date: "", interviewer: "", outcome: "Pending", notes: "" };
+
+// Deadline, OA date and interview rounds for one company tracker
+export default function CompanySchedule({ companyKey, company, onUpdate }) {
+  const [draft, setDraft] = useState(null);
+  const rounds = company.rounds || [];
+
+  const saveRound = () => {
+    if (!draft.date) return;
+    const updated = draft.id
+      ? rounds.map(r => (r.id === draft.id ? draft : r))
+      : [...rounds, { ...draft, id: Date.now().toString() }];
+    onUpdate({ rounds: updated.sort((a, b) => a.date.localeCompare(b.date)) });
+    setDraft(null);
+  };
+
+  const updateRound = (id, changes) => {
+    onUpdate({ rounds: rounds.map(r => (r.id === id ? { ...r, ...changes } : r)) });
+  };
+
+  const events = getCompanyEvents({ [companyKey]: company });
+
+  return (
+    <div style={scheduleZone}>
+      <div style={dateRow}>
+        <label style={fieldGroup}>
+          <span style={labelStyle}>Application Deadline</span>
+          <input type="date" style={inputStyle} value={company.deadline || ""} onChange={(e) => onUpdate({ deadline: e.target.value })} />
+        </label>
+        <label style={fieldGroup}>
+          <span style={labelStyle}>Online Assessment</span>
+          <input type="datetime-local" style={inputStyle} value={company.oaDate || ""} onChange={(e) => onUpdate({ oaDate: e.target.value })} />
+        </label>
+      </div>
+
+      <div style={roundsHeader}>
+        <span style={labelStyle}>Interview Rounds ({rounds.length})</span>
+        <div style={rowActions}>
+          {events.length > 0 && (
+            <button style={linkBtn} onClick={() => downloadICS(events, `${company.name || companyKey}-interviews`)}>Export .ics</button>
+          )}
+          {!draft && <button style={linkBtn} onClick={() => setDraft(EMPTY_ROUND)}>+ Add round</button>}
+        </div>
+      </div>
+
+      {rounds.map(round => (
+        <div key={round.id} style={roundCard}>
+          <div style={roundTop}>
+            <strong>{round.type}</strong>
+            <span style={mutedText}>{new Date(round.date).toLocaleString([], { dateStyle: "medium", timeStyle: "short" })}</span>
+          </div>
+          {round.interviewer && <span style={mutedText}>with {round.interviewer}</span>}
+          {round.notes && <p style={notesText}>{round.notes}</p>}
+          <div style={roundTop}>
+            <select style={outcomeSelect(round.outcome)} value={round.outcome} onChange={(e) => updateRound(round.id, { outcome: e.target.value })}>
+              {ROUND_OUTCOMES.map(o => <option key={o} value={o}>{o}</option>)}
+            </select>
+            <div style={rowActions}>
+              <button style={linkBtn} onClick={() => setDraft(round)}>Edit</button>
+              <button style={{ ...linkBtn, color: "hsl(var(--danger))" }} onClick={() => onUpdate({ rounds: rounds.filter(r => r.id !== round.id) })}>
+                Remove
+              </button>
+            </div>
+          </div>
+        </div>
+      ))}
+
+      {draft && (
+        <div style={roundCard}>
+          <div style={dateRow}>
+            <select style={inputStyle} value={draft.type} onChange={(e) => setDraft({ ...draft, type: e.target.value })}>
+              {ROUND_TYPES.map(t => <option key={t} value={t}>{t}</option>)}
+            </select>
+            <input type="datetime-local" style={inputStyle} value={draft.date} onChange={(e) => setDraft({ ...draft, date: e.target.value })} />
+          </div>
+          <input style={inputStyle} placeholder="Interviewer" value={draft.interviewer} onChange={(e) => setDraft({ ...draft, interviewer: e.target.value })} />
+          <textarea
+            style={{ ...inputStyle, minHeight: "60px", resize: "vertical" }}
+            placeholder="Notes (topics, questions asked, follow-ups)"
+            value={draft.notes}
+            onChange={(e) => setDraft({ ...draft, notes: e.target.value })}
+          />
+          <div style={rowActions}>
+            <button style={saveBtn} onClick={saveRound} disabled={!draft.date}>Save Round</button>
+            <button style={linkBtn} onClick={() => setDraft(null)}>Cancel</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Styles
+const scheduleZone = { display: "flex", flexDirection: "column", gap: "12px" };
+const dateRow = { display: "flex", gap: "10px", flexWrap: "wrap" };
+const fieldGroup = { flex: 1, minWidth: "140px", display: "flex", flexDirection: "column", gap: "6px" };
+
+const labelStyle = {
+  fontSize: "11px",
+  fontWeight: "700",
+  textTransform: "uppercase",
+  color: "hsl(var(--text-muted))",
+};
+
+const inputStyle = {
+  flex: 1,
+  padding: "8px 10px",
+  borderRadius: "8px",
+  background: "hsla(var(--bg-page) / 0.8)",
+  color: "white",
+  border: "1px solid hsla(var(--border-glass))",
+  fontSize: "13px",
+  outline: "none",
+  colorScheme: "dark",
+};
+
+const roundsHeader = { display: "flex", justifyContent: "space-between", alignItems: "center" };
+const rowActions = { display: "flex", gap: "12px", alignItems: "center" };
+
+const roundCard = {
+  display: "flex",
+  flexDirection: "column",
+  gap: "8px",
+  padding: "12px",
+  borderRadius: "10px",
+  background: "hsla(var(--text-main) / 0.03)",
+  border: "1px solid hsla(var(--border-glass))",
+  fontSize: "13px",
+};
+
+const roundTop = { display: "flex", justifyContent: "space-between", alignItems: "center", gap: "8px" };
+const mutedText = { fontSize: "12px", color: "hsl(var(--text-muted))" };
+const notesText = { fontSize: "12px", color: "hsl(var(--text-dim))", whiteSpace: "pre-wrap" };
+
+const OUTCOME_COLORS = { Pending: "--text-dim", Passed: "--success", Failed: "--danger", Cancelled: "--text-muted" };
+
+const outcomeSelect = (outcome) => ({
+  padding: "4px 8px",
+  borderRadius: "100px",
+  background: "hsla(var(--bg-page) / 0.8)",
+  color: `hsl(var(${OUTCOME_COLORS[outcome] || "--text-dim"}))`,
+  border: "1px solid hsla(var(--border-glass))",
+  fontSize: "11px",
+  fontWeight: "700",
+});
+
+const linkBtn = {
+  background: "none",
+  border: "none",
+  color: "hsl(var(--accent))",
+  fontSize: "12px",
+  fontWeight: "700",
+  cursor: "pointer",
+  padding: 0,
+};
+
+const saveBtn = {
+  padding: "8px 16px",
+  borderRadius: "8px",
+  border: "none",
+  background: "hsl(var(--primary))",
+  color: "white",
+  fontSize: "12px",
+  fontWeight: "700",
+  cursor: "pointer",
+};
@@ -0,0 +1,270 @@
+import { useState } from "react";
+import { getData } from "../utils/storage";
+import {
+  BACKUP_FREQUENCIES,
+  MAX_BACKUPS,
+  CSV_EXPORTS,
+  downloadBundle,
+  downloadCSV,
+  validateBundle,
+  importBundle,
+  getBackups,
+  createBackup,
+  deleteBackup,
+  getBackupSettings,
+  setBackupFrequency,
+} from "../utils/backup";
+
+const formatSummary = (summary) => Object.entries(summary)
+  .map(([key, { added, duplicates }]) => `${key}: ${added} added${duplicates ? `, ${duplicates} already present` : ""}`)
+  .join(" • ");
+
+// Export, import and local backups of every synced key, shown on the Profile page
+export default function DataManager() {
+  const [backups, setBackups] = useState(getBackups);
+  const [settings, setSettings] = useState(getBackupSettings);
+  const [pending, setPending] = useState(null);
+  const [mode, setMode] = useState("merge");
+  const [confirmRestore, setConfirmRestore] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const readImportFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      let bundle;
+      try {
+        bundle = JSON.parse(reader.result);
+      } catch {
+        setPending({ fileName: file.name, bundle: null, result: { valid: false, errors: ["The file isn't valid JSON."], warnings: [], counts: {} } });
+        return;
+      }
+      setPending({ fileName: file.name, bundle, result: validateBundle(bundle) });
+    };
+    reader.readAsText(file);
+  };
+
+  // Imports can run out of storage partway; the "Before import" backup still has the previous data
+  const importFailed = (err) => ({
+    ok: false,
+    text: `Import stopped partway: ${err.message}. Restore the "Before import" backup to undo the sections already written.`,
+  });
+
+  const applyImport = () => {
+    try {
+      const summary = importBundle(pending.bundle, mode);
+      setMessage({ ok: true, text: `Import complete. ${formatSummary(summary)}` });
+    } catch (err) {
+      setMessage(importFailed(err));
+    }
+    setBackups(getBackups());
+    setPending(null);
+  };
+
+  const restoreBackup = (backup) => {
+    try {
+      importBundle(backup.bundle, "replace");
+      setMessage({ ok: true, text: `Restored the backup from ${new Date(backup.createdAt).toLocaleString()}.` });
+    } catch (err) {
+      setMessage(importFailed(err));
+    }
+    setBackups(getBackups());
+    setConfirmRestore(null);
+  };
+
+  const exportCSV = (key) => {
+    if (!downloadCSV(key)) setMessage({ ok: false, text: `There's no ${CSV_EXPORTS[key].label.toLowerCase()} data to export yet.` });
+  };
+
+  return (
+    <div className="glass-card" style={dataCard}>
+      <div style={sectionBlock}>
+        <span style={sectionLabel}>Export</span>
+        <button style={primaryBtn} onClick={() => downloadBundle()}>⬇️ Download Full Backup (JSON)</button>
+        <div style={chipRow}>
+          {Object.entries(CSV_EXPORTS).map(([key, { label }]) => (
+            <button key={key} style={chipBtn} onClick={() => exportCSV(key)} disabled={!getData(key)}>
+              {label} CSV
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div style={sectionBlock}>
+        <span style={sectionLabel}>Import</span>
+        <label style={secondaryBtn}>
+          📂 Choose Backup File
+          <input type="file" accept=".json,application/json" style={{ display: "none" }} onChange={readImportFile} />
+        </label>
+        {pending && (
+          <div style={previewBox}>
+            <strong>{pending.fileName}</strong>
+            {pending.result.errors.map(err => <span key={err} style={errorText}>✕ {err}</span>)}
+            {pending.result.warnings.map(w => <span key={w} style={warningText}>⚠ {w}</span>)}
+            {pending.result.valid && (
+              <>
+                <span style={mutedText}>
+                  {Object.entries(pending.result.counts).map(([key, count]) => `${key} (${count})`).join(", ") || "No data sections"}
+                </span>
+                <div style={chipRow}>
+                  {[
+                    { value: "merge", label: "Merge", hint: "Keep your data and add anything new" },
+                    { value: "replace", label: "Replace", hint: "Replace all your data with the file's" },
+                  ].map(option => (
+                    <label key={option.value} style={radioLabel} title={option.hint}>
+                      <input type="radio" name="import-mode" checked={mode === option.value} onChange={() => setMode(option.value)} />
+                      {option.label} <span style={mutedText}>— {option.hint}</span>
+                    </label>
+                  ))}
+                </div>
+              </>
+            )}
+            <div style={chipRow}>
+              {pending.result.valid && <button style={primaryBtn} onClick={applyImport}>Import</button>}
+              <button style={chipBtn} onClick={() => setPending(null)}>Cancel</button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      <div style={sectionBlock}>
+        <div style={rowBetween}>
+          <span style={sectionLabel}>Local Backups</span>
+          <select
+            style={selectStyle}
+            value={settings.frequency}
+            onChange={(e) => setSettings(setBackupFrequency(e.target.value))}
+          >
+            {Object.entries(BACKUP_FREQUENCIES).map(([value, label]) => <option key={value} value={value}>Automatic: {label}</option>)}
+          </select>
+        </div>
+        <p style={mutedText}>The last {MAX_BACKUPS} backups are kept on this device, plus one taken before the latest import.</p>
+        <button style={secondaryBtn} onClick={() => setBackups(createBackup("Manual"))}>Back Up Now</button>
+        {backups.map(backup => (
+          <div key={backup.id} style={backupRow}>
+            <div style={backupInfo}>
+              <span>{new Date(backup.createdAt).toLocaleString()}</span>
+              <span style={mutedText}>{backup.reason} • {Object.keys(backup.bundle.data).length} sections</span>
+            </div>
+            <div style={chipRow}>
+              <button style={linkBtn} onClick={() => downloadBundle(backup.bundle)}>Download</button>
+              {confirmRestore === backup.id ? (
+                <button style={{ ...linkBtn, color: "hsl(var(--danger))" }} onClick={() => restoreBackup(backup)}>Confirm restore</button>
+              ) : (
+                <button style={linkBtn} onClick={() => setConfirmRestore(backup.id)}>Restore</button>
+              )}
+              <button style={{ ...linkBtn, color: "hsl(var(--text-muted))" }} onClick={() => setBackups(deleteBackup(backup.id))}>Delete</button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {message && <p style={message.ok ? successText : errorText}>{message.text}</p>}
+    </div>
+  );
+}
+
+// Styles
+const dataCard = {
+  padding: "32px",
+  display: "flex",
+  flexDirection: "column",
+  gap: "28px",
+  border: "1px solid hsla(var(--border-glass))",
+};
+
+const sectionBlock = { display: "flex", flexDirection: "column", gap: "12px" };
+const rowBetween = { display: "flex", justifyContent: "space-between", alignItems: "center", gap: "12px" };
+const chipRow = { display: "flex", gap: "8px", flexWrap: "wrap", alignItems: "center" };
+
+const sectionLabel = {
+  fontSize: "10px",
+  fontWeight: "800",
+  color: "hsl(var(--text-muted))",
+  textTransform: "uppercase",
+};
+
+const mutedText = { fontSize: "12px", color: "hsl(var(--text-muted))" };
+const errorText = { fontSize: "13px", color: "hsl(var(--danger))" };
+const warningText = { fontSize: "13px", color: "hsl(var(--warning))" };
+const successText = { fontSize: "13px", color: "hsl(var(--success))" };
+
+const primaryBtn = {
+  padding: "12px 16px",
+  borderRadius: "12px",
+  background: "hsl(var(--primary))",
+  color: "white",
+  fontWeight: "800",
+  fontSize: "13px",
+  border: "none",
+  cursor: "pointer",
+};
+
+const secondaryBtn = {
+  padding: "12px 16px",
+  borderRadius: "12px",
+  background: "hsla(var(--text-main) / 0.05)",
+  color: "white",
+  fontWeight: "800",
+  fontSize: "13px",
+  border: "1px solid hsla(var(--border-glass))",
+  cursor: "pointer",
+  textAlign: "center",
+};
+
+const chipBtn = {
+  padding: "6px 12px",
+  borderRadius: "100px",
+  background: "transparent",
+  color: "hsl(var(--text-dim))",
+  border: "1px solid hsla(var(--border-glass))",
+  fontSize: "12px",
+  fontWeight: "700",
+  cursor: "pointer",
+};
+
+const selectStyle = {
+  padding: "6px 10px",
+  borderRadius: "8px",
+  background: "hsla(var(--bg-page) / 0.8)",
+  color: "white",
+  border: "1px solid hsla(var(--border-glass))",
+  fontSize: "12px",
+};
+
+const previewBox = {
+  display: "flex",
+  flexDirection: "column",
+  gap: "8px",
+  padding: "16px",
+  borderRadius: "12px",
+  background: "hsla(var(--text-main) / 0.03)",
+  border: "1px solid hsla(var(--border-glass))",
+  fontSize: "13px",
+};
+
+const radioLabel = { display: "flex", alignItems: "center", gap: "6px", fontSize: "13px", cursor: "pointer" };
+
+const backupRow = {
+  display: "flex",
+  justifyContent: "space-between",
+  alignItems: "center",
+  gap: "12px",
+  padding: "10px 0",
+  borderTop: "1px solid hsla(var(--border-glass))",
+  fontSize: "13px",
+};
+
+const backupInfo = { display: "flex", flexDirection: "column", gap: "2px" };
+
+const linkBtn = {
+  background: "none",
+  border: "none",
+  color: "hsl(var(--accent))",
+  fontSize: "12px",
+  fontWeight: "700",
+  cursor: "pointer",
+  padding: 0,
+};
@@ -0,0 +1,108 @@
+import { useEffect, useState } from "react";
+import {
+  BREAK_MINUTES,
+  getActiveTimer,
+  getRemaining,
+  onTimerChange,
+  togglePauseTimer,
+  stopStudyTimer,
+  advanceTimer,
+} from "../utils/studyTimer";
+
+const formatClock = (ms) => {
+  const seconds = Math.ceil(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+};
+
+// Floating Pomodoro timer shown on every page while a study session is running
+export default function FocusTimer() {
+  const [timer, setTimer] = useState(getActiveTimer);
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => onTimerChange(() => {
+    setTimer(getActiveTimer());
+    setNow(Date.now());
+  }), []);
+
+  useEffect(() => {
+    if (!timer || timer.pausedRemaining !== null) return undefined;
+    const id = setInterval(() => {
+      const current = Date.now();
+      setNow(current);
+      advanceTimer(current);
+    }, 1000);
+    return () => clearInterval(id);
+  }, [timer]);
+
+  if (!timer) return null;
+
+  const remaining = getRemaining(timer, now);
+  const onBreak = timer.phase === "break";
+
+  return (
+    <div className="glass-card animate-fade-in" style={timerCard(onBreak)}>
+      <div style={timerInfo}>
+        <span style={phaseLabel(onBreak)}>{onBreak ? `Break • ${BREAK_MINUTES} min` : "Focus"}</span>
+        <span style={skillLabel} title={timer.resource?.title}>{timer.skill}</span>
+        {timer.resource && (
+          <a href={timer.resource.url} target="_blank" rel="noreferrer" style={resourceLink}>{timer.resource.title}</a>
+        )}
+      </div>
+      <span style={clock}>{formatClock(remaining)}</span>
+      <div style={controls}>
+        <button style={controlBtn} onClick={togglePauseTimer} title={timer.pausedRemaining !== null ? "Resume" : "Pause"}>
+          {timer.pausedRemaining !== null ? "▶" : "⏸"}
+        </button>
+        <button style={controlBtn} onClick={stopStudyTimer} title={onBreak ? "Skip break" : "Stop and log"}>⏹</button>
+      </div>
+    </div>
+  );
+}
+
+// Styles
+const timerCard = (onBreak) => ({
+  position: "fixed",
+  right: "24px",
+  bottom: "24px",
+  zIndex: 1050,
+  padding: "14px 18px",
+  display: "flex",
+  alignItems: "center",
+  gap: "16px",
+  maxWidth: "360px",
+  border: `1px solid hsla(var(${onBreak ? "--success" : "--primary"}) / 0.4)`,
+  boxShadow: "0 12px 32px -8px rgba(0, 0, 0, 0.5)",
+});
+
+const timerInfo = { display: "flex", flexDirection: "column", gap: "2px", minWidth: 0 };
+
+const phaseLabel = (onBreak) => ({
+  fontSize: "11px",
+  fontWeight: "800",
+  textTransform: "uppercase",
+  letterSpacing: "0.1em",
+  color: onBreak ? "hsl(var(--success))" : "hsl(var(--primary))",
+});
+
+const skillLabel = { fontWeight: "700", fontSize: "14px", overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" };
+
+const resourceLink = {
+  fontSize: "12px",
+  color: "hsl(var(--accent))",
+  overflow: "hidden",
+  textOverflow: "ellipsis",
+  whiteSpace: "nowrap",
+};
+
+const clock = { fontSize: "26px", fontWeight: "800", fontVariantNumeric: "tabular-nums" };
+const controls = { display: "flex", gap: "6px" };
+
+const controlBtn = {
+  width: "34px",
+  height: "34px",
+  borderRadius: "50%",
+  border: "1px solid hsla(var(--border-glass))",
+  background: "hsla(var(--text-main) / 0.05)",
+  color: "white",
+  cursor: "pointer",
+};
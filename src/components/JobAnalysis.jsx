@@ -0,0 +1,149 @@
+import { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { extractSkills } from "../utils/aiApi";
+import { collections } from "../utils/storage";
+import { useCollection } from "../hooks/useCollection";
+import { calculateReadiness, getStatusInfo } from "../utils/readiness";
+
+export default function JobAnalysis({ job }) {
+  const navigate = useNavigate();
+  const analysis = useCollection(collections.jobAnalyses)[job.id] || null;
+  const trackedSkills = useCollection(collections.skills);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleAnalyze = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const extracted = await extractSkills(job.description);
+      const record = { skills: extracted, analyzedDate: new Date().toISOString() };
+      collections.jobAnalyses.set({ ...collections.jobAnalyses.get(), [job.id]: record });
+    } catch (err) {
+      setError(err.message || "Failed to analyze this job.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!analysis) {
+    return (
+      <div style={analysisZone}>
+        <button style={analyzeBtn} onClick={handleAnalyze} disabled={loading}>
+          {loading ? "Analyzing..." : "Analyze this job 🔍"}
+        </button>
+        {error && <p style={errorStyle}>{error}</p>}
+      </div>
+    );
+  }
+
+  const skillNames = Object.values(analysis.skills).flat();
+  const readiness = calculateReadiness(skillNames, trackedSkills);
+  const status = getStatusInfo(readiness);
+
+  return (
+    <div className="animate-fade-in" style={analysisZone}>
+      <div style={readinessRow}>
+        <span style={readinessBadge(status.color)}>{readiness}% ready • {status.label}</span>
+        <button style={linkBtn} onClick={handleAnalyze} disabled={loading}>
+          {loading ? "Re-analyzing..." : "Re-analyze"}
+        </button>
+      </div>
+      {Object.entries(analysis.skills).map(([category, list]) => (
+        <div key={category} style={categoryRow}>
+          <span style={categoryTitle}>{category}</span>
+          <div style={skillCloud}>
+            {list.map(name => {
+              const learned = trackedSkills.find(s => s.name === name)?.learned;
+              return <span key={name} style={skillTag(learned)}>{name}</span>;
+            })}
+          </div>
+        </div>
+      ))}
+      <button
+        style={trackBtn}
+        onClick={() => navigate("/companies", { state: { company: job.company, role: job.title, skills: skillNames, jd: job.description } })}
+      >
+        Create Company Tracker →
+      </button>
+      {error && <p style={errorStyle}>{error}</p>}
+    </div>
+  );
+}
+
+// Styles
+const analysisZone = {
+  display: "flex",
+  flexDirection: "column",
+  gap: "12px",
+  paddingTop: "16px",
+  borderTop: "1px solid hsla(var(--border-glass))",
+};
+
+const analyzeBtn = {
+  padding: "10px 20px",
+  borderRadius: "100px",
+  border: "1px solid hsla(var(--accent) / 0.4)",
+  background: "hsla(var(--accent) / 0.1)",
+  color: "hsl(var(--accent))",
+  fontWeight: "700",
+  fontSize: "12px",
+  cursor: "pointer",
+  alignSelf: "flex-start",
+};
+
+const readinessRow = { display: "flex", justifyContent: "space-between", alignItems: "center", gap: "12px" };
+
+const readinessBadge = (color) => ({
+  fontSize: "11px",
+  fontWeight: "800",
+  textTransform: "uppercase",
+  padding: "4px 10px",
+  borderRadius: "100px",
+  color,
+  border: `1px solid ${color}`,
+});
+
+const linkBtn = {
+  background: "none",
+  border: "none",
+  color: "hsl(var(--text-muted))",
+  fontSize: "12px",
+  fontWeight: "700",
+  cursor: "pointer",
+};
+
+const categoryRow = { display: "flex", flexDirection: "column", gap: "6px" };
+
+const categoryTitle = {
+  fontSize: "11px",
+  fontWeight: "800",
+  textTransform: "uppercase",
+  letterSpacing: "0.1em",
+  color: "hsl(var(--accent))",
+};
+
+const skillCloud = { display: "flex", flexWrap: "wrap", gap: "6px" };
+
+const skillTag = (learned) => ({
+  fontSize: "12px",
+  padding: "4px 10px",
+  borderRadius: "100px",
+  background: learned ? "hsla(var(--success) / 0.15)" : "hsla(var(--text-main) / 0.05)",
+  color: learned ? "hsl(var(--success))" : "hsl(var(--text-dim))",
+  border: `1px solid ${learned ? 'hsla(var(--success) / 0.3)' : 'hsla(var(--border-glass))'}`,
+});
+
+const trackBtn = {
+  padding: "10px 20px",
+  borderRadius: "100px",
+  background: "hsl(var(--primary))",
+  color: "white",
+  border: "none",
+  fontWeight: "700",
+  fontSize: "12px",
+  cursor: "pointer",
+  alignSelf: "flex-start",
+};
+
+const errorStyle = { color: "hsl(var(--danger))", fontSize: "13px" };
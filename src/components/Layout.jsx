@@ -1,6 +1,15 @@
+import { useEffect } from "react";
 import Navbar from "./Navbar";
+import FocusTimer from "./FocusTimer";
+import UndoToast from "./UndoToast";
+import { runScheduledBackup } from "../utils/backup";
 
 export default function Layout({ children }) {
+  // Every page renders inside Layout; this is a no-op until the backup interval has passed
+  useEffect(() => {
+    runScheduledBackup();
+  }, []);
+
   return (
     <div style={layoutWrapper}>
       {/* Background Decorations */}
@@ -11,6 +20,8 @@ export default function Layout({ children }) {
       <main style={mainContainer}>
         {children}
       </main>
+      <FocusTimer />
+      <UndoToast />
     </div>
   );
 }
@@ -1,6 +1,7 @@
 import { Link, useNavigate, useLocation } from "react-router-dom";
 import { useAuth } from "../context/AuthContext";
 import { useState, useEffect } from "react";
+import { subscribeSyncStatus } from "../utils/storage";
 
 export default function Navbar() {
   const { user } = useAuth();
@@ -9,6 +10,7 @@ export default function Navbar() {
   const [isMenuOpen, setIsMenuOpen] = useState(false);
   const [scrolled, setScrolled] = useState(false);
   const [imgError, setImgError] = useState(false);
+  const [syncStatus, setSyncStatus] = useState("idle");
 
   useEffect(() => {
     const handleScroll = () => setScrolled(window.scrollY > 20);
@@ -16,11 +18,18 @@ export default function Navbar() {
     return () => window.removeEventListener("scroll", handleScroll);
   }, []);
 
+  useEffect(() => subscribeSyncStatus(setSyncStatus), []);
+
   const navLinks = [
     { name: "Dashboard", path: "/dashboard" },
     { name: "Skills", path: "/skills" },
+    { name: "Practice", path: "/practice" },
+    { name: "Roadmap", path: "/roadmap" },
     { name: "Companies", path: "/companies" },
+    { name: "Mock", path: "/mock" },
+    { name: "Applications", path: "/applications" },
     { name: "Resources", path: "/resources" },
+    { name: "Resume", path: "/resume" },
   ];
 
   const isActive = (path) => location.pathname === path;
@@ -51,6 +60,10 @@ export default function Navbar() {
 
         {/* Profile & Actions */}
         <div style={actionSection}>
+          <div style={syncIndicator} title={SYNC_LABELS[syncStatus]}>
+            <span style={syncDot(syncStatus)}></span>
+            <span className="desktop-only">{SYNC_LABELS[syncStatus]}</span>
+          </div>
           <div 
             style={profileWrapper} 
             onClick={() => navigate("/profile")}
@@ -89,6 +102,15 @@ export default function Navbar() {
   );
 }
 
+const SYNC_LABELS = {
+  idle: "Local only",
+  syncing: "Syncing...",
+  synced: "Synced",
+  offline: "Offline",
+  error: "Sync error",
+  tooLarge: "Too large to sync",
+};
+
 // Styles
 const navWrapper = (scrolled) => ({
   position: "fixed",
@@ -173,6 +195,30 @@ const actionSection = {
   gap: "12px",
 };
 
+const syncIndicator = {
+  display: "flex",
+  alignItems: "center",
+  gap: "8px",
+  fontSize: "12px",
+  fontWeight: "600",
+  color: "hsl(var(--text-muted))",
+};
+
+const syncDot = (status) => {
+  const color = status === "synced" ? "var(--success)"
+    : status === "syncing" ? "var(--accent)"
+    : status === "error" || status === "tooLarge" ? "var(--danger)"
+    : status === "offline" ? "var(--warning)"
+    : "var(--text-muted)";
+  return {
+    width: "8px",
+    height: "8px",
+    borderRadius: "50%",
+    background: `hsl(${color})`,
+    boxShadow: `0 0 8px hsla(${color} / 0.6)`,
+  };
+};
+
 const profileWrapper = {
   cursor: "pointer",
   transition: "var(--transition-spring)",
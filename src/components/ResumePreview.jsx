@@ -0,0 +1,148 @@
+// eslint-disable-next-line react-refresh/only-export-components
+export const RESUME_TEMPLATES = {
+  modern: { label: "Modern", accent: "#6D28D9", font: "'Inter', system-ui, sans-serif", headingFont: "'Outfit', sans-serif", align: "left" },
+  classic: { label: "Classic", accent: "#111827", font: "Georgia, 'Times New Roman', serif", headingFont: "Georgia, serif", align: "center" },
+  compact: { label: "Compact", accent: "#059669", font: "'Inter', system-ui, sans-serif", headingFont: "'Inter', sans-serif", align: "left", dense: true },
+};
+
+const formatRange = (start, end) => [start, end || (start ? "Present" : "")].filter(Boolean).join(" – ");
+
+// Printable A4 page rendered from a JSON Resume document; the ref is what react-to-print captures
+export default function ResumePreview({ resume, template = "modern", ref }) {
+  const t = RESUME_TEMPLATES[template] || RESUME_TEMPLATES.modern;
+  const { basics = {}, education = [], work = [], projects = [], skills = [] } = resume;
+  const contact = [basics.email, basics.phone, basics.location?.city, basics.url].filter(Boolean);
+
+  return (
+    <div ref={ref} style={page(t)}>
+      <header style={{ textAlign: t.align, marginBottom: t.dense ? "12px" : "20px" }}>
+        <h1 style={nameStyle(t)}>{basics.name || "Your Name"}</h1>
+        {basics.label && <p style={labelStyle(t)}>{basics.label}</p>}
+        {contact.length > 0 && <p style={contactStyle}>{contact.join("  •  ")}</p>}
+      </header>
+
+      {basics.summary && (
+        <Section title="Summary" t={t}>
+          <p style={bodyText}>{basics.summary}</p>
+        </Section>
+      )}
+
+      {work.length > 0 && (
+        <Section title="Experience" t={t}>
+          {work.map((job, i) => (
+            <div key={i} style={entry(t)}>
+              <div style={entryHeader}>
+                <strong>{job.position}{job.name ? `, ${job.name}` : ""}</strong>
+                <span style={dateText}>{formatRange(job.startDate, job.endDate)}</span>
+              </div>
+              {job.summary && <p style={bodyText}>{job.summary}</p>}
+              <Highlights items={job.highlights} />
+            </div>
+          ))}
+        </Section>
+      )}
+
+      {projects.length > 0 && (
+        <Section title="Projects" t={t}>
+          {projects.map((project, i) => (
+            <div key={i} style={entry(t)}>
+              <div style={entryHeader}>
+                <strong>{project.name}</strong>
+                {project.url && <span style={dateText}>{project.url}</span>}
+              </div>
+              {project.description && <p style={bodyText}>{project.description}</p>}
+              <Highlights items={project.highlights} />
+            </div>
+          ))}
+        </Section>
+      )}
+
+      {education.length > 0 && (
+        <Section title="Education" t={t}>
+          {education.map((edu, i) => (
+            <div key={i} style={entry(t)}>
+              <div style={entryHeader}>
+                <strong>{edu.institution}</strong>
+                <span style={dateText}>{formatRange(edu.startDate, edu.endDate)}</span>
+              </div>
+              <p style={bodyText}>
+                {[edu.studyType, edu.area].filter(Boolean).join(" in ")}
+                {edu.score ? ` • ${edu.score}` : ""}
+              </p>
+            </div>
+          ))}
+        </Section>
+      )}
+
+      {skills.length > 0 && (
+        <Section title="Skills" t={t}>
+          {skills.map(group => (
+            <p key={group.name} style={bodyText}>
+              <strong>{group.name}:</strong> {group.keywords.join(", ")}
+            </p>
+          ))}
+        </Section>
+      )}
+    </div>
+  );
+}
+
+function Section({ title, t, children }) {
+  return (
+    <section style={{ marginBottom: t.dense ? "10px" : "18px" }}>
+      <h2 style={sectionTitle(t)}>{title}</h2>
+      {children}
+    </section>
+  );
+}
+
+function Highlights({ items }) {
+  if (!items || items.length === 0) return null;
+  return (
+    <ul style={highlightList}>
+      {items.map((item, i) => <li key={i}>{item}</li>)}
+    </ul>
+  );
+}
+
+// Styles
+const page = (t) => ({
+  width: "210mm",
+  minHeight: "297mm",
+  padding: t.dense ? "14mm" : "18mm",
+  background: "#FFFFFF",
+  color: "#111827",
+  fontFamily: t.font,
+  fontSize: t.dense ? "10pt" : "11pt",
+  lineHeight: 1.45,
+  boxSizing: "border-box",
+});
+
+const nameStyle = (t) => ({
+  fontFamily: t.headingFont,
+  fontSize: t.dense ? "20pt" : "26pt",
+  color: t.accent,
+  letterSpacing: "-0.01em",
+  WebkitTextFillColor: t.accent,
+});
+
+const labelStyle = (t) => ({ fontSize: "12pt", fontWeight: 600, color: t.accent === "#111827" ? "#374151" : t.accent });
+const contactStyle = { fontSize: "9pt", color: "#6B7280", marginTop: "4px" };
+
+const sectionTitle = (t) => ({
+  fontFamily: t.headingFont,
+  fontSize: "11pt",
+  textTransform: "uppercase",
+  letterSpacing: "0.08em",
+  color: t.accent,
+  WebkitTextFillColor: t.accent,
+  borderBottom: `1.5px solid ${t.accent}`,
+  paddingBottom: "2px",
+  marginBottom: "8px",
+});
+
+const entry = (t) => ({ marginBottom: t.dense ? "6px" : "10px" });
+const entryHeader = { display: "flex", justifyContent: "space-between", gap: "12px" };
+const dateText = { fontSize: "9pt", color: "#6B7280", whiteSpace: "nowrap" };
+const bodyText = { margin: "2px 0" };
+const highlightList = { margin: "4px 0 0 18px", padding: 0 };
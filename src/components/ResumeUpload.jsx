@@ -0,0 +1,102 @@
+import { useState } from "react";
+import { collections } from "../utils/storage";
+import { useCollection } from "../hooks/useCollection";
+import { markSkillsLearned } from "../utils/proficiency";
+import { track } from "../utils/history";
+import { extractResumeText, detectResumeSkills } from "../utils/resumeParser";
+
+// Uploads a resume, stores its text and detected skills, and marks those skills learned in the tracker
+export default function ResumeUpload({ onUploaded }) {
+  const resume = useCollection(collections.resume);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleFile = async (file) => {
+    if (!file) return;
+    setLoading(true);
+    setError(null);
+    try {
+      const text = await extractResumeText(file);
+      if (!text.trim()) throw new Error("No text could be read from this file. Is it a scanned image?");
+
+      const skills = detectResumeSkills(text);
+      const record = { fileName: file.name, text, skills, uploadedDate: new Date().toISOString() };
+      collections.resume.set(record);
+
+      // Sync detected skills to global skill tracker as learned
+      track(`Marked skills from ${file.name} learned`, () => markSkillsLearned(Object.values(skills).flat()), { type: "skill" });
+
+      if (onUploaded) onUploaded(record);
+    } catch (err) {
+      setError(err.message || "Failed to read resume.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const skillCount = resume ? Object.values(resume.skills).flat().length : 0;
+
+  return (
+    <div className="glass-card" style={uploadCard}>
+      <div style={uploadInfo}>
+        <span style={labelStyle}>Resume</span>
+        {resume ? (
+          <span style={fileMeta}>
+            {resume.fileName} • {skillCount} skills detected • {new Date(resume.uploadedDate).toLocaleDateString()}
+          </span>
+        ) : (
+          <span style={fileMeta}>Upload a PDF, DOCX or text resume to compare it against job descriptions.</span>
+        )}
+        {error && <span style={errorStyle}>{error}</span>}
+      </div>
+      <label style={uploadBtn}>
+        {loading ? "Reading..." : resume ? "Replace Resume" : "Upload Resume"}
+        <input
+          type="file"
+          accept=".pdf,.docx,.txt,.md,application/pdf,text/plain"
+          style={{ display: "none" }}
+          disabled={loading}
+          onChange={(e) => {
+            handleFile(e.target.files[0]);
+            e.target.value = "";
+          }}
+        />
+      </label>
+    </div>
+  );
+}
+
+// Styles
+const uploadCard = {
+  padding: "20px 24px",
+  display: "flex",
+  justifyContent: "space-between",
+  alignItems: "center",
+  gap: "16px",
+  flexWrap: "wrap",
+  border: "1px solid hsla(var(--border-glass))",
+};
+
+const uploadInfo = { display: "flex", flexDirection: "column", gap: "4px", flex: 1, minWidth: "240px" };
+
+const labelStyle = {
+  fontSize: "12px",
+  fontWeight: "700",
+  textTransform: "uppercase",
+  letterSpacing: "0.1em",
+  color: "hsl(var(--text-muted))",
+};
+
+const fileMeta = { fontSize: "14px", color: "hsl(var(--text-dim))" };
+const errorStyle = { fontSize: "13px", color: "hsl(var(--danger))" };
+
+const uploadBtn = {
+  padding: "10px 20px",
+  borderRadius: "100px",
+  border: "1px solid hsla(var(--primary) / 0.5)",
+  background: "hsla(var(--primary) / 0.1)",
+  color: "white",
+  fontSize: "12px",
+  fontWeight: "700",
+  cursor: "pointer",
+};
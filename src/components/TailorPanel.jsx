@@ -0,0 +1,338 @@
+import { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { collections } from "../utils/storage";
+import { useCollection } from "../hooks/useCollection";
+import { track } from "../utils/history";
+import { tailorApplication } from "../utils/aiApi";
+import { isLLMConfigured } from "../utils/llmClient";
+import { diffWords } from "../utils/textDiff";
+
+// Base bullets come from the resume builder when it has highlights, otherwise from the uploaded resume's lines
+const getBaseResume = (built, uploaded) => {
+  const builtBullets = built
+    ? [...(built.work || []), ...(built.projects || [])].flatMap(entry => entry.highlights || [])
+    : [];
+  if (builtBullets.length > 0) {
+    return { bullets: builtBullets, text: [built.basics?.summary, ...builtBullets].filter(Boolean).join("\n") };
+  }
+
+  if (!uploaded?.text) return { bullets: [], text: "" };
+  const lines = uploaded.text.split("\n").map(line => line.replace(/^[\s•●▪\-*]+/, "").trim());
+  return { bullets: lines.filter(line => line.split(/\s+/).length >= 6), text: uploaded.text };
+};
+
+const words = (text) => new Set(text.toLowerCase().match(/[a-z0-9+#.]+/g) || []);
+
+// Pair a tailored bullet with the base bullet sharing the most words, so the diff shows what was rewritten
+const closestBase = (bullet, baseBullets) => {
+  const target = words(bullet);
+  let best = "";
+  let bestScore = 0;
+  baseBullets.forEach(base => {
+    const score = [...words(base)].filter(w => target.has(w)).length;
+    if (score > bestScore) {
+      best = base;
+      bestScore = score;
+    }
+  });
+  return best;
+};
+
+// Generates company-specific resume bullets and a cover letter, and keeps every generated version
+export default function TailorPanel({ companyKey, company, onClose }) {
+  const navigate = useNavigate();
+  const versions = useCollection(collections.tailoredVersions)[companyKey] || [];
+  const [activeId, setActiveId] = useState(() => versions[0]?.id || null);
+  const [jd, setJd] = useState(company.jd || "");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [copyState, setCopyState] = useState(null); // null | "copied" | "failed"
+  const builtResume = useCollection(collections.resumeBuilder);
+  const uploadedResume = useCollection(collections.resume);
+  const base = getBaseResume(builtResume, uploadedResume);
+
+  const active = versions.find(v => v.id === activeId);
+
+  const saveVersions = (updated) => {
+    collections.tailoredVersions.set({ ...collections.tailoredVersions.get(), [companyKey]: updated });
+  };
+
+  const handleGenerate = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await tailorApplication({
+        company: company.name,
+        role: company.role,
+        skills: company.skills || [],
+        jdText: jd,
+        resumeText: base.text,
+      });
+      if (result.bullets.length === 0 && !result.coverLetter) throw new Error("The AI returned an empty draft. Try again.");
+
+      const version = { id: Date.now().toString(), createdDate: new Date().toISOString(), ...result };
+      saveVersions([version, ...versions]);
+      setActiveId(version.id);
+
+      // Remember an edited JD on the tracker for the next run
+      if (jd !== (company.jd || "")) {
+        const trackers = collections.companies.get();
+        if (trackers[companyKey]) {
+          track(`Updated the job description for ${company.name}`, () => {
+            collections.companies.set({ ...trackers, [companyKey]: { ...trackers[companyKey], jd } });
+          }, { type: "company" });
+        }
+      }
+    } catch (err) {
+      setError(err.message || "Failed to generate tailored content.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const deleteVersion = (id) => {
+    const updated = versions.filter(v => v.id !== id);
+    saveVersions(updated);
+    if (activeId === id) setActiveId(updated[0]?.id || null);
+  };
+
+  const copyCoverLetter = async () => {
+    try {
+      await navigator.clipboard.writeText(active.coverLetter);
+      setCopyState("copied");
+      setTimeout(() => setCopyState(null), 1500);
+    } catch {
+      // Clipboard access needs a secure origin and permission; the letter text can still be selected
+      setCopyState("failed");
+    }
+  };
+
+  return (
+    <div style={overlay} onClick={onClose}>
+      <div className="glass-card animate-fade-in" style={panel} onClick={(e) => e.stopPropagation()}>
+        <header style={panelHeader}>
+          <div>
+            <h2 style={panelTitle}>Tailor for {company.name}</h2>
+            <p style={panelSubtitle}>{company.role} • {company.skills?.length || 0} mapped skills</p>
+          </div>
+          <button style={closeBtn} onClick={onClose}>×</button>
+        </header>
+
+        {!isLLMConfigured() && (
+          <p style={warningText}>
+            Tailoring needs an AI provider.{" "}
+            <span style={inlineLink} onClick={() => navigate("/settings")}>Configure one in Settings →</span>
+          </p>
+        )}
+        {base.bullets.length === 0 && (
+          <p style={warningText}>
+            No base resume found.{" "}
+            <span style={inlineLink} onClick={() => navigate("/resume")}>Build one</span> or upload a resume in the JD Analyzer.
+          </p>
+        )}
+
+        <label style={labelStyle}>Job Description</label>
+        <textarea
+          style={jdInput}
+          placeholder="Paste the job description for this role (optional, improves the result)"
+          value={jd}
+          onChange={(e) => setJd(e.target.value)}
+        />
+
+        <div style={actionRow}>
+          <button style={primaryBtn} onClick={handleGenerate} disabled={loading || !isLLMConfigured()}>
+            {loading ? "Tailoring..." : versions.length > 0 ? "Generate New Version" : "Generate Tailored Draft"}
+          </button>
+          {error && <span style={errorText}>{error}</span>}
+        </div>
+
+        {versions.length > 0 && (
+          <div style={versionRow}>
+            {versions.map((v, i) => (
+              <button key={v.id} style={versionChip(v.id === activeId)} onClick={() => setActiveId(v.id)}>
+                v{versions.length - i} • {new Date(v.createdDate).toLocaleDateString()}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {active && (
+          <>
+            <div style={diffHeader}>
+              <span style={labelStyle}>Base Resume</span>
+              <span style={labelStyle}>Tailored ({active.model || "AI"})</span>
+            </div>
+            <div style={diffList}>
+              {active.bullets.map((bullet, i) => {
+                const original = closestBase(bullet, base.bullets);
+                const segments = diffWords(original, bullet);
+                return (
+                  <div key={i} style={diffPair}>
+                    <div style={diffCell}>
+                      {original
+                        ? segments.filter(s => s.type !== "added").map((s, j) => <span key={j} style={segmentStyle(s.type)}>{s.text}</span>)
+                        : <span style={mutedText}>No matching bullet — new content</span>}
+                    </div>
+                    <div style={diffCell}>
+                      {segments.filter(s => s.type !== "removed").map((s, j) => <span key={j} style={segmentStyle(s.type)}>{s.text}</span>)}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+
+            {active.coverLetter && (
+              <div style={letterBox}>
+                <div style={diffHeader}>
+                  <span style={labelStyle}>Cover Letter Draft</span>
+                  <button style={linkBtn} onClick={copyCoverLetter}>{copyState === "copied" ? "Copied ✓" : "Copy"}</button>
+                </div>
+                {copyState === "failed" && (
+                  <span style={errorText}>Couldn't copy to the clipboard. Select the letter below and copy it manually.</span>
+                )}
+                <p style={letterText}>{active.coverLetter}</p>
+              </div>
+            )}
+
+            <button style={deleteVersionBtn} onClick={() => deleteVersion(active.id)}>Delete this version</button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Styles
+const overlay = {
+  position: "fixed",
+  inset: 0,
+  background: "rgba(0, 0, 0, 0.6)",
+  backdropFilter: "blur(4px)",
+  display: "flex",
+  alignItems: "flex-start",
+  justifyContent: "center",
+  padding: "60px 20px",
+  overflowY: "auto",
+  zIndex: 1100,
+};
+
+const panel = {
+  width: "100%",
+  maxWidth: "960px",
+  padding: "28px",
+  display: "flex",
+  flexDirection: "column",
+  gap: "16px",
+  border: "1px solid hsla(var(--border-glass))",
+  background: "hsl(var(--bg-page))",
+};
+
+const panelHeader = { display: "flex", justifyContent: "space-between", alignItems: "flex-start", gap: "16px" };
+const panelTitle = { fontSize: "24px", fontWeight: "800" };
+const panelSubtitle = { color: "hsl(var(--text-dim))", fontSize: "14px" };
+
+const closeBtn = {
+  background: "none",
+  border: "none",
+  color: "hsl(var(--text-muted))",
+  fontSize: "28px",
+  lineHeight: 1,
+  cursor: "pointer",
+};
+
+const warningText = { fontSize: "13px", color: "hsl(var(--warning))" };
+const inlineLink = { color: "hsl(var(--accent))", cursor: "pointer", fontWeight: "700" };
+
+const labelStyle = {
+  fontSize: "12px",
+  fontWeight: "700",
+  textTransform: "uppercase",
+  letterSpacing: "0.1em",
+  color: "hsl(var(--text-muted))",
+};
+
+const jdInput = {
+  minHeight: "110px",
+  padding: "12px 16px",
+  borderRadius: "12px",
+  background: "hsla(var(--bg-page) / 0.5)",
+  border: "1px solid hsla(var(--border-glass))",
+  color: "white",
+  fontSize: "14px",
+  resize: "vertical",
+  outline: "none",
+};
+
+const actionRow = { display: "flex", alignItems: "center", gap: "16px", flexWrap: "wrap" };
+
+const primaryBtn = {
+  padding: "12px 28px",
+  borderRadius: "12px",
+  background: "hsl(var(--primary))",
+  color: "white",
+  fontWeight: "700",
+  border: "none",
+  cursor: "pointer",
+  boxShadow: "0 8px 16px -4px hsla(var(--primary-glow))",
+};
+
+const errorText = { fontSize: "13px", color: "hsl(var(--danger))" };
+
+const versionRow = { display: "flex", flexWrap: "wrap", gap: "8px" };
+
+const versionChip = (active) => ({
+  padding: "6px 14px",
+  borderRadius: "100px",
+  fontSize: "12px",
+  fontWeight: "700",
+  cursor: "pointer",
+  color: active ? "white" : "hsl(var(--text-dim))",
+  background: active ? "hsl(var(--primary))" : "hsla(var(--text-main) / 0.05)",
+  border: active ? "none" : "1px solid hsla(var(--border-glass))",
+});
+
+const diffHeader = { display: "grid", gridTemplateColumns: "1fr 1fr", gap: "16px", alignItems: "center" };
+const diffList = { display: "flex", flexDirection: "column", gap: "10px" };
+const diffPair = { display: "grid", gridTemplateColumns: "1fr 1fr", gap: "16px" };
+
+const diffCell = {
+  padding: "12px 14px",
+  borderRadius: "10px",
+  background: "hsla(var(--text-main) / 0.03)",
+  border: "1px solid hsla(var(--border-glass))",
+  fontSize: "13px",
+  lineHeight: 1.6,
+  color: "hsl(var(--text-dim))",
+};
+
+const segmentStyle = (type) => {
+  if (type === "added") return { background: "hsla(var(--success) / 0.2)", color: "hsl(var(--success))", borderRadius: "3px" };
+  if (type === "removed") return { background: "hsla(var(--danger) / 0.15)", color: "hsl(var(--danger))", textDecoration: "line-through", borderRadius: "3px" };
+  return {};
+};
+
+const mutedText = { fontStyle: "italic", color: "hsl(var(--text-muted))" };
+
+const letterBox = {
+  display: "flex",
+  flexDirection: "column",
+  gap: "10px",
+  padding: "16px",
+  borderRadius: "12px",
+  background: "hsla(var(--text-main) / 0.03)",
+  border: "1px solid hsla(var(--border-glass))",
+};
+
+const letterText = { fontSize: "14px", lineHeight: 1.7, whiteSpace: "pre-wrap", color: "hsl(var(--text-dim))" };
+
+const linkBtn = {
+  background: "none",
+  border: "none",
+  color: "hsl(var(--accent))",
+  fontSize: "12px",
+  fontWeight: "700",
+  cursor: "pointer",
+  justifySelf: "end",
+};
+
+const deleteVersionBtn = { ...linkBtn, color: "hsl(var(--danger))", alignSelf: "flex-start", padding: 0 };
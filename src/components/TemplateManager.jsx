@@ -0,0 +1,174 @@
+import { useState } from "react";
+import { encodeTemplate, decodeTemplate, createTemplate } from "../utils/roleTemplates";
+
+const EMPTY_DRAFT = { id: null, name: "", skills: "" };
+
+// Share links open the Company Tracker with the template encoded in the query string
+const getShareLink = (template) => `${window.location.origin}/companies?template=${encodeTemplate(template)}`;
+
+// Create, edit, share and import the user's own role templates
+export default function TemplateManager({ templates, onChange }) {
+  const [draft, setDraft] = useState(null);
+  const [importCode, setImportCode] = useState("");
+  const [message, setMessage] = useState(null);
+  // Shown for manual copying when the clipboard isn't available (insecure origin, denied permission)
+  const [manualLink, setManualLink] = useState(null);
+
+  const saveDraft = () => {
+    const skills = draft.skills.split(",").map(s => s.trim()).filter(Boolean);
+    if (!draft.name.trim() || skills.length === 0) {
+      setMessage("A template needs a name and at least one skill.");
+      return;
+    }
+    const template = createTemplate(draft.name.trim(), skills);
+    onChange(draft.id
+      ? templates.map(t => (t.id === draft.id ? { ...template, id: draft.id } : t))
+      : [...templates, template]);
+    setDraft(null);
+    setMessage(null);
+  };
+
+  const shareTemplate = async (template) => {
+    const link = getShareLink(template);
+    try {
+      await navigator.clipboard.writeText(link);
+      setManualLink(null);
+      setMessage(`Share link for "${template.name}" copied to clipboard.`);
+    } catch {
+      setManualLink(link);
+      setMessage(`Couldn't copy automatically. Copy the share link for "${template.name}" below.`);
+    }
+  };
+
+  const importTemplate = () => {
+    try {
+      // Accept either a bare code or a full share link
+      const code = importCode.includes("template=") ? new URL(importCode.trim()).searchParams.get("template") : importCode;
+      const template = decodeTemplate(code || "");
+      onChange([...templates, template]);
+      setImportCode("");
+      setMessage(`Imported "${template.name}".`);
+    } catch (err) {
+      setMessage(err.message);
+    }
+  };
+
+  return (
+    <div style={managerZone}>
+      {templates.length === 0 && !draft && (
+        <p style={mutedText}>No custom templates yet. Create one, save a tracker as a template, or import a shared link.</p>
+      )}
+
+      {templates.map(template => (
+        <div key={template.id} style={templateRow}>
+          <div style={templateInfo}>
+            <span style={templateName}>{template.name}</span>
+            <span style={mutedText}>{template.skills.join(", ")}</span>
+          </div>
+          <div style={rowActions}>
+            <button style={linkBtn} onClick={() => setDraft({ ...template, skills: template.skills.join(", ") })}>Edit</button>
+            <button style={linkBtn} onClick={() => shareTemplate(template)}>Share</button>
+            <button style={{ ...linkBtn, color: "hsl(var(--danger))" }} onClick={() => onChange(templates.filter(t => t.id !== template.id))}>
+              Delete
+            </button>
+          </div>
+        </div>
+      ))}
+
+      {draft ? (
+        <div style={editor}>
+          <input
+            style={inputStyle}
+            placeholder="Template name (e.g. Platform Engineer)"
+            value={draft.name}
+            onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+          />
+          <textarea
+            style={{ ...inputStyle, minHeight: "70px", resize: "vertical" }}
+            placeholder="Skills, comma separated (e.g. Go, Docker, Kubernetes)"
+            value={draft.skills}
+            onChange={(e) => setDraft({ ...draft, skills: e.target.value })}
+          />
+          <div style={rowActions}>
+            <button style={primaryBtn} onClick={saveDraft}>Save Template</button>
+            <button style={linkBtn} onClick={() => setDraft(null)}>Cancel</button>
+          </div>
+        </div>
+      ) : (
+        <div style={rowActions}>
+          <button style={primaryBtn} onClick={() => setDraft(EMPTY_DRAFT)}>+ New Template</button>
+          <input
+            style={{ ...inputStyle, flex: 1 }}
+            placeholder="Paste a shared template link or code"
+            value={importCode}
+            onChange={(e) => setImportCode(e.target.value)}
+          />
+          <button style={linkBtn} onClick={importTemplate} disabled={!importCode.trim()}>Import</button>
+        </div>
+      )}
+
+      {message && <p style={messageText}>{message}</p>}
+      {manualLink && (
+        <input style={inputStyle} value={manualLink} readOnly autoFocus onFocus={(e) => e.target.select()} />
+      )}
+    </div>
+  );
+}
+
+// Styles
+const managerZone = {
+  display: "flex",
+  flexDirection: "column",
+  gap: "12px",
+  paddingTop: "16px",
+  marginTop: "16px",
+  borderTop: "1px solid hsla(var(--border-glass))",
+};
+
+const mutedText = { fontSize: "13px", color: "hsl(var(--text-muted))" };
+const messageText = { fontSize: "13px", color: "hsl(var(--accent))" };
+
+const templateRow = {
+  display: "flex",
+  justifyContent: "space-between",
+  alignItems: "center",
+  gap: "16px",
+  padding: "12px 16px",
+  borderRadius: "12px",
+  background: "hsla(var(--text-main) / 0.03)",
+};
+
+const templateInfo = { display: "flex", flexDirection: "column", gap: "4px", minWidth: 0 };
+const templateName = { fontWeight: "700", fontSize: "14px" };
+const rowActions = { display: "flex", alignItems: "center", gap: "12px", flexWrap: "wrap" };
+const editor = { display: "flex", flexDirection: "column", gap: "10px" };
+
+const inputStyle = {
+  padding: "10px 14px",
+  borderRadius: "10px",
+  background: "hsla(var(--bg-page) / 0.5)",
+  border: "1px solid hsla(var(--border-glass))",
+  color: "white",
+  fontSize: "14px",
+  outline: "none",
+};
+
+const primaryBtn = {
+  padding: "10px 20px",
+  borderRadius: "10px",
+  background: "hsla(var(--primary) / 0.15)",
+  color: "white",
+  border: "1px solid hsla(var(--primary) / 0.4)",
+  fontWeight: "700",
+  fontSize: "13px",
+  cursor: "pointer",
+};
+
+const linkBtn = {
+  background: "none",
+  border: "none",
+  color: "hsl(var(--accent))",
+  fontSize: "13px",
+  fontWeight: "700",
+  cursor: "pointer",
+};
@@ -0,0 +1,67 @@
+import { collections } from "../utils/storage";
+import { useCollection } from "../hooks/useCollection";
+import { TRASH_TYPES, restoreFromTrash, purgeTrash } from "../utils/history";
+
+// Deleted companies, skills and jobs waiting to be restored, shown on the Profile page
+export default function TrashBin() {
+  const trash = useCollection(collections.trash);
+
+  return (
+    <div className="glass-card" style={trashCard}>
+      <div style={rowBetween}>
+        <span style={mutedText}>
+          {trash.length === 0 ? "Nothing in the trash. Deleted companies, skills and jobs land here." : `${trash.length} deleted ${trash.length === 1 ? "item" : "items"}`}
+        </span>
+        {trash.length > 0 && <button style={linkBtn(true)} onClick={() => purgeTrash()}>Empty Trash</button>}
+      </div>
+      {trash.map(entry => (
+        <div key={entry.id} style={trashRow}>
+          <div style={trashInfo}>
+            <span style={trashLabel}>{entry.label}</span>
+            <span style={mutedText}>{TRASH_TYPES[entry.type]} • deleted {new Date(entry.deletedAt).toLocaleString()}</span>
+          </div>
+          <div style={rowActions}>
+            <button style={linkBtn(false)} onClick={() => restoreFromTrash(entry.id)}>Restore</button>
+            <button style={linkBtn(true)} onClick={() => purgeTrash(entry.id)}>Delete forever</button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Styles
+const trashCard = {
+  padding: "24px 32px",
+  display: "flex",
+  flexDirection: "column",
+  gap: "4px",
+  border: "1px solid hsla(var(--border-glass))",
+};
+
+const rowBetween = { display: "flex", justifyContent: "space-between", alignItems: "center", gap: "12px", paddingBottom: "8px" };
+const rowActions = { display: "flex", gap: "12px", flexShrink: 0 };
+
+const trashRow = {
+  display: "flex",
+  justifyContent: "space-between",
+  alignItems: "center",
+  gap: "12px",
+  padding: "10px 0",
+  borderTop: "1px solid hsla(var(--border-glass))",
+  fontSize: "13px",
+};
+
+const trashInfo = { display: "flex", flexDirection: "column", gap: "2px", minWidth: 0 };
+const trashLabel = { fontWeight: "700", overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" };
+const mutedText = { fontSize: "12px", color: "hsl(var(--text-muted))" };
+
+const linkBtn = (danger) => ({
+  background: "none",
+  border: "none",
+  color: danger ? "hsl(var(--danger))" : "hsl(var(--accent))",
+  fontSize: "12px",
+  fontWeight: "700",
+  cursor: "pointer",
+  padding: 0,
+});
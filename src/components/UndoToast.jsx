@@ -0,0 +1,98 @@
+import { useEffect, useState } from "react";
+import { subscribeHistory, undo, redo } from "../utils/history";
+
+const TOAST_MS = 6000;
+
+// Text fields keep the browser's own undo for what's being typed
+const isEditable = (el) => el && (el.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(el.tagName));
+
+// Toast offering Undo/Redo after every tracked change, plus Ctrl/Cmd+Z, Ctrl/Cmd+Shift+Z and Ctrl/Cmd+Y
+export default function UndoToast() {
+  const [event, setEvent] = useState(null);
+
+  useEffect(() => subscribeHistory(setEvent), []);
+
+  useEffect(() => {
+    if (!event) return undefined;
+    const id = setTimeout(() => setEvent(null), TOAST_MS);
+    return () => clearTimeout(id);
+  }, [event]);
+
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || isEditable(e.target)) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener("keydown", handleKey);
+    return () => window.removeEventListener("keydown", handleKey);
+  }, []);
+
+  if (!event) return null;
+
+  const message = {
+    change: event.label,
+    undo: `Undid: ${event.label}`,
+    redo: `Redid: ${event.label}`,
+    error: event.label,
+  }[event.kind];
+
+  return (
+    <div className="glass-card animate-fade-in" style={toastCard(event.kind === "error")} role="status">
+      <span style={toastText}>{message}</span>
+      {(event.kind === "change" || event.kind === "redo") && <button style={actionBtn} onClick={undo}>Undo</button>}
+      {event.kind === "undo" && <button style={actionBtn} onClick={redo}>Redo</button>}
+      <button style={closeBtn} onClick={() => setEvent(null)} title="Dismiss">×</button>
+    </div>
+  );
+}
+
+// Styles
+const toastCard = (isError) => ({
+  position: "fixed",
+  left: "50%",
+  bottom: "24px",
+  transform: "translateX(-50%)",
+  zIndex: 1060,
+  padding: "12px 16px",
+  display: "flex",
+  alignItems: "center",
+  gap: "14px",
+  maxWidth: "min(520px, calc(100vw - 48px))",
+  border: isError ? "1px solid hsla(var(--danger) / 0.4)" : "1px solid hsla(var(--border-glass))",
+  boxShadow: "0 12px 32px -8px rgba(0, 0, 0, 0.5)",
+});
+
+const toastText = {
+  fontSize: "13px",
+  fontWeight: "600",
+  overflow: "hidden",
+  textOverflow: "ellipsis",
+  whiteSpace: "nowrap",
+};
+
+const actionBtn = {
+  background: "none",
+  border: "none",
+  color: "hsl(var(--accent))",
+  fontSize: "13px",
+  fontWeight: "800",
+  cursor: "pointer",
+  padding: 0,
+};
+
+const closeBtn = {
+  background: "none",
+  border: "none",
+  color: "hsl(var(--text-muted))",
+  fontSize: "18px",
+  lineHeight: 1,
+  cursor: "pointer",
+  padding: 0,
+};
@@ -8,6 +8,7 @@ import {
   signOut,
 } from "firebase/auth";
 import { auth, provider } from "../firebase";
+import { startSync, stopSync } from "../utils/storage";
 
 const AuthContext = createContext();
 
@@ -19,6 +20,8 @@ export function AuthProvider({ children }) {
     const unsubscribe = onAuthStateChanged(auth, (currentUser) => {
       setUser(currentUser);
       setLoading(false);
+      if (currentUser) startSync(currentUser.uid);
+      else stopSync();
     });
     return unsubscribe;
   }, []);
@@ -1,5 +1,6 @@
 import { initializeApp } from "firebase/app";
 import { getAuth, GoogleAuthProvider } from "firebase/auth";
+import { getFirestore, connectFirestoreEmulator } from "firebase/firestore";
 
 const firebaseConfig = {
   apiKey: import.meta.env.VITE_FIREBASE_API_KEY,
@@ -13,4 +14,12 @@ const firebaseConfig = {
 const app = initializeApp(firebaseConfig);
 
 export const auth = getAuth(app);
-export const provider = new GoogleAuthProvider();
\ No newline at end of file
+export const provider = new GoogleAuthProvider();
+export const db = getFirestore(app);
+
+// e.g. VITE_FIRESTORE_EMULATOR_HOST=localhost:8080 when running `firebase emulators:start`
+const emulatorHost = import.meta.env.VITE_FIRESTORE_EMULATOR_HOST;
+if (emulatorHost) {
+  const [host, port] = emulatorHost.split(":");
+  connectFirestoreEmulator(db, host, Number(port) || 8080);
+}
\ No newline at end of file
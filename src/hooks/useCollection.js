@@ -0,0 +1,18 @@
+import { useCallback, useSyncExternalStore } from "react";
+import { subscribeData } from "../utils/storage";
+
+/**
+ * Render from a stored collection and re-render whenever it changes, in this tab, another tab or from the cloud
+ * Write with collection.set(); the returned value is shared between components, so don't mutate it
+ * @param {Object} collection - One of the accessors in storage.js collections
+ * @returns {*} Current value of the collection
+ */
+export function useCollection(collection) {
+  const subscribe = useCallback(
+    (onChange) => subscribeData(key => {
+      if (key === null || key === collection.key) onChange();
+    }),
+    [collection]
+  );
+  return useSyncExternalStore(subscribe, collection.snapshot);
+}
@@ -2,8 +2,12 @@ import React from "react";
 import ReactDOM from "react-dom/client";
 import { AuthProvider } from "./context/AuthContext";
 import App from "./App";
+import { runMigrations } from "./utils/storage";
 import "./index.css";
 
+// Bring locally stored data up to the current schema before any page reads it
+runMigrations();
+
 ReactDOM.createRoot(document.getElementById("root")).render(
   <React.StrictMode>
     <AuthProvider>
@@ -0,0 +1,316 @@
+import { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { collections } from "../utils/storage";
+import { useCollection } from "../hooks/useCollection";
+import { track, trashJob } from "../utils/history";
+import JobAnalysis from "../components/JobAnalysis";
+
+const STAGES = ["Saved", "Applied", "OA", "Interview", "Offer", "Rejected"];
+
+const STAGE_COLORS = {
+  Saved: "var(--text-muted)",
+  Applied: "var(--primary)",
+  OA: "var(--accent)",
+  Interview: "var(--warning)",
+  Offer: "var(--success)",
+  Rejected: "var(--danger)",
+};
+
+export default function Applications() {
+  const jobs = useCollection(collections.savedJobs);
+  const [draggedId, setDraggedId] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  const [selectedJob, setSelectedJob] = useState(null);
+  const navigate = useNavigate();
+
+  const persist = (label, updatedJobs, mergeKey) => track(label, () => collections.savedJobs.set(updatedJobs), { type: "job", mergeKey });
+
+  const jobLabel = (jobId) => {
+    const job = jobs.find(j => j.id === jobId);
+    return job.company ? `${job.title} at ${job.company}` : job.title;
+  };
+
+  const moveJob = (jobId, stage) => {
+    const updatedJobs = jobs.map(job => {
+      if (job.id !== jobId || job.stage === stage) return job;
+      return {
+        ...job,
+        stage,
+        history: [...job.history, { stage, date: new Date().toISOString() }],
+      };
+    });
+    persist(`Moved ${jobLabel(jobId)} to ${stage}`, updatedJobs);
+  };
+
+  const updateNotes = (jobId, notes) => {
+    persist(`Edited notes for ${jobLabel(jobId)}`, jobs.map(job => (job.id === jobId ? { ...job, notes } : job)), `notes-${jobId}`);
+  };
+
+  const removeJob = (jobId) => {
+    trashJob(jobId);
+    if (selectedJob === jobId) setSelectedJob(null);
+  };
+
+  const handleDrop = (stage) => {
+    if (draggedId !== null) moveJob(draggedId, stage);
+    setDraggedId(null);
+    setDropTarget(null);
+  };
+
+  const formatDate = (iso) => (iso ? new Date(iso).toLocaleDateString() : "—");
+
+  const activeCount = jobs.filter(job => job.stage !== "Saved" && job.stage !== "Rejected").length;
+
+  return (
+    <div className="animate-fade-in container-full" style={pipelineLayout}>
+      <header style={headerStyle}>
+        <div style={headerText}>
+          <h1 className="glow-text" style={titleStyle}>Application Pipeline</h1>
+          <p style={subtitleStyle}>
+            {jobs.length} saved • {activeCount} in progress. Drag cards between stages as your applications move.
+          </p>
+        </div>
+        <button style={actionBtn} onClick={() => navigate("/jobs")}>
+          Explore Jobs 🎯
+        </button>
+      </header>
+
+      {jobs.length === 0 ? (
+        <div className="glass-card" style={emptyState}>
+          No saved jobs yet. Use "Add to Tracker" on the Job Board to start your pipeline.
+        </div>
+      ) : (
+        <div style={board}>
+          {STAGES.map(stage => {
+            const stageJobs = jobs.filter(job => job.stage === stage);
+            return (
+              <section
+                key={stage}
+                className="glass-card"
+                style={column(dropTarget === stage)}
+                onDragOver={(e) => {
+                  e.preventDefault();
+                  setDropTarget(stage);
+                }}
+                onDragLeave={() => setDropTarget(null)}
+                onDrop={() => handleDrop(stage)}
+              >
+                <div style={columnHeader}>
+                  <span style={stageBadge(STAGE_COLORS[stage])}>{stage}</span>
+                  <span style={countStyle}>{stageJobs.length}</span>
+                </div>
+
+                {stageJobs.map(job => {
+                  const isExpanded = selectedJob === job.id;
+                  const lastMove = job.history[job.history.length - 1];
+                  return (
+                    <div
+                      key={job.id}
+                      draggable
+                      onDragStart={() => setDraggedId(job.id)}
+                      onDragEnd={() => setDraggedId(null)}
+                      style={jobCard(draggedId === job.id)}
+                    >
+                      <h4 style={jobTitle}>{job.title}</h4>
+                      <p style={companyName}>{job.company}</p>
+                      <p style={metaText}>{job.location} • since {formatDate(lastMove?.date)}</p>
+
+                      <div style={cardActions}>
+                        <button style={smallBtn} onClick={() => setSelectedJob(isExpanded ? null : job.id)}>
+                          {isExpanded ? "Close" : "Details"}
+                        </button>
+                        {job.url && (
+                          <a href={job.url} target="_blank" rel="noreferrer" style={linkBtn}>Open ↗</a>
+                        )}
+                      </div>
+
+                      {isExpanded && (
+                        <div className="animate-fade-in" style={detailZone}>
+                          <select
+                            style={stageSelect}
+                            value={job.stage}
+                            onChange={(e) => moveJob(job.id, e.target.value)}
+                          >
+                            {STAGES.map(s => <option key={s} value={s}>{s}</option>)}
+                          </select>
+                          <textarea
+                            style={notesInput}
+                            placeholder="Notes: recruiter, referral, follow-ups..."
+                            value={job.notes}
+                            onChange={(e) => updateNotes(job.id, e.target.value)}
+                          />
+                          <div style={timeline}>
+                            {job.history.map((entry, i) => (
+                              <div key={i} style={timelineRow}>
+                                <span style={timelineStage(STAGE_COLORS[entry.stage])}>{entry.stage}</span>
+                                <span>{formatDate(entry.date)}</span>
+                              </div>
+                            ))}
+                          </div>
+                          <JobAnalysis job={job} />
+                          <button style={delBtn} onClick={() => removeJob(job.id)}>Remove from pipeline</button>
+                        </div>
+                      )}
+                    </div>
+                  );
+                })}
+              </section>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Styles
+const pipelineLayout = {
+  display: "flex",
+  flexDirection: "column",
+  gap: "32px",
+};
+
+const headerStyle = {
+  display: "flex",
+  justifyContent: "space-between",
+  alignItems: "center",
+  flexWrap: "wrap",
+  gap: "24px",
+};
+
+const headerText = { display: "flex", flexDirection: "column", gap: "8px" };
+const titleStyle = { fontSize: "36px" };
+const subtitleStyle = { color: "hsl(var(--text-dim))", fontSize: "16px" };
+
+const actionBtn = {
+  padding: "12px 24px",
+  borderRadius: "100px",
+  background: "hsla(var(--primary) / 0.1)",
+  color: "white",
+  border: "1px solid hsla(var(--primary) / 0.3)",
+  fontWeight: "700",
+  cursor: "pointer",
+};
+
+const board = {
+  display: "grid",
+  gridTemplateColumns: "repeat(6, minmax(220px, 1fr))",
+  gap: "16px",
+  overflowX: "auto",
+  paddingBottom: "16px",
+};
+
+const column = (highlighted) => ({
+  padding: "16px",
+  minHeight: "400px",
+  display: "flex",
+  flexDirection: "column",
+  gap: "12px",
+  border: highlighted ? "1px dashed hsl(var(--accent))" : "1px solid hsla(var(--border-glass))",
+});
+
+const columnHeader = {
+  display: "flex",
+  justifyContent: "space-between",
+  alignItems: "center",
+  marginBottom: "4px",
+};
+
+const stageBadge = (color) => ({
+  fontSize: "11px",
+  fontWeight: "800",
+  textTransform: "uppercase",
+  padding: "4px 10px",
+  borderRadius: "100px",
+  background: `hsla(${color} / 0.1)`,
+  color: `hsl(${color})`,
+  border: `1px solid hsla(${color} / 0.3)`,
+});
+
+const countStyle = { fontSize: "12px", fontWeight: "700", color: "hsl(var(--text-muted))" };
+
+const jobCard = (dragging) => ({
+  padding: "14px",
+  borderRadius: "var(--radius-md)",
+  background: "hsla(var(--text-main) / 0.04)",
+  border: "1px solid hsla(var(--border-glass))",
+  display: "flex",
+  flexDirection: "column",
+  gap: "6px",
+  cursor: "grab",
+  opacity: dragging ? 0.4 : 1,
+});
+
+const jobTitle = { fontSize: "14px", fontWeight: "700", lineHeight: "1.3" };
+const companyName = { color: "hsl(var(--accent))", fontWeight: "700", fontSize: "12px" };
+const metaText = { fontSize: "11px", color: "hsl(var(--text-muted))" };
+
+const cardActions = { display: "flex", gap: "8px", marginTop: "6px" };
+
+const smallBtn = {
+  padding: "6px 12px",
+  borderRadius: "100px",
+  background: "hsla(var(--text-main) / 0.05)",
+  color: "white",
+  border: "1px solid hsla(var(--border-glass))",
+  fontWeight: "700",
+  fontSize: "11px",
+  cursor: "pointer",
+};
+
+const linkBtn = {
+  ...smallBtn,
+  textDecoration: "none",
+  background: "hsla(var(--primary) / 0.2)",
+};
+
+const detailZone = {
+  display: "flex",
+  flexDirection: "column",
+  gap: "10px",
+  paddingTop: "12px",
+  marginTop: "6px",
+  borderTop: "1px solid hsla(var(--border-glass))",
+};
+
+const stageSelect = {
+  padding: "8px",
+  borderRadius: "8px",
+  background: "hsla(var(--bg-page) / 0.8)",
+  color: "white",
+  border: "1px solid hsla(var(--border-glass))",
+};
+
+const notesInput = {
+  minHeight: "80px",
+  padding: "10px",
+  borderRadius: "8px",
+  background: "hsla(var(--bg-page) / 0.5)",
+  color: "white",
+  border: "1px solid hsla(var(--border-glass))",
+  fontFamily: "inherit",
+  fontSize: "12px",
+  resize: "vertical",
+  outline: "none",
+};
+
+const timeline = { display: "flex", flexDirection: "column", gap: "4px", fontSize: "11px", color: "hsl(var(--text-dim))" };
+const timelineRow = { display: "flex", justifyContent: "space-between" };
+const timelineStage = (color) => ({ color: `hsl(${color})`, fontWeight: "700" });
+
+const delBtn = {
+  padding: "8px",
+  borderRadius: "8px",
+  background: "hsla(var(--danger) / 0.1)",
+  color: "hsl(var(--danger))",
+  border: "none",
+  fontSize: "11px",
+  fontWeight: "700",
+  cursor: "pointer",
+};
+
+const emptyState = {
+  textAlign: "center",
+  padding: "60px",
+  color: "hsl(var(--text-muted))",
+};
@@ -0,0 +1,242 @@
+import { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { collections } from "../utils/storage";
+import { useCollection } from "../hooks/useCollection";
+import { getCompanyEvents, downloadICS, EVENT_COLORS } from "../utils/calendar";
+
+const WEEKDAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+const EVENT_LABELS = { deadline: "Deadline", oa: "OA", interview: "Interview" };
+
+const dayKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+
+// Six Monday-first weeks covering the given month
+const buildMonthGrid = (year, month) => {
+  const first = new Date(year, month, 1);
+  const start = new Date(year, month, 1 - ((first.getDay() + 6) % 7));
+  return Array.from({ length: 42 }, (_, i) => new Date(start.getFullYear(), start.getMonth(), start.getDate() + i));
+};
+
+const formatTime = (date) => (date.includes("T") ? date.slice(11, 16) : "");
+
+export default function Calendar() {
+  const navigate = useNavigate();
+  const companies = useCollection(collections.companies);
+  const [cursor, setCursor] = useState(() => {
+    const now = new Date();
+    return { year: now.getFullYear(), month: now.getMonth() };
+  });
+
+  const events = getCompanyEvents(companies);
+  const eventsByDay = events.reduce((acc, event) => {
+    const key = event.date.slice(0, 10);
+    (acc[key] = acc[key] || []).push(event);
+    return acc;
+  }, {});
+
+  const today = dayKey(new Date());
+  const upcoming = events.filter(e => e.date.slice(0, 10) >= today).slice(0, 8);
+  const monthLabel = new Date(cursor.year, cursor.month, 1).toLocaleDateString([], { month: "long", year: "numeric" });
+
+  const shiftMonth = (delta) => {
+    const next = new Date(cursor.year, cursor.month + delta, 1);
+    setCursor({ year: next.getFullYear(), month: next.getMonth() });
+  };
+
+  return (
+    <div className="animate-fade-in container-full" style={calendarLayout}>
+      <header style={headerStyle}>
+        <div>
+          <h1 className="glow-text" style={titleStyle}>Interview Calendar</h1>
+          <p style={subtitleStyle}>Deadlines, assessments and interview rounds across every company you track.</p>
+        </div>
+        <div style={headerActions}>
+          <button style={actionBtn} onClick={() => navigate("/companies")}>Companies</button>
+          <button style={actionBtn} onClick={() => downloadICS(events)} disabled={events.length === 0}>
+            Export .ics 📅
+          </button>
+        </div>
+      </header>
+
+      <div style={calendarGrid}>
+        <section className="glass-card" style={monthCard}>
+          <div style={monthHeader}>
+            <button style={navBtn} onClick={() => shiftMonth(-1)}>‹</button>
+            <h2 style={monthTitle}>{monthLabel}</h2>
+            <button style={navBtn} onClick={() => shiftMonth(1)}>›</button>
+          </div>
+          <div style={weekGrid}>
+            {WEEKDAYS.map(day => <span key={day} style={weekdayLabel}>{day}</span>)}
+            {buildMonthGrid(cursor.year, cursor.month).map(date => {
+              const key = dayKey(date);
+              const dayEvents = eventsByDay[key] || [];
+              return (
+                <div key={key} style={dayCell(date.getMonth() === cursor.month, key === today)}>
+                  <span style={dayNumber}>{date.getDate()}</span>
+                  {dayEvents.map(event => (
+                    <span key={event.id} style={eventChip(event.type)} title={event.title}>
+                      {formatTime(event.date)} {companies[event.companyKey]?.name || EVENT_LABELS[event.type]}
+                    </span>
+                  ))}
+                </div>
+              );
+            })}
+          </div>
+          <div style={legend}>
+            {Object.entries(EVENT_LABELS).map(([type, label]) => (
+              <span key={type} style={legendItem}>
+                <span style={legendDot(type)} /> {label}
+              </span>
+            ))}
+          </div>
+        </section>
+
+        <section className="glass-card" style={upcomingCard}>
+          <span style={labelStyle}>Upcoming</span>
+          {upcoming.length === 0 ? (
+            <p style={mutedText}>Nothing scheduled. Add deadlines and interview rounds from a company's skill map.</p>
+          ) : (
+            upcoming.map(event => (
+              <div key={event.id} style={upcomingItem(event.type)}>
+                <span style={upcomingDate}>
+                  {new Date(event.date.includes("T") ? event.date : `${event.date}T00:00`).toLocaleDateString([], { weekday: "short", month: "short", day: "numeric" })}
+                  {formatTime(event.date) && ` • ${formatTime(event.date)}`}
+                </span>
+                <span style={upcomingTitle}>{event.title}</span>
+              </div>
+            ))
+          )}
+        </section>
+      </div>
+    </div>
+  );
+}
+
+// Styles
+const calendarLayout = {
+  maxWidth: "1200px",
+  margin: "0 auto",
+  display: "flex",
+  flexDirection: "column",
+  gap: "28px",
+};
+
+const headerStyle = {
+  display: "flex",
+  justifyContent: "space-between",
+  alignItems: "center",
+  flexWrap: "wrap",
+  gap: "24px",
+};
+
+const titleStyle = { fontSize: "36px", marginBottom: "8px" };
+const subtitleStyle = { color: "hsl(var(--text-dim))", fontSize: "16px" };
+const headerActions = { display: "flex", gap: "12px" };
+
+const actionBtn = {
+  padding: "12px 24px",
+  borderRadius: "100px",
+  background: "hsla(var(--primary) / 0.1)",
+  color: "white",
+  border: "1px solid hsla(var(--primary) / 0.3)",
+  fontWeight: "700",
+  cursor: "pointer",
+};
+
+const calendarGrid = {
+  display: "grid",
+  gridTemplateColumns: "minmax(0, 1fr) 300px",
+  gap: "24px",
+  alignItems: "start",
+};
+
+const monthCard = {
+  padding: "24px",
+  display: "flex",
+  flexDirection: "column",
+  gap: "16px",
+  border: "1px solid hsla(var(--border-glass))",
+};
+
+const monthHeader = { display: "flex", justifyContent: "space-between", alignItems: "center" };
+const monthTitle = { fontSize: "20px", fontWeight: "800" };
+
+const navBtn = {
+  width: "36px",
+  height: "36px",
+  borderRadius: "50%",
+  border: "1px solid hsla(var(--border-glass))",
+  background: "hsla(var(--text-main) / 0.05)",
+  color: "white",
+  fontSize: "18px",
+  cursor: "pointer",
+};
+
+const weekGrid = { display: "grid", gridTemplateColumns: "repeat(7, minmax(0, 1fr))", gap: "6px" };
+
+const weekdayLabel = {
+  fontSize: "11px",
+  fontWeight: "700",
+  textTransform: "uppercase",
+  color: "hsl(var(--text-muted))",
+  textAlign: "center",
+};
+
+const dayCell = (inMonth, isToday) => ({
+  minHeight: "86px",
+  padding: "6px",
+  borderRadius: "8px",
+  display: "flex",
+  flexDirection: "column",
+  gap: "4px",
+  background: inMonth ? "hsla(var(--text-main) / 0.03)" : "transparent",
+  border: isToday ? "1px solid hsl(var(--accent))" : "1px solid hsla(var(--border-glass))",
+  opacity: inMonth ? 1 : 0.4,
+  overflow: "hidden",
+});
+
+const dayNumber = { fontSize: "12px", fontWeight: "700", color: "hsl(var(--text-dim))" };
+
+const eventChip = (type) => ({
+  fontSize: "10px",
+  fontWeight: "700",
+  padding: "2px 6px",
+  borderRadius: "4px",
+  background: `hsla(${EVENT_COLORS[type]} / 0.15)`,
+  color: `hsl(${EVENT_COLORS[type]})`,
+  whiteSpace: "nowrap",
+  overflow: "hidden",
+  textOverflow: "ellipsis",
+});
+
+const legend = { display: "flex", gap: "16px" };
+const legendItem = { display: "flex", alignItems: "center", gap: "6px", fontSize: "12px", color: "hsl(var(--text-muted))" };
+const legendDot = (type) => ({ width: "8px", height: "8px", borderRadius: "50%", background: `hsl(${EVENT_COLORS[type]})` });
+
+const upcomingCard = {
+  padding: "24px",
+  display: "flex",
+  flexDirection: "column",
+  gap: "12px",
+  border: "1px solid hsla(var(--border-glass))",
+};
+
+const labelStyle = {
+  fontSize: "12px",
+  fontWeight: "700",
+  textTransform: "uppercase",
+  letterSpacing: "0.1em",
+  color: "hsl(var(--text-muted))",
+};
+
+const mutedText = { fontSize: "13px", color: "hsl(var(--text-muted))" };
+
+const upcomingItem = (type) => ({
+  display: "flex",
+  flexDirection: "column",
+  gap: "2px",
+  paddingLeft: "10px",
+  borderLeft: `3px solid hsl(${EVENT_COLORS[type]})`,
+});
+
+const upcomingDate = { fontSize: "12px", color: "hsl(var(--text-muted))" };
+const upcomingTitle = { fontSize: "14px", fontWeight: "600" };
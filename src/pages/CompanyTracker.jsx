@@ -1,81 +1,135 @@
 import { useState } from "react";
-import { getData, saveData } from "../utils/storage";
-import { useNavigate } from "react-router-dom";
+import { collections } from "../utils/storage";
+import { useCollection } from "../hooks/useCollection";
+import { useNavigate, useLocation, useSearchParams } from "react-router-dom";
+import { calculateReadiness, getStatusInfo } from "../utils/readiness";
+import { getLevelLabel, addSkills, PROFICIENCY_LEVELS, DEFAULT_REQUIRED_LEVEL } from "../utils/proficiency";
+import { createCompanyKey } from "../utils/schema";
+import { track, trashCompany } from "../utils/history";
+import { isOverdue } from "../utils/review";
+import { ROLE_TEMPLATES, getCustomTemplates, saveCustomTemplates, decodeTemplate, createTemplate } from "../utils/roleTemplates";
+import TailorPanel from "../components/TailorPanel";
+import TemplateManager from "../components/TemplateManager";
+import CompanySchedule from "../components/CompanySchedule";
 
 export default function CompanyTracker() {
-  const [companies, setCompanies] = useState(() => getData("companyTrackers") || {});
-  const [newCompany, setNewCompany] = useState("");
-  const [newRole, setNewRole] = useState("");
+  const location = useLocation();
+  // Job Board's "Create Company Tracker" passes { company, role, skills, jd } as route state
+  const prefill = location.state || {};
+  const companies = useCollection(collections.companies);
+  const [newCompany, setNewCompany] = useState(prefill.company || "");
+  const [newRole, setNewRole] = useState(prefill.role || "");
+  const [prefillSkills, setPrefillSkills] = useState(prefill.skills || []);
+  const [prefillSource, setPrefillSource] = useState(prefill.skills ? "the analyzed job" : "");
+  const customTemplates = useCollection(collections.roleTemplates);
+  const [templateId, setTemplateId] = useState("");
+  const [showTemplates, setShowTemplates] = useState(false);
+  const [searchParams, setSearchParams] = useSearchParams();
+  // A shared template link carries the template in ?template=<code>
+  const [sharedTemplate] = useState(() => {
+    try {
+      return searchParams.get("template") ? decodeTemplate(searchParams.get("template")) : null;
+    } catch {
+      return null;
+    }
+  });
   const [selectedCompany, setSelectedCompany] = useState(null);
-  const [skills] = useState(() => getData("skillTracker") || []);
+  const [tailoringCompany, setTailoringCompany] = useState(null);
+  const skills = useCollection(collections.skills);
   const navigate = useNavigate();
 
+  const updateTemplates = (updated) => saveCustomTemplates(updated);
+
+  const applyTemplate = (id) => {
+    setTemplateId(id);
+    const template = [...ROLE_TEMPLATES, ...getCustomTemplates()].find(t => t.id === id);
+    if (!template) {
+      setPrefillSkills([]);
+      return;
+    }
+    setPrefillSkills(template.skills);
+    setPrefillSource(`the ${template.name} template`);
+    if (!newRole.trim()) setNewRole(template.name);
+  };
+
+  const importSharedTemplate = () => {
+    updateTemplates([...getCustomTemplates(), sharedTemplate]);
+    setSearchParams({});
+    applyTemplate(sharedTemplate.id);
+  };
+
+  const saveAsTemplate = (company) => {
+    const template = createTemplate(`${company.role} (${company.name})`, company.skills || []);
+    updateTemplates([...getCustomTemplates(), template]);
+    setShowTemplates(true);
+  };
+
   const addCompany = () => {
     if (!newCompany.trim() || !newRole.trim()) return;
 
-    const companyKey = `${newCompany.trim()}-${Date.now()}`;
+    const companyKey = createCompanyKey(newCompany);
     const updatedCompanies = {
-      ...companies,
+      ...collections.companies.get(),
       [companyKey]: {
         name: newCompany.trim(),
         role: newRole.trim(),
-        skills: [],
+        skills: [...new Set(prefillSkills)],
+        jd: prefillSkills.length > 0 ? prefill.jd || "" : "",
         addedDate: new Date().toISOString()
       }
     };
 
-    setCompanies(updatedCompanies);
-    saveData("companyTrackers", updatedCompanies);
+    track(`Added company ${newCompany.trim()} — ${newRole.trim()}`, () => {
+      collections.companies.set(updatedCompanies);
+      // Sync prefilled skills to global skill tracker
+      if (prefillSkills.length > 0) addSkills(prefillSkills);
+    }, { type: "company" });
+
     setNewCompany("");
     setNewRole("");
+    setPrefillSkills([]);
+    setTemplateId("");
   };
 
   const addSkillToCompany = (companyKey, skillName) => {
-    const updatedCompanies = { ...companies };
+    const updatedCompanies = collections.companies.get();
     if (!updatedCompanies[companyKey].skills) updatedCompanies[companyKey].skills = [];
 
     if (!updatedCompanies[companyKey].skills.includes(skillName)) {
       updatedCompanies[companyKey].skills.push(skillName);
-      setCompanies(updatedCompanies);
-      saveData("companyTrackers", updatedCompanies);
-
-      // Sync to global skill tracker
-      const globalSkills = getData("skillTracker") || [];
-      if (!globalSkills.find(s => s.name.toLowerCase() === skillName.toLowerCase())) {
-        const updatedGlobal = [...globalSkills, { name: skillName, learned: false }];
-        saveData("skillTracker", updatedGlobal);
-      }
+      track(`Added ${skillName} to ${updatedCompanies[companyKey].name}`, () => {
+        collections.companies.set(updatedCompanies);
+        // Sync to global skill tracker
+        addSkills([skillName]);
+      }, { type: "company" });
     }
   };
 
   const removeSkillFromCompany = (companyKey, skillName) => {
-    const updatedCompanies = { ...companies };
+    const updatedCompanies = collections.companies.get();
     updatedCompanies[companyKey].skills = updatedCompanies[companyKey].skills.filter(s => s !== skillName);
-    setCompanies(updatedCompanies);
-    saveData("companyTrackers", updatedCompanies);
+    track(`Removed ${skillName} from ${updatedCompanies[companyKey].name}`, () => collections.companies.set(updatedCompanies), { type: "company" });
   };
 
-  const deleteCompany = (companyKey) => {
-    const updatedCompanies = { ...companies };
-    delete updatedCompanies[companyKey];
-    setCompanies(updatedCompanies);
-    saveData("companyTrackers", updatedCompanies);
-    if (selectedCompany === companyKey) setSelectedCompany(null);
+  const updateCompany = (companyKey, changes) => {
+    const updatedCompanies = collections.companies.get();
+    updatedCompanies[companyKey] = { ...updatedCompanies[companyKey], ...changes };
+    track(`Updated the schedule for ${updatedCompanies[companyKey].name}`, () => collections.companies.set(updatedCompanies), {
+      type: "company",
+      mergeKey: `schedule-${companyKey}`,
+    });
   };
 
-  const calculateReadiness = (companySkills) => {
-    if (!companySkills || companySkills.length === 0) return 0;
-    const learnedSkills = companySkills.filter(name => {
-      const s = skills.find(obj => obj.name === name);
-      return s && s.learned;
-    });
-    return Math.round((learnedSkills.length / companySkills.length) * 100);
+  const setRequiredLevel = (companyKey, skillName, level) => {
+    const updatedCompanies = collections.companies.get();
+    const company = updatedCompanies[companyKey];
+    updatedCompanies[companyKey] = { ...company, requiredLevels: { ...(company.requiredLevels || {}), [skillName]: level } };
+    track(`Set ${company.name} to require ${getLevelLabel(level)} ${skillName}`, () => collections.companies.set(updatedCompanies), { type: "company" });
   };
 
-  const getStatusInfo = (ready) => {
-    if (ready >= 80) return { label: "Deployment Ready", color: "hsl(var(--success))" };
-    if (ready >= 50) return { label: "Developing", color: "hsl(var(--warning))" };
-    return { label: "High Gap", color: "hsl(var(--danger))" };
+  const deleteCompany = (companyKey) => {
+    trashCompany(companyKey);
+    if (selectedCompany === companyKey) setSelectedCompany(null);
   };
 
   return (
@@ -92,6 +146,9 @@ export default function CompanyTracker() {
            <button style={actionBtn} onClick={() => navigate("/jobs")}>
              Explore Jobs 🎯
            </button>
+           <button style={actionBtn} onClick={() => navigate("/calendar")}>
+             Calendar 📅
+           </button>
         </div>
       </header>
 
@@ -116,8 +173,38 @@ export default function CompanyTracker() {
                  onChange={(e) => setNewRole(e.target.value)}
                />
             </div>
+            <div style={inputGroup}>
+               <label style={labelStyle}>Role Template</label>
+               <select style={inputStyle} value={templateId} onChange={(e) => applyTemplate(e.target.value)}>
+                 <option value="">Start empty</option>
+                 <optgroup label="Built-in">
+                   {ROLE_TEMPLATES.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+                 </optgroup>
+                 {customTemplates.length > 0 && (
+                   <optgroup label="My Templates">
+                     {customTemplates.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+                   </optgroup>
+                 )}
+               </select>
+            </div>
             <button style={deployBtn} onClick={addCompany}>Initiate Tracker</button>
          </div>
+         {prefillSkills.length > 0 && (
+           <p style={prefillNote}>
+             {prefillSkills.length} skills from {prefillSource} will be mapped to this tracker.
+             <span style={remBtn} onClick={() => { setPrefillSkills([]); setTemplateId(""); }}> ×</span>
+           </p>
+         )}
+         {sharedTemplate && searchParams.get("template") && (
+           <p style={prefillNote}>
+             Someone shared the "{sharedTemplate.name}" template ({sharedTemplate.skills.length} skills).
+             <button style={inlineBtn} onClick={importSharedTemplate}>Add to my templates</button>
+           </p>
+         )}
+         <button style={inlineBtn} onClick={() => setShowTemplates(!showTemplates)}>
+           {showTemplates ? "Hide my templates" : `Manage my templates (${customTemplates.length})`}
+         </button>
+         {showTemplates && <TemplateManager templates={customTemplates} onChange={updateTemplates} />}
       </section>
 
       {/* Grid */}
@@ -126,8 +213,12 @@ export default function CompanyTracker() {
           <div style={emptyState}>No enterprise targets locked. Use the JD Analyzer to start.</div>
         ) : (
           Object.entries(companies).map(([key, company]) => {
-            const readiness = calculateReadiness(company.skills);
+            const readiness = calculateReadiness(company.skills, skills, company.requiredLevels);
             const status = getStatusInfo(readiness);
+            const overdueCount = (company.skills || []).filter(sName => {
+              const s = skills.find(obj => obj.name === sName);
+              return s && isOverdue(s);
+            }).length;
             const isExpanded = selectedCompany === key;
 
             return (
@@ -144,19 +235,32 @@ export default function CompanyTracker() {
 
                 <div style={statusRow}>
                   <span style={statusBadge(status.color)}>{status.label}</span>
-                  <span style={skillCount}>{company.skills?.length || 0} skills mapped</span>
+                  <span style={skillCount}>
+                    {company.skills?.length || 0} skills mapped
+                    {overdueCount > 0 && <span style={overdueNote}> • {overdueCount} overdue for review</span>}
+                  </span>
                 </div>
 
                 <div style={cardActions}>
                    <button style={isExpanded ? hideBtn : manageBtn} onClick={() => setSelectedCompany(isExpanded ? null : key)}>
                      {isExpanded ? "Collapse" : "Manage Skill Map"}
                    </button>
+                   <button style={tailorBtn} onClick={() => setTailoringCompany(key)}>Tailor ✨</button>
                    <button style={delBtn} onClick={() => deleteCompany(key)}>🗑️</button>
                 </div>
 
                 {isExpanded && (
                   <div className="animate-fade-in" style={expandedZone}>
                     <div style={addSkillRow}>
+                       <button
+                         style={roadmapBtn}
+                         onClick={() => navigate("/roadmap", { state: { targetType: "company", targetId: key } })}
+                       >
+                         Roadmap 🗺️
+                       </button>
+                       <button style={roadmapBtn} onClick={() => saveAsTemplate(company)} disabled={!company.skills?.length}>
+                         Save as Template
+                       </button>
                        <select 
                          style={skillSelect}
                          onChange={(e) => {
@@ -174,15 +278,28 @@ export default function CompanyTracker() {
                     </div>
                     <div style={skillTagCloud}>
                       {company.skills?.map(sName => {
-                        const isLearned = skills.find(s => s.name === sName)?.learned;
+                        const level = skills.find(s => s.name === sName)?.level || 0;
+                        const required = company.requiredLevels?.[sName] || DEFAULT_REQUIRED_LEVEL;
                         return (
-                          <div key={sName} style={skillTag(isLearned)}>
+                          <div key={sName} style={skillTag(level >= required)} title={`Current: ${getLevelLabel(level)}`}>
                             {sName}
+                            <span style={levelRatio}>{level}/{required}</span>
+                            <select
+                              style={levelSelect}
+                              value={required}
+                              title="Required level"
+                              onChange={(e) => setRequiredLevel(key, sName, Number(e.target.value))}
+                            >
+                              {PROFICIENCY_LEVELS.filter(l => l.value > 0).map(l => (
+                                <option key={l.value} value={l.value}>Needs {l.label}</option>
+                              ))}
+                            </select>
                             <span style={remBtn} onClick={() => removeSkillFromCompany(key, sName)}>×</span>
                           </div>
                         );
                       })}
                     </div>
+                    <CompanySchedule companyKey={key} company={company} onUpdate={(changes) => updateCompany(key, changes)} />
                   </div>
                 )}
               </div>
@@ -190,6 +307,14 @@ export default function CompanyTracker() {
           })
         )}
       </div>
+
+      {tailoringCompany && companies[tailoringCompany] && (
+        <TailorPanel
+          companyKey={tailoringCompany}
+          company={companies[tailoringCompany]}
+          onClose={() => setTailoringCompany(null)}
+        />
+      )}
     </div>
   );
 }
@@ -329,6 +454,20 @@ const statusBadge = (color) => ({
 
 const skillCount = { fontSize: "12px", color: "hsl(var(--text-muted))" };
 
+const roadmapBtn = {
+  padding: "10px 16px",
+  borderRadius: "8px",
+  background: "hsla(var(--primary) / 0.1)",
+  color: "white",
+  border: "1px solid hsla(var(--primary) / 0.3)",
+  fontWeight: "700",
+  fontSize: "12px",
+  cursor: "pointer",
+  whiteSpace: "nowrap",
+};
+
+const overdueNote = { color: "hsl(var(--danger))", fontWeight: "700" };
+
 const cardActions = { display: "flex", gap: "10px" };
 
 const manageBtn = {
@@ -349,6 +488,17 @@ const hideBtn = {
   border: "none",
 };
 
+const tailorBtn = {
+  padding: "10px 16px",
+  borderRadius: "100px",
+  background: "hsla(var(--accent) / 0.1)",
+  color: "hsl(var(--accent))",
+  border: "1px solid hsla(var(--accent) / 0.3)",
+  fontWeight: "700",
+  fontSize: "12px",
+  cursor: "pointer",
+};
+
 const delBtn = {
   width: "38px",
   height: "38px",
@@ -393,6 +543,16 @@ const skillTag = (learned) => ({
   gap: "6px",
 });
 
+const levelRatio = { fontSize: "11px", fontWeight: "800" };
+
+const levelSelect = {
+  background: "transparent",
+  color: "inherit",
+  border: "none",
+  fontSize: "11px",
+  cursor: "pointer",
+};
+
 const remBtn = { cursor: "pointer", fontSize: "16px", fontWeight: "300" };
 
 const headerActions = {
@@ -418,6 +578,24 @@ const addSkillRow = {
 };
 
 
+const inlineBtn = {
+  background: "none",
+  border: "none",
+  color: "hsl(var(--accent))",
+  fontSize: "13px",
+  fontWeight: "700",
+  cursor: "pointer",
+  marginTop: "12px",
+  padding: 0,
+  marginLeft: "8px",
+};
+
+const prefillNote = {
+  marginTop: "12px",
+  fontSize: "13px",
+  color: "hsl(var(--accent))",
+};
+
 const emptyState = {
   gridColumn: "1 / -1",
   textAlign: "center",
@@ -1,7 +1,100 @@
+import { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
 import { useAuth } from "../context/AuthContext";
+import { getData, saveData, collections } from "../utils/storage";
+import { useCollection } from "../hooks/useCollection";
+import { calculateReadiness, getStatusInfo } from "../utils/readiness";
+import { getResourcesForSkill } from "../utils/resources";
+import { getStudyAnalytics, getStudyHeatmap } from "../utils/studyTimer";
+
+const TREND_WEEKS = 8;
+
+const todayKey = () => new Date().toISOString().slice(0, 10);
+
+const ACTIVITY_ICONS = { skill: "🧠", company: "🏢", job: "💼", trash: "🗑️" };
+
+const formatHours = (minutes) => (minutes >= 60 ? `${(minutes / 60).toFixed(1)}h` : `${minutes}m`);
+
+// Mastered count at the end of each of the last TREND_WEEKS weeks, from daily snapshots
+const buildWeeklyTrend = (history) => {
+  const points = [];
+  for (let i = TREND_WEEKS - 1; i >= 0; i--) {
+    const weekEnd = new Date();
+    weekEnd.setDate(weekEnd.getDate() - i * 7);
+    const cutoff = weekEnd.toISOString().slice(0, 10);
+    const snapshot = [...history].reverse().find(s => s.date <= cutoff);
+    points.push({ label: cutoff.slice(5), value: snapshot ? snapshot.mastered : 0 });
+  }
+  return points;
+};
 
 export default function Dashboard() {
   const { user } = useAuth();
+  const navigate = useNavigate();
+
+  const skills = useCollection(collections.skills);
+  const companies = useCollection(collections.companies);
+  const savedJobs = useCollection(collections.savedJobs);
+  const lastJD = useCollection(collections.lastJD);
+  const extractedSkills = useCollection(collections.extractedSkills);
+  const activity = useCollection(collections.activity);
+  const [history] = useState(() => getData("progressHistory") || []);
+  const studySessions = useCollection(collections.studySessions);
+  const [studyRange, setStudyRange] = useState("week");
+
+  const masteredCount = skills.filter(s => s.learned).length;
+  const masteryPercentage = skills.length > 0 ? Math.round((masteredCount / skills.length) * 100) : 0;
+
+  // Record one snapshot per day so the weekly trend has something to plot
+  useEffect(() => {
+    const stored = getData("progressHistory") || [];
+    const snapshot = { date: todayKey(), mastered: masteredCount, total: skills.length };
+    const updated = [...stored.filter(s => s.date !== snapshot.date), snapshot]
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .slice(-120);
+    saveData("progressHistory", updated);
+  }, [masteredCount, skills.length]);
+
+  const companyStats = Object.entries(companies).map(([key, company]) => ({
+    key,
+    name: company.name || key,
+    role: company.role,
+    readiness: calculateReadiness(company.skills, skills, company.requiredLevels),
+  })).sort((a, b) => b.readiness - a.readiness);
+
+  const averageReadiness = companyStats.length > 0
+    ? Math.round(companyStats.reduce((sum, c) => sum + c.readiness, 0) / companyStats.length)
+    : 0;
+
+  const jdSkills = Array.isArray(extractedSkills) ? extractedSkills : Object.values(extractedSkills).flat();
+  const jdMatched = jdSkills.filter(name =>
+    skills.some(s => s.learned && s.name.toLowerCase() === String(name).toLowerCase())
+  ).length;
+
+  const appliedCount = savedJobs.filter(job => job.stage && job.stage !== "Saved").length;
+
+  const trend = buildWeeklyTrend([...history.filter(s => s.date !== todayKey()), { date: todayKey(), mastered: masteredCount }]);
+
+  const nextActions = [];
+  if (!lastJD) {
+    nextActions.push({ title: "Analyze a job description", text: "Extract the skills a target role actually asks for.", path: "/analyzer" });
+  }
+  const weakest = companyStats[companyStats.length - 1];
+  if (weakest && weakest.readiness < 80) {
+    nextActions.push({ title: `Close the gap at ${weakest.name}`, text: `${weakest.readiness}% ready. Map skills and track what's missing.`, path: "/companies" });
+  }
+  const studyable = skills.filter(s => !s.learned && getResourcesForSkill(s.name).length > 0);
+  if (studyable.length > 0) {
+    nextActions.push({ title: `Study ${studyable[0].name}`, text: `${studyable.length} in-progress skills have curated resources.`, path: "/resources" });
+  }
+  if (skills.length === 0 || skills.length - masteredCount > 0) {
+    nextActions.push({ title: "Level up your skills", text: `${skills.length - masteredCount} skills still in progress.`, path: "/skills" });
+  }
+  if (companyStats.length === 0) {
+    nextActions.push({ title: "Track a target company", text: "Set up a tracker to measure readiness per role.", path: "/companies" });
+  }
+
+  const study = getStudyAnalytics(studySessions, studyRange);
 
   return (
     <div className="animate-fade-in container-full" style={dashboardLayout}>
@@ -15,6 +108,200 @@ export default function Dashboard() {
           </p>
         </div>
       </header>
+
+      {/* Metrics */}
+      <section className="bento-grid-dashboard">
+        <div className="glass-card" style={{ ...tile, gridArea: "readiness" }}>
+          <span style={tileLabel}>Company Readiness</span>
+          <div style={ringRow}>
+            <ProgressRing value={averageReadiness} color={getStatusInfo(averageReadiness).color} size={140} />
+            <div style={companyList}>
+              {companyStats.length === 0 ? (
+                <p style={mutedText}>No company trackers yet.</p>
+              ) : (
+                companyStats.slice(0, 5).map(c => (
+                  <div key={c.key} style={companyRow}>
+                    <span style={companyNameStyle}>{c.name}</span>
+                    <span style={{ ...companyPct, color: getStatusInfo(c.readiness).color }}>{c.readiness}%</span>
+                  </div>
+                ))
+              )}
+            </div>
+          </div>
+        </div>
+
+        <div className="glass-card" style={{ ...tile, gridArea: "mastery" }}>
+          <span style={tileLabel}>Skill Mastery</span>
+          <div style={ringRow}>
+            <ProgressRing value={masteryPercentage} color="hsl(var(--accent))" size={96} />
+            <div style={statStack}>
+              <span style={bigNumber}>{masteredCount}</span>
+              <span style={mutedText}>mastered • {skills.length - masteredCount} in progress</span>
+            </div>
+          </div>
+        </div>
+
+        <div className="glass-card" style={{ ...tile, gridArea: "market" }}>
+          <span style={tileLabel}>Job Pipeline</span>
+          <span style={bigNumber}>{savedJobs.length}</span>
+          <span style={mutedText}>saved jobs • {appliedCount} applied</span>
+          <span style={tileLabel}>Last JD</span>
+          <span style={mutedText}>
+            {jdSkills.length > 0 ? `${jdMatched} of ${jdSkills.length} extracted skills mastered` : "No analysis yet"}
+          </span>
+        </div>
+
+        {nextActions.slice(0, 2).map((action, i) => (
+          <div
+            key={action.title}
+            className="glass-card hover-glow"
+            style={{ ...tile, ...actionTile, gridArea: `action${i + 1}` }}
+            onClick={() => navigate(action.path)}
+          >
+            <span style={tileLabel}>Next best action</span>
+            <span style={actionTitle}>{action.title} →</span>
+            <span style={mutedText}>{action.text}</span>
+          </div>
+        ))}
+      </section>
+
+      {/* Weekly Trend */}
+      <section className="glass-card" style={trendCard}>
+        <span style={tileLabel}>Skills mastered — weekly trend</span>
+        <TrendLine points={trend} />
+      </section>
+
+      {/* Study Time */}
+      <section className="glass-card" style={trendCard}>
+        <div style={studyHeader}>
+          <span style={tileLabel}>Study time — {formatHours(study.totalMinutes)} in {study.sessionCount} sessions</span>
+          <div style={rangeToggle}>
+            {["week", "month"].map(r => (
+              <button key={r} style={rangeBtn(studyRange === r)} onClick={() => setStudyRange(r)}>
+                {r === "week" ? "7 days" : "30 days"}
+              </button>
+            ))}
+          </div>
+        </div>
+        {study.sessionCount === 0 ? (
+          <p style={mutedText}>No focus sessions in this period. Start the ⏱ timer from a skill card or resource.</p>
+        ) : (
+          <div style={studyColumns}>
+            <HourBars title="Per skill" rows={study.bySkill.slice(0, 6)} />
+            <HourBars title="Per category" rows={study.byCategory} />
+          </div>
+        )}
+        <StudyHeatmap weeks={getStudyHeatmap(studySessions)} />
+      </section>
+
+      {/* Recent Activity */}
+      <section className="glass-card" style={trendCard}>
+        <span style={tileLabel}>Recent activity</span>
+        {activity.length === 0 ? (
+          <p style={mutedText}>Changes to your skills, companies and applications will show up here.</p>
+        ) : (
+          <div style={activityList}>
+            {activity.slice(0, 10).map(entry => (
+              <div key={entry.id} style={activityRow}>
+                <span>{ACTIVITY_ICONS[entry.type] || "•"}</span>
+                <span style={activityLabel}>{entry.label}</span>
+                <span style={mutedText}>{new Date(entry.date).toLocaleString([], { dateStyle: "medium", timeStyle: "short" })}</span>
+              </div>
+            ))}
+          </div>
+        )}
+      </section>
+    </div>
+  );
+}
+
+function ProgressRing({ value, color, size }) {
+  const stroke = 10;
+  const radius = (size - stroke) / 2;
+  const circumference = 2 * Math.PI * radius;
+  return (
+    <svg width={size} height={size} style={{ flexShrink: 0 }}>
+      <circle cx={size / 2} cy={size / 2} r={radius} fill="none" stroke="hsla(var(--text-main) / 0.08)" strokeWidth={stroke} />
+      <circle
+        cx={size / 2}
+        cy={size / 2}
+        r={radius}
+        fill="none"
+        stroke={color}
+        strokeWidth={stroke}
+        strokeLinecap="round"
+        strokeDasharray={circumference}
+        strokeDashoffset={circumference * (1 - value / 100)}
+        transform={`rotate(-90 ${size / 2} ${size / 2})`}
+      />
+      <text x="50%" y="50%" textAnchor="middle" dominantBaseline="central" fill="white" fontSize={size / 5} fontWeight="800">
+        {value}%
+      </text>
+    </svg>
+  );
+}
+
+function TrendLine({ points }) {
+  const width = 600;
+  const height = 160;
+  const pad = 24;
+  const max = Math.max(1, ...points.map(p => p.value));
+  const step = (width - pad * 2) / Math.max(1, points.length - 1);
+  const coords = points.map((p, i) => [pad + i * step, height - pad - (p.value / max) * (height - pad * 2)]);
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} style={trendSvg}>
+      <polyline
+        points={coords.map(c => c.join(",")).join(" ")}
+        fill="none"
+        stroke="hsl(var(--primary))"
+        strokeWidth="3"
+        strokeLinejoin="round"
+      />
+      {coords.map(([x, y], i) => (
+        <g key={points[i].label}>
+          <circle cx={x} cy={y} r="4" fill="hsl(var(--accent))" />
+          <text x={x} y={y - 10} textAnchor="middle" fill="white" fontSize="11">{points[i].value}</text>
+          <text x={x} y={height - 4} textAnchor="middle" fill="hsl(var(--text-muted))" fontSize="10">{points[i].label}</text>
+        </g>
+      ))}
+    </svg>
+  );
+}
+
+function HourBars({ title, rows }) {
+  const max = Math.max(1, ...rows.map(r => r.minutes));
+  return (
+    <div style={barList}>
+      <span style={mutedText}>{title}</span>
+      {rows.map(row => (
+        <div key={row.name} style={barRow}>
+          <span style={barLabel}>{row.name}</span>
+          <div style={barTrack}>
+            <div style={barFill(row.minutes / max)} />
+          </div>
+          <span style={barValue}>{formatHours(row.minutes)}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function StudyHeatmap({ weeks }) {
+  const max = Math.max(1, ...weeks.flat().map(d => d.minutes));
+  return (
+    <div style={heatmapGrid}>
+      {weeks.map(week => (
+        <div key={week[0].date} style={heatmapColumn}>
+          {week.map(day => (
+            <div
+              key={day.date}
+              title={`${day.date}: ${formatHours(day.minutes)}`}
+              style={heatmapCell(day.future ? null : day.minutes / max)}
+            />
+          ))}
+        </div>
+      ))}
     </div>
   );
 }
@@ -23,10 +310,7 @@ export default function Dashboard() {
 const dashboardLayout = {
   display: "flex",
   flexDirection: "column",
-  alignItems: "center",
-  justifyContent: "center",
-  minHeight: "60vh",
-  textAlign: "center",
+  gap: "40px",
   padding: "40px 20px",
 };
 
@@ -35,16 +319,18 @@ const heroHeader = {
   flexDirection: "column",
   alignItems: "center",
   maxWidth: "900px",
+  margin: "0 auto",
+  textAlign: "center",
 };
 
-const heroContent = { 
-  display: "flex", 
+const heroContent = {
+  display: "flex",
   flexDirection: "column",
   alignItems: "center"
 };
 
-const heroTitle = { 
-  fontSize: "clamp(3.5rem, 8vw, 6rem)", 
+const heroTitle = {
+  fontSize: "clamp(3.5rem, 8vw, 6rem)",
   marginBottom: "24px",
   lineHeight: "1.1",
   fontWeight: "900",
@@ -54,10 +340,88 @@ const heroTitle = {
   WebkitTextFillColor: "transparent",
 };
 
-const heroSubtitle = { 
-  color: "hsl(var(--text-dim))", 
-  fontSize: "clamp(1.1rem, 1.5vw, 1.5rem)", 
+const heroSubtitle = {
+  color: "hsl(var(--text-dim))",
+  fontSize: "clamp(1.1rem, 1.5vw, 1.5rem)",
   maxWidth: "700px",
   lineHeight: "1.6",
   fontWeight: "400",
-};
\ No newline at end of file
+};
+
+const tile = {
+  padding: "24px",
+  display: "flex",
+  flexDirection: "column",
+  gap: "8px",
+  border: "1px solid hsla(var(--border-glass))",
+  overflow: "hidden",
+};
+
+const tileLabel = {
+  fontSize: "11px",
+  fontWeight: "800",
+  textTransform: "uppercase",
+  letterSpacing: "0.1em",
+  color: "hsl(var(--text-muted))",
+};
+
+const ringRow = { display: "flex", alignItems: "center", gap: "24px", flex: 1 };
+const companyList = { display: "flex", flexDirection: "column", gap: "10px", flex: 1, minWidth: 0 };
+const companyRow = { display: "flex", justifyContent: "space-between", gap: "12px" };
+const companyNameStyle = { fontWeight: "700", overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" };
+const companyPct = { fontWeight: "800" };
+
+const statStack = { display: "flex", flexDirection: "column", gap: "4px" };
+const bigNumber = { fontSize: "32px", fontWeight: "800", color: "hsl(var(--accent))", lineHeight: 1 };
+const mutedText = { fontSize: "13px", color: "hsl(var(--text-dim))" };
+
+const actionTile = { cursor: "pointer", justifyContent: "center" };
+const actionTitle = { fontSize: "16px", fontWeight: "800" };
+
+const trendCard = {
+  padding: "24px",
+  display: "flex",
+  flexDirection: "column",
+  gap: "16px",
+  border: "1px solid hsla(var(--border-glass))",
+};
+
+const trendSvg = { width: "100%", height: "auto" };
+
+const activityList = { display: "flex", flexDirection: "column", gap: "10px" };
+const activityRow = { display: "flex", alignItems: "center", gap: "12px", fontSize: "14px" };
+const activityLabel = { flex: 1, minWidth: 0, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" };
+
+const studyHeader = { display: "flex", justifyContent: "space-between", alignItems: "center", gap: "12px", flexWrap: "wrap" };
+const rangeToggle = { display: "flex", gap: "6px" };
+
+const rangeBtn = (active) => ({
+  padding: "6px 14px",
+  borderRadius: "100px",
+  border: "1px solid hsla(var(--border-glass))",
+  background: active ? "hsl(var(--primary))" : "transparent",
+  color: active ? "white" : "hsl(var(--text-dim))",
+  fontSize: "12px",
+  fontWeight: "700",
+  cursor: "pointer",
+});
+
+const studyColumns = { display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(280px, 1fr))", gap: "24px" };
+const barList = { display: "flex", flexDirection: "column", gap: "10px" };
+const barRow = { display: "flex", alignItems: "center", gap: "12px", fontSize: "13px" };
+const barLabel = { width: "140px", flexShrink: 0, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" };
+const barTrack = { flex: 1, height: "8px", borderRadius: "100px", background: "hsla(var(--text-main) / 0.08)" };
+const barFill = (share) => ({ width: `${share * 100}%`, height: "100%", borderRadius: "100px", background: "hsl(var(--accent))" });
+const barValue = { width: "48px", textAlign: "right", fontWeight: "700" };
+
+const heatmapGrid = { display: "flex", gap: "4px", overflowX: "auto" };
+const heatmapColumn = { display: "flex", flexDirection: "column", gap: "4px" };
+
+const heatmapCell = (intensity) => ({
+  width: "14px",
+  height: "14px",
+  borderRadius: "3px",
+  background: intensity === null
+    ? "transparent"
+    : intensity === 0 ? "hsla(var(--text-main) / 0.06)" : `hsla(var(--accent) / ${0.25 + intensity * 0.75})`,
+});
@@ -1,81 +1,150 @@
 import { useState } from "react";
-import { saveData, getData } from "../utils/storage";
-import { extractSkills } from "../utils/aiApi";
+import { Link } from "react-router-dom";
+import { collections } from "../utils/storage";
+import { useCollection } from "../hooks/useCollection";
+import { createCompanyKey, findCompanyKey } from "../utils/schema";
+import { addSkills } from "../utils/proficiency";
+import { track } from "../utils/history";
+import { analyzeJD } from "../utils/aiApi";
+import { LLM_PROVIDERS, getLLMSettings, isLLMConfigured } from "../utils/llmClient";
+import {
+  createAnalysisRecord,
+  saveAnalysis,
+  deleteAnalysis,
+  searchAnalyses,
+  compareAnalyses,
+  flattenSkills,
+  getAnalysisTitle,
+} from "../utils/jdHistory";
+import { compareSkills } from "../utils/resumeParser";
+import ResumeUpload from "../components/ResumeUpload";
 
 export default function JDAnalyzer() {
-  const [jdText, setJdText] = useState(getData("lastJD") || "");
-  const [skills, setSkills] = useState(getData("extractedSkills") || {});
-  const [companyName, setCompanyName] = useState("");
+  const analyses = useCollection(collections.jdAnalyses);
+  const [selectedId, setSelectedId] = useState(() => collections.jdAnalyses.get()[0]?.id || null);
+  const selected = analyses.find(a => a.id === selectedId) || null;
+  const [jdText, setJdText] = useState(() => selected?.jdText || collections.lastJD.get());
+  const [companyName, setCompanyName] = useState(selected?.company || "");
+  const [role, setRole] = useState(selected?.role || "");
+  const [sourceUrl, setSourceUrl] = useState(selected?.sourceUrl || "");
+  const [query, setQuery] = useState("");
+  const [compareId, setCompareId] = useState(null);
+  const [rerunModel, setRerunModel] = useState(() => getLLMSettings().model);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const resume = useCollection(collections.resume);
 
-  const handleAnalyze = async () => {
-    if (!jdText.trim()) return;
-    
+  const skills = selected?.skills || {};
+  const unsupported = selected?.unsupported || [];
+  const compareWith = compareId && selected ? analyses.find(a => a.id === compareId) : null;
+  const filteredAnalyses = searchAnalyses(analyses, query);
+  const modelSuggestions = [...new Set(Object.values(LLM_PROVIDERS).map(p => p.model).filter(Boolean))];
+
+  // Run the extractor and store the result as a new history record
+  const runAnalysis = async (details, settings) => {
     setLoading(true);
     setError(null);
+    setNotice(null);
     try {
-      const extracted = await extractSkills(jdText);
-      setSkills(extracted);
-      saveData("extractedSkills", extracted);
-      saveData("lastJD", jdText);
+      const result = await analyzeJD(details.jdText, settings);
+      if (result.error) setNotice(`AI provider unavailable (${result.error}). Showing offline extraction instead.`);
+      const record = createAnalysisRecord({ ...details, result });
+      saveAnalysis(record);
+      setSelectedId(record.id);
+      return record;
     } catch (err) {
       setError(err.message || "Failed to analyze JD. Please try again.");
+      return null;
     } finally {
       setLoading(false);
     }
   };
 
+  const handleAnalyze = async () => {
+    if (!jdText.trim()) return;
+    setCompareId(null);
+    await runAnalysis({ jdText, sourceUrl, company: companyName, role });
+  };
+
+  // Re-run the open analysis with another model and compare the two
+  const handleRerun = async () => {
+    if (!selected || !rerunModel.trim()) return;
+    const original = selected;
+    const record = await runAnalysis(
+      { jdText: original.jdText, sourceUrl: original.sourceUrl, company: original.company, role: original.role, rerunOf: original.id },
+      { ...getLLMSettings(), model: rerunModel.trim() }
+    );
+    if (record) setCompareId(original.id);
+  };
+
+  const openAnalysis = (analysis) => {
+    setSelectedId(analysis.id);
+    setCompareId(null);
+    setJdText(analysis.jdText);
+    setCompanyName(analysis.company);
+    setRole(analysis.role);
+    setSourceUrl(analysis.sourceUrl);
+    setError(null);
+    setNotice(null);
+  };
+
+  const removeAnalysis = (id) => {
+    deleteAnalysis(id);
+    if (selectedId === id) setSelectedId(null);
+    if (compareId === id) setCompareId(null);
+  };
+
   const handleAddAllToTracker = () => {
-    const allSkills = Array.isArray(skills) 
-      ? skills 
-      : Object.values(skills).flat();
-      
-    const existing = getData("skillTracker") || [];
-    const newSkills = [...new Set([...existing, ...allSkills.map(s => typeof s === 'string' ? { name: s, learned: false } : s)])];
-    saveData("skillTracker", newSkills);
+    const allSkills = flattenSkills(skills);
+    track("Added JD skills to the skill tracker", () => addSkills(allSkills.map(s => (typeof s === "string" ? s : s.name))), { type: "skill" });
     alert("All skills added to your general tracker!");
   };
 
   const handleAddToCompanyTracker = () => {
-    if (!companyName.trim()) return alert("Please enter a company name!");
+    if (!companyName.trim()) return alert("Please enter a company name above!");
     
-    const trackers = getData("companyTrackers") || {};
-    
-    // Ensure we don't overwrite metadata if company already exists
-    const existingCompany = trackers[companyName] || {
-      name: companyName,
-      role: "AI Analyzed Position",
+    const trackers = collections.companies.get();
+
+    // Add to the existing tracker for this company and role rather than creating a second one
+    const trackerRole = role.trim() || "AI Analyzed Position";
+    const companyKey = findCompanyKey(trackers, companyName, trackerRole) || createCompanyKey(companyName);
+    const existingCompany = trackers[companyKey] || {
+      name: companyName.trim(),
+      role: trackerRole,
       skills: [],
       addedDate: new Date().toISOString()
     };
     
     // Extract and flatten skills from the AI response
-    const newSkillsFromJD = Array.isArray(skills) 
-      ? skills 
-      : Object.values(skills).flat();
+    const newSkillsFromJD = flattenSkills(skills);
     
     // Merge Skills and deduplicate
     existingCompany.skills = [...new Set([...(existingCompany.skills || []), ...newSkillsFromJD])];
+    // Keep the JD so the tracker can tailor resume bullets against it later
+    existingCompany.jd = selected.jdText;
     
-    trackers[companyName] = existingCompany;
-    saveData("companyTrackers", trackers);
-
-    // Sync to global skill tracker
-    const globalSkills = getData("skillTracker") || [];
-    const updatedGlobal = [...globalSkills];
-    newSkillsFromJD.forEach(sName => {
-      const name = typeof sName === 'string' ? sName : sName.name;
-      if (!updatedGlobal.find(g => g.name.toLowerCase() === name.toLowerCase())) {
-        updatedGlobal.push({ name, learned: false });
-      }
-    });
-    saveData("skillTracker", updatedGlobal);
+    trackers[companyKey] = existingCompany;
+    track(`Added JD skills to ${existingCompany.name}`, () => {
+      collections.companies.set(trackers);
+      // Sync to global skill tracker
+      addSkills(newSkillsFromJD.map(s => (typeof s === "string" ? s : s.name)));
+    }, { type: "company" });
 
     alert(`Skills added to ${companyName} tracker!`);
   };
 
-  const hasSkills = Array.isArray(skills) ? skills.length > 0 : Object.keys(skills).length > 0;
+  const hasSkills = flattenSkills(skills).length > 0;
+
+  const comparison = hasSkills && resume
+    ? compareSkills(
+        flattenSkills(skills),
+        Object.values(resume.skills).flat(),
+        resume.text
+      )
+    : null;
+
+  const diff = compareWith ? compareAnalyses(selected, compareWith) : null;
 
   return (
     <div className="animate-fade-in container-full" style={analyzerLayout}>
@@ -85,69 +154,215 @@ export default function JDAnalyzer() {
         <p style={subtitleStyle}>Extract required skills from any job description.</p>
       </header>
 
-      {/* Input Zone */}
-      <section className="glass-card" style={loading ? {...inputZone, animation: 'pulse-glow 2s infinite'} : inputZone}>
-        <div style={inputHeader}>
-          <label style={labelStyle}>Job Description Content</label>
-          {loading && <div style={loaderTag}>AI Processing...</div>}
-        </div>
-        <textarea
-          style={textareaStyle}
-          placeholder="Paste requirements, description, or role overview here..."
-          value={jdText}
-          onChange={(e) => setJdText(e.target.value)}
-          disabled={loading}
-        />
-        <button 
-          style={loading ? {...actionBtn, opacity: 0.5, cursor: 'not-allowed'} : actionBtn} 
-          onClick={handleAnalyze}
-          disabled={loading}
-        >
-          {loading ? "Analyzing..." : "Analyze Description"}
-        </button>
-        {error && <p style={errorStyle}>{error}</p>}
-      </section>
-
-      {/* Results Board */}
-      {hasSkills && !loading && (
-        <section className="animate-fade-in" style={resultsBoard}>
-          <div style={resultsHeader}>
-            <h2 style={resultsTitle}>Extracted Skills</h2>
-            <div style={headerActions}>
-               <button style={secBtn} onClick={handleAddAllToTracker}>
-                 Quick Add to Tracker
-               </button>
-            </div>
-          </div>
-          
-          <div style={categoriesGrid}>
-            {!Array.isArray(skills) && Object.entries(skills).map(([category, list]) => (
-              <div key={category} className="glass-card" style={categoryCard}>
-                <h3 style={categoryTitle}>{category}</h3>
-                <div style={skillList}>
-                  {list.map((skill, index) => (
-                    <span key={index} style={skillTag}>{skill}</span>
-                  ))}
+      <div style={analyzerColumns}>
+        {/* History Sidebar */}
+        <aside className="glass-card" style={historySidebar}>
+          <label style={labelStyle}>History ({analyses.length})</label>
+          <input
+            type="search"
+            style={searchInput}
+            placeholder="Search JDs, companies, skills..."
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+          />
+          {filteredAnalyses.length === 0 && (
+            <p style={mutedText}>{analyses.length === 0 ? "Analyses you run are kept here." : "No analyses match your search."}</p>
+          )}
+          <div style={historyList}>
+            {filteredAnalyses.map(analysis => (
+              <div key={analysis.id} style={historyItem(analysis.id === selectedId, analysis.id === compareId)}>
+                <button style={historyOpenBtn} onClick={() => openAnalysis(analysis)}>
+                  <span style={historyTitle}>{getAnalysisTitle(analysis)}</span>
+                  <span style={mutedText}>
+                    {analysis.createdAt ? new Date(analysis.createdAt).toLocaleDateString() : "Before history"}
+                    {" • "}{analysis.model || "Unknown model"}
+                    {" • "}{flattenSkills(analysis.skills).length} skills
+                  </span>
+                </button>
+                <div style={historyActions}>
+                  {selected && analysis.id !== selectedId && (
+                    <button style={linkBtn} onClick={() => setCompareId(analysis.id === compareId ? null : analysis.id)}>
+                      {analysis.id === compareId ? "Stop comparing" : "Compare"}
+                    </button>
+                  )}
+                  <button style={{ ...linkBtn, color: "hsl(var(--text-muted))" }} onClick={() => removeAnalysis(analysis.id)}>Delete</button>
                 </div>
               </div>
             ))}
           </div>
+        </aside>
 
-          {/* Quick Integration Footer */}
-          <div className="glass-card" style={integrationFooter}>
-             <input 
-                type="text" 
-                placeholder="Company Name (e.g. Google, Meta)" 
-                style={footerInput}
-                value={companyName}
-                onChange={(e) => setCompanyName(e.target.value)}
-              />
-              <button style={priBtn} onClick={handleAddToCompanyTracker}>
-                Add to Company Tracker
-              </button>
-          </div>
-        </section>
-      )}
+        <div style={mainColumn}>
+          {/* Resume */}
+          <ResumeUpload />
+
+          {/* Input Zone */}
+          <section className="glass-card" style={loading ? {...inputZone, animation: 'pulse-glow 2s infinite'} : inputZone}>
+            <div style={inputHeader}>
+              <label style={labelStyle}>Job Description Content</label>
+              {loading && <div style={loaderTag}>AI Processing...</div>}
+            </div>
+            <div style={detailsRow}>
+              <input style={footerInput} placeholder="Company (e.g. Google, Meta)" value={companyName} onChange={(e) => setCompanyName(e.target.value)} />
+              <input style={footerInput} placeholder="Role" value={role} onChange={(e) => setRole(e.target.value)} />
+              <input style={footerInput} placeholder="Job posting URL" value={sourceUrl} onChange={(e) => setSourceUrl(e.target.value)} />
+            </div>
+            <textarea
+              style={textareaStyle}
+              placeholder="Paste requirements, description, or role overview here..."
+              value={jdText}
+              onChange={(e) => setJdText(e.target.value)}
+              disabled={loading}
+            />
+            <button 
+              style={loading ? {...actionBtn, opacity: 0.5, cursor: 'not-allowed'} : actionBtn} 
+              onClick={handleAnalyze}
+              disabled={loading}
+            >
+              {loading ? "Analyzing..." : "Analyze Description"}
+            </button>
+            {error && <p style={errorStyle}>{error}</p>}
+            {notice && <p style={noticeStyle}>{notice}</p>}
+          </section>
+
+          {/* Results Board */}
+          {hasSkills && !loading && (
+            <section className="animate-fade-in" style={resultsBoard}>
+              <div style={resultsHeader}>
+                <div>
+                  <h2 style={resultsTitle}>Extracted Skills</h2>
+                  <p style={mutedText}>
+                    {getAnalysisTitle(selected)}
+                    {selected.createdAt && ` • ${new Date(selected.createdAt).toLocaleString()}`}
+                    {selected.sourceUrl && <> • <a href={selected.sourceUrl} target="_blank" rel="noreferrer" style={sourceLink}>Posting ↗</a></>}
+                  </p>
+                </div>
+                <div style={headerActions}>
+                   {selected.source && (
+                     <span style={sourceBadge} title={selected.source === "offline" ? "Matched against the built-in skill dictionary" : "Extracted by the configured AI provider"}>
+                       {selected.source === "offline" ? "Offline dictionary" : selected.model}
+                     </span>
+                   )}
+                   <button style={secBtn} onClick={handleAddAllToTracker}>
+                     Quick Add to Tracker
+                   </button>
+                </div>
+              </div>
+
+              {/* Re-run */}
+              <div className="glass-card" style={rerunBar}>
+                {isLLMConfigured() ? (
+                  <>
+                    <span style={mutedText}>Re-run this JD with</span>
+                    <input
+                      style={{ ...footerInput, minWidth: "200px" }}
+                      list="jd-model-options"
+                      value={rerunModel}
+                      onChange={(e) => setRerunModel(e.target.value)}
+                    />
+                    <datalist id="jd-model-options">
+                      {modelSuggestions.map(model => <option key={model} value={model} />)}
+                    </datalist>
+                    <button style={secBtn} onClick={handleRerun} disabled={!rerunModel.trim()}>Re-run & Compare</button>
+                  </>
+                ) : (
+                  <span style={mutedText}>
+                    <Link to="/settings" style={sourceLink}>Configure an AI provider</Link> to re-run this JD with another model.
+                  </span>
+                )}
+              </div>
+
+              {/* Analysis Comparison */}
+              {diff && (
+                <div className="glass-card" style={categoryCard}>
+                  <div style={comparisonHeader}>
+                    <h3 style={categoryTitle}>Compared with {getAnalysisTitle(compareWith)} ({compareWith.model || "unknown model"})</h3>
+                    <button style={linkBtn} onClick={() => setCompareId(null)}>Close</button>
+                  </div>
+                  <div style={comparisonGrid}>
+                    <div>
+                      <p style={comparisonLabel}>In both ({diff.shared.length})</p>
+                      <div style={skillList}>
+                        {diff.shared.map(skill => <span key={skill} style={matchedTag}>{skill}</span>)}
+                      </div>
+                    </div>
+                    <div>
+                      <p style={comparisonLabel}>Only this analysis ({diff.onlyA.length})</p>
+                      <div style={skillList}>
+                        {diff.onlyA.map(skill => <span key={skill} style={skillTag}>{skill}</span>)}
+                      </div>
+                    </div>
+                    <div>
+                      <p style={comparisonLabel}>Only the other ({diff.onlyB.length})</p>
+                      <div style={skillList}>
+                        {diff.onlyB.map(skill => <span key={skill} style={missingTag}>{skill}</span>)}
+                      </div>
+                    </div>
+                  </div>
+                </div>
+              )}
+              
+              <div style={categoriesGrid}>
+                {!Array.isArray(skills) && Object.entries(skills).map(([category, list]) => (
+                  <div key={category} className="glass-card" style={categoryCard}>
+                    <h3 style={categoryTitle}>{category}</h3>
+                    <div style={skillList}>
+                      {list.map((skill, index) => (
+                        unsupported.includes(skill)
+                          ? <span key={index} style={flaggedTag} title="Not found in the job description text. The model may have invented it.">{skill} ⚠</span>
+                          : <span key={index} style={skillTag}>{skill}</span>
+                      ))}
+                    </div>
+                  </div>
+                ))}
+              </div>
+              {/* Resume Comparison */}
+              {comparison && (
+                <div className="glass-card" style={categoryCard}>
+                  <div style={comparisonHeader}>
+                    <h3 style={categoryTitle}>Resume Match</h3>
+                    <span style={matchScore(comparison.percentage)}>{comparison.percentage}%</span>
+                  </div>
+                  <div style={comparisonGrid}>
+                    <div>
+                      <p style={comparisonLabel}>Matched ({comparison.matched.length})</p>
+                      <div style={skillList}>
+                        {comparison.matched.map(skill => <span key={skill} style={matchedTag}>{skill}</span>)}
+                      </div>
+                    </div>
+                    <div>
+                      <p style={comparisonLabel}>Partial ({comparison.partial.length})</p>
+                      <div style={skillList}>
+                        {comparison.partial.map(({ skill, via }) => (
+                          <span key={skill} style={flaggedTag} title={`Related: ${via}`}>{skill}</span>
+                        ))}
+                      </div>
+                    </div>
+                    <div>
+                      <p style={comparisonLabel}>Missing ({comparison.missing.length})</p>
+                      <div style={skillList}>
+                        {comparison.missing.map(skill => <span key={skill} style={missingTag}>{skill}</span>)}
+                      </div>
+                    </div>
+                  </div>
+                </div>
+              )}
+
+              {/* Quick Integration Footer */}
+              <div className="glass-card" style={integrationFooter}>
+                <span style={mutedText}>
+                  {companyName.trim()
+                    ? `Add these skills and the JD to your ${companyName.trim()} tracker.`
+                    : "Enter a company above to add these skills to its tracker."}
+                </span>
+                <button style={priBtn} onClick={handleAddToCompanyTracker}>
+                  Add to Company Tracker
+                </button>
+              </div>
+            </section>
+          )}
+        </div>
+      </div>
     </div>
   );
 }
@@ -159,6 +374,93 @@ const analyzerLayout = {
   gap: "32px",
 };
 
+const analyzerColumns = {
+  display: "flex",
+  gap: "24px",
+  alignItems: "flex-start",
+  flexWrap: "wrap",
+};
+
+const mainColumn = {
+  flex: "1 1 560px",
+  minWidth: 0,
+  display: "flex",
+  flexDirection: "column",
+  gap: "32px",
+};
+
+const historySidebar = {
+  flex: "0 1 300px",
+  padding: "20px",
+  display: "flex",
+  flexDirection: "column",
+  gap: "12px",
+  border: "1px solid hsla(var(--border-glass))",
+  maxHeight: "calc(100vh - 160px)",
+  position: "sticky",
+  top: "120px",
+};
+
+const searchInput = {
+  padding: "10px 12px",
+  borderRadius: "10px",
+  border: "1px solid hsla(var(--border-glass))",
+  background: "hsla(var(--bg-page) / 0.5)",
+  color: "white",
+  outline: "none",
+  fontSize: "13px",
+};
+
+const historyList = { display: "flex", flexDirection: "column", gap: "8px", overflowY: "auto" };
+
+const historyItem = (isSelected, isCompared) => ({
+  padding: "10px 12px",
+  borderRadius: "10px",
+  border: `1px solid ${isSelected ? "hsla(var(--primary) / 0.6)" : isCompared ? "hsla(var(--accent) / 0.6)" : "hsla(var(--border-glass))"}`,
+  background: isSelected ? "hsla(var(--primary) / 0.1)" : "transparent",
+  display: "flex",
+  flexDirection: "column",
+  gap: "6px",
+});
+
+const historyOpenBtn = {
+  background: "none",
+  border: "none",
+  padding: 0,
+  color: "inherit",
+  textAlign: "left",
+  cursor: "pointer",
+  display: "flex",
+  flexDirection: "column",
+  gap: "2px",
+};
+
+const historyTitle = { fontSize: "13px", fontWeight: "700", overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" };
+const historyActions = { display: "flex", gap: "12px" };
+const mutedText = { fontSize: "12px", color: "hsl(var(--text-muted))" };
+
+const linkBtn = {
+  background: "none",
+  border: "none",
+  color: "hsl(var(--accent))",
+  fontSize: "12px",
+  fontWeight: "700",
+  cursor: "pointer",
+  padding: 0,
+};
+
+const sourceLink = { color: "hsl(var(--accent))", fontWeight: "700" };
+
+const detailsRow = { display: "flex", gap: "12px", flexWrap: "wrap" };
+
+const rerunBar = {
+  display: "flex",
+  gap: "12px",
+  padding: "16px 24px",
+  alignItems: "center",
+  flexWrap: "wrap",
+};
+
 const headerStyle = {
   textAlign: "center",
   marginBottom: "12px",
@@ -297,6 +599,62 @@ const skillTag = {
   transition: "var(--transition-smooth)",
 };
 
+const flaggedTag = {
+  ...skillTag,
+  background: "hsla(var(--warning) / 0.1)",
+  color: "hsl(var(--warning))",
+  border: "1px dashed hsla(var(--warning) / 0.5)",
+};
+
+const matchedTag = {
+  ...skillTag,
+  background: "hsla(var(--success) / 0.15)",
+  color: "hsl(var(--success))",
+  border: "1px solid hsla(var(--success) / 0.3)",
+};
+
+const missingTag = {
+  ...skillTag,
+  background: "hsla(var(--danger) / 0.1)",
+  color: "hsl(var(--danger))",
+  border: "1px solid hsla(var(--danger) / 0.3)",
+};
+
+const comparisonHeader = {
+  display: "flex",
+  justifyContent: "space-between",
+  alignItems: "center",
+};
+
+const comparisonGrid = {
+  display: "grid",
+  gridTemplateColumns: "repeat(auto-fit, minmax(220px, 1fr))",
+  gap: "24px",
+};
+
+const comparisonLabel = {
+  fontSize: "12px",
+  fontWeight: "700",
+  color: "hsl(var(--text-muted))",
+  marginBottom: "10px",
+};
+
+const matchScore = (value) => {
+  const color = value >= 80 ? "var(--success)" : value >= 50 ? "var(--warning)" : "var(--danger)";
+  return { fontSize: "28px", fontWeight: "800", color: `hsl(${color})`, marginBottom: "20px" };
+};
+
+const sourceBadge = {
+  alignSelf: "center",
+  fontSize: "11px",
+  fontWeight: "800",
+  textTransform: "uppercase",
+  padding: "4px 10px",
+  borderRadius: "100px",
+  color: "hsl(var(--text-muted))",
+  border: "1px solid hsla(var(--border-glass))",
+};
+
 const integrationFooter = {
   display: "flex",
   gap: "16px",
@@ -337,6 +695,12 @@ const secBtn = {
   cursor: "pointer",
 };
 
+const noticeStyle = {
+  color: "hsl(var(--warning))",
+  textAlign: "center",
+  fontSize: "14px",
+};
+
 const errorStyle = {
   color: "hsl(var(--danger))",
   textAlign: "center",
@@ -1,6 +1,26 @@
 import { useState } from "react";
-import { searchJobs } from "../utils/jobApi";
-import { saveData, getData } from "../utils/storage";
+import { searchJobs, getJobSources, saveJobSources, JOB_SOURCES } from "../utils/jobApi";
+import { ADZUNA_COUNTRIES } from "../utils/jobSources/adzuna";
+import { saveData, getData, collections } from "../utils/storage";
+import { useCollection } from "../hooks/useCollection";
+import { track } from "../utils/history";
+import JobAnalysis from "../components/JobAnalysis";
+
+const EMPTY_FILTERS = { salaryMin: "", salaryMax: "", contractTime: "", contractType: "", maxDaysOld: "", distance: "" };
+
+const formatSalary = (value) => Math.round(value).toLocaleString();
+
+// Tags come from whatever structured fields the source provided
+const getJobTags = (job) => {
+  const tags = [];
+  if (job.contractTime) tags.push(job.contractTime === "full_time" ? "Full-time" : job.contractTime === "part_time" ? "Part-time" : job.contractTime);
+  if (job.contractType) tags.push(job.contractType === "permanent" ? "Permanent" : job.contractType === "contract" ? "Contract" : job.contractType);
+  if (job.salaryMin && job.salaryMax && job.salaryMin !== job.salaryMax) tags.push(`${formatSalary(job.salaryMin)} – ${formatSalary(job.salaryMax)}`);
+  else if (job.salaryMin || job.salaryMax) tags.push(formatSalary(job.salaryMin || job.salaryMax));
+  if (job.category) tags.push(job.category);
+  if (job.created) tags.push(`Posted ${new Date(job.created).toLocaleDateString()}`);
+  return tags;
+};
 
 export default function JobBoard() {
   const [role, setRole] = useState("");
@@ -9,15 +29,46 @@ export default function JobBoard() {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [searched, setSearched] = useState(false);
+  const savedJobs = useCollection(collections.savedJobs);
+  const [country, setCountry] = useState(() => getData("jobCountry") || "in");
+  const [sources, setSources] = useState(getJobSources);
+  const [sourceErrors, setSourceErrors] = useState([]);
+  const [showSources, setShowSources] = useState(false);
+  const [newSource, setNewSource] = useState({ type: "greenhouse", board: "", company: "" });
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(0);
+  const [totalResults, setTotalResults] = useState(0);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [sortBy, setSortBy] = useState("relevance");
+  const [showFilters, setShowFilters] = useState(false);
 
-  const handleSearch = async () => {
+  const handleSearch = async (targetPage = 1, overrides = {}) => {
     if (!role.trim() && !location.trim()) return;
     setLoading(true);
     setError(null);
     setSearched(true);
     try {
-      const results = await searchJobs({ role, location });
+      const activeFilters = overrides.filters || filters;
+      const numericFilters = Object.fromEntries(
+        Object.entries(activeFilters)
+          .filter(([, value]) => value !== "")
+          .map(([key, value]) => [key, isNaN(value) ? value : Number(value)])
+      );
+      const { jobs: results, total, totalPages: pages, errors } = await searchJobs({
+        role,
+        location,
+        country,
+        sources,
+        page: targetPage,
+        filters: numericFilters,
+        sortBy: overrides.sortBy || sortBy,
+      });
       setJobs(results);
+      setPage(targetPage);
+      setTotalPages(pages);
+      setTotalResults(total);
+      setSourceErrors(errors);
+      window.scrollTo({ top: 0, behavior: "smooth" });
     } catch {
       setError("Grid link failed. System re-routing...");
     } finally {
@@ -25,23 +76,63 @@ export default function JobBoard() {
     }
   };
 
+  const handleSortChange = (value) => {
+    setSortBy(value);
+    if (searched) handleSearch(1, { sortBy: value });
+  };
+
+  const clearFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    if (searched) handleSearch(1, { filters: EMPTY_FILTERS });
+  };
+
+  const activeFilterCount = Object.values(filters).filter(value => value !== "").length;
+
+  const handleCountryChange = (value) => {
+    setCountry(value);
+    saveData("jobCountry", value);
+  };
+
+  const updateSources = (updatedSources) => {
+    setSources(updatedSources);
+    saveJobSources(updatedSources);
+  };
+
+  const addSource = () => {
+    const target = newSource.board.trim();
+    if (!target) return;
+    const source = newSource.type === "rss"
+      ? { type: "rss", url: target }
+      : { type: newSource.type, board: target };
+    updateSources([
+      ...sources,
+      { ...source, id: `${newSource.type}-${Date.now()}`, company: newSource.company.trim(), enabled: true },
+    ]);
+    setNewSource({ ...newSource, board: "", company: "" });
+  };
+
   const handleSaveJob = (job) => {
-    const saved = getData("savedJobs") || [];
-    const alreadySaved = saved.find((j) => j.id === job.id);
+    const alreadySaved = savedJobs.find((j) => j.id === job.id);
     if (alreadySaved) return;
 
+    const savedDate = new Date().toISOString();
     const updatedSaved = [
-      ...saved,
+      ...savedJobs,
       {
         id: job.id,
         title: job.title,
-        company: job.company.display_name,
-        location: job.location.display_name,
+        company: job.company,
+        location: job.location,
         description: job.description,
-        url: job.redirect_url,
+        url: job.url,
+        source: job.source,
+        stage: "Saved",
+        notes: "",
+        savedDate,
+        history: [{ stage: "Saved", date: savedDate }],
       },
     ];
-    saveData("savedJobs", updatedSaved);
+    track(`Saved job ${job.title} at ${job.company}`, () => collections.savedJobs.set(updatedSaved), { type: "job" });
   };
 
   return (
@@ -61,7 +152,7 @@ export default function JobBoard() {
                placeholder="e.g. Software Engineer"
                value={role}
                onChange={(e) => setRole(e.target.value)}
-               onKeyDown={(e) => e.key === "Enter" && handleSearch()}
+               onKeyDown={(e) => e.key === "Enter" && handleSearch(1)}
              />
           </div>
           <div className="divider" style={divider}></div>
@@ -72,18 +163,151 @@ export default function JobBoard() {
                placeholder="e.g. Remote / New York"
                value={location}
                onChange={(e) => setLocation(e.target.value)}
-               onKeyDown={(e) => e.key === "Enter" && handleSearch()}
+               onKeyDown={(e) => e.key === "Enter" && handleSearch(1)}
              />
           </div>
-          <button onClick={handleSearch} style={searchBtn}>
+          <div className="divider" style={divider}></div>
+          <div style={inputItem}>
+             <label style={labelStyle}>Country</label>
+             <select style={selectStyle} value={country} onChange={(e) => handleCountryChange(e.target.value)}>
+               {Object.entries(ADZUNA_COUNTRIES).map(([code, name]) => (
+                 <option key={code} value={code}>{name}</option>
+               ))}
+             </select>
+          </div>
+          <button onClick={() => handleSearch(1)} style={searchBtn}>
             {loading ? "Searching..." : "Find Jobs"}
           </button>
         </div>
       </section>
 
+      {/* Job Sources */}
+      <section style={sourcesBar}>
+        <div style={sourceChips}>
+          {sources.map(source => (
+            <span key={source.id} style={sourceChip(source.enabled)}>
+              <span
+                style={chipToggle}
+                onClick={() => updateSources(sources.map(s => s.id === source.id ? { ...s, enabled: !s.enabled } : s))}
+              >
+                {source.company || source.board || JOB_SOURCES[source.type]?.label}
+                {source.type !== "adzuna" && ` · ${JOB_SOURCES[source.type]?.label}`}
+              </span>
+              {source.type !== "adzuna" && (
+                <span style={chipRemove} onClick={() => updateSources(sources.filter(s => s.id !== source.id))}>×</span>
+              )}
+            </span>
+          ))}
+          <button style={sourceToggleBtn} onClick={() => setShowSources(!showSources)}>
+            {showSources ? "Done" : "+ Add Source"}
+          </button>
+          <button style={sourceToggleBtn} onClick={() => setShowFilters(!showFilters)}>
+            Filters{activeFilterCount > 0 ? ` (${activeFilterCount})` : ""}
+          </button>
+          <select style={sortSelect} value={sortBy} onChange={(e) => handleSortChange(e.target.value)}>
+            <option value="relevance">Sort: Relevance</option>
+            <option value="date">Sort: Newest</option>
+            <option value="salary">Sort: Salary</option>
+          </select>
+        </div>
+
+        {showFilters && (
+          <div className="glass-card animate-fade-in" style={sourceForm}>
+            <input
+              type="number"
+              style={sourceInput}
+              placeholder="Min salary"
+              value={filters.salaryMin}
+              onChange={(e) => setFilters({ ...filters, salaryMin: e.target.value })}
+            />
+            <input
+              type="number"
+              style={sourceInput}
+              placeholder="Max salary"
+              value={filters.salaryMax}
+              onChange={(e) => setFilters({ ...filters, salaryMax: e.target.value })}
+            />
+            <select
+              style={sourceInput}
+              value={filters.contractTime}
+              onChange={(e) => setFilters({ ...filters, contractTime: e.target.value })}
+            >
+              <option value="">Any hours</option>
+              <option value="full_time">Full-time</option>
+              <option value="part_time">Part-time</option>
+            </select>
+            <select
+              style={sourceInput}
+              value={filters.contractType}
+              onChange={(e) => setFilters({ ...filters, contractType: e.target.value })}
+            >
+              <option value="">Any contract</option>
+              <option value="permanent">Permanent</option>
+              <option value="contract">Contract</option>
+            </select>
+            <select
+              style={sourceInput}
+              value={filters.maxDaysOld}
+              onChange={(e) => setFilters({ ...filters, maxDaysOld: e.target.value })}
+            >
+              <option value="">Any date</option>
+              <option value="1">Last 24 hours</option>
+              <option value="7">Last 7 days</option>
+              <option value="14">Last 14 days</option>
+              <option value="30">Last 30 days</option>
+            </select>
+            <select
+              style={sourceInput}
+              value={filters.distance}
+              onChange={(e) => setFilters({ ...filters, distance: e.target.value })}
+            >
+              <option value="">Any distance</option>
+              <option value="5">Within 5 km</option>
+              <option value="10">Within 10 km</option>
+              <option value="25">Within 25 km</option>
+              <option value="50">Within 50 km</option>
+            </select>
+            <button style={trackerBtn} onClick={() => handleSearch(1)}>Apply</button>
+            <button style={trackerBtn} onClick={clearFilters}>Clear</button>
+          </div>
+        )}
+
+        {showSources && (
+          <div className="glass-card animate-fade-in" style={sourceForm}>
+            <select
+              style={sourceInput}
+              value={newSource.type}
+              onChange={(e) => setNewSource({ ...newSource, type: e.target.value })}
+            >
+              <option value="greenhouse">Greenhouse board</option>
+              <option value="lever">Lever board</option>
+              <option value="rss">RSS / Atom feed</option>
+            </select>
+            <input
+              style={sourceInput}
+              placeholder={newSource.type === "rss" ? "Feed URL" : "Board name (e.g. airbnb)"}
+              value={newSource.board}
+              onChange={(e) => setNewSource({ ...newSource, board: e.target.value })}
+            />
+            <input
+              style={sourceInput}
+              placeholder="Company label (optional)"
+              value={newSource.company}
+              onChange={(e) => setNewSource({ ...newSource, company: e.target.value })}
+            />
+            <button style={trackerBtn} onClick={addSource}>Add</button>
+          </div>
+        )}
+      </section>
+
       {/* Results Engine */}
       <div style={resultsGrid}>
         {error && <div style={errorMsg}>{error}</div>}
+        {sourceErrors.map(e => (
+          <div key={e.source.id} style={warningMsg}>
+            {e.source.company || e.source.board || JOB_SOURCES[e.source.type]?.label} unavailable: {e.message}
+          </div>
+        ))}
         
         {!searched && !loading && (
           <div style={emptyNexus}>Enter search parameters to initiate data retrieval.</div>
@@ -98,29 +322,45 @@ export default function JobBoard() {
             <div style={cardHeader}>
                <div style={companyInfo}>
                   <h3 style={jobTitle}>{job.title}</h3>
-                  <p style={companyName}>{job.company.display_name}</p>
+                  <p style={companyName}>{job.company} <span style={sourceLabel}>via {job.source}</span></p>
                </div>
-               <span style={locBadge}>{job.location.display_name}</span>
+               <span style={locBadge}>{job.location || "Location not listed"}</span>
             </div>
 
             <p style={jobDesc}>{job.description.slice(0, 180)}...</p>
 
-            <div style={tagCloud}>
-              {["Full-time", "Remote Ready", "Level: Entry"].map(tag => (
-                <span key={tag} style={tagStyle}>{tag}</span>
-              ))}
-            </div>
+            {getJobTags(job).length > 0 && (
+              <div style={tagCloud}>
+                {getJobTags(job).map(tag => (
+                  <span key={tag} style={tagStyle}>{tag}</span>
+                ))}
+              </div>
+            )}
 
             <div style={cardActions}>
-              <button onClick={() => handleSaveJob(job)} style={trackerBtn}>
-                Add to Tracker
+              <button onClick={() => handleSaveJob(job)} style={trackerBtn} disabled={savedJobs.some(j => j.id === job.id)}>
+                {savedJobs.some(j => j.id === job.id) ? "In Tracker" : "Add to Tracker"}
               </button>
-              <a href={job.redirect_url} target="_blank" rel="noreferrer" style={applyBtn}>
+              <a href={job.url} target="_blank" rel="noreferrer" style={applyBtn}>
                 Initiate Application
               </a>
             </div>
+
+            <JobAnalysis job={job} />
           </div>
         ))}
+
+        {jobs.length > 0 && totalPages > 1 && (
+          <div style={pager}>
+            <button style={pageBtn(page > 1)} disabled={page <= 1 || loading} onClick={() => handleSearch(page - 1)}>
+              ← Prev
+            </button>
+            <span style={pageInfo}>Page {page} of {totalPages} • {totalResults.toLocaleString()} results</span>
+            <button style={pageBtn(page < totalPages)} disabled={page >= totalPages || loading} onClick={() => handleSearch(page + 1)}>
+              Next →
+            </button>
+          </div>
+        )}
       </div>
     </div>
   );
@@ -162,6 +402,11 @@ const inputStyle = {
   padding: "4px 0",
 };
 
+const selectStyle = {
+  ...inputStyle,
+  cursor: "pointer",
+};
+
 const divider = { width: "1px", height: "30px", background: "hsla(var(--border-glass))", margin: "0 20px" };
 
 const searchBtn = {
@@ -216,7 +461,7 @@ const jobDesc = {
   color: "hsl(var(--text-dim))",
 };
 
-const tagCloud = { display: "flex", gap: "8px" };
+const tagCloud = { display: "flex", flexWrap: "wrap", gap: "8px" };
 const tagStyle = {
   fontSize: "11px",
   color: "hsl(var(--text-muted))",
@@ -251,5 +496,79 @@ const applyBtn = {
   textAlign: "center",
 };
 
+const sourcesBar = { display: "flex", flexDirection: "column", gap: "12px", marginTop: "-16px" };
+const sourceChips = { display: "flex", flexWrap: "wrap", gap: "8px", justifyContent: "center", alignItems: "center" };
+
+const sourceChip = (enabled) => ({
+  display: "flex",
+  alignItems: "center",
+  gap: "6px",
+  fontSize: "12px",
+  fontWeight: "700",
+  padding: "6px 14px",
+  borderRadius: "100px",
+  background: enabled ? "hsla(var(--primary) / 0.15)" : "hsla(var(--text-main) / 0.03)",
+  color: enabled ? "hsl(var(--text-main))" : "hsl(var(--text-muted))",
+  border: `1px solid ${enabled ? "hsla(var(--primary) / 0.4)" : "hsla(var(--border-glass))"}`,
+});
+
+const chipToggle = { cursor: "pointer" };
+const chipRemove = { cursor: "pointer", fontSize: "14px", fontWeight: "300" };
+
+const sourceToggleBtn = {
+  fontSize: "12px",
+  fontWeight: "700",
+  padding: "6px 14px",
+  borderRadius: "100px",
+  background: "none",
+  color: "hsl(var(--accent))",
+  border: "1px dashed hsla(var(--accent) / 0.5)",
+  cursor: "pointer",
+};
+
+const sourceForm = {
+  display: "flex",
+  flexWrap: "wrap",
+  gap: "12px",
+  padding: "16px",
+  border: "1px solid hsla(var(--border-glass))",
+};
+
+const sourceInput = {
+  flex: 1,
+  minWidth: "180px",
+  padding: "10px 14px",
+  borderRadius: "12px",
+  background: "hsla(var(--bg-page) / 0.5)",
+  border: "1px solid hsla(var(--border-glass))",
+  color: "white",
+  outline: "none",
+};
+
+const sortSelect = {
+  ...sourceToggleBtn,
+  background: "hsla(var(--bg-page) / 0.8)",
+  border: "1px solid hsla(var(--border-glass))",
+  color: "hsl(var(--text-dim))",
+};
+
+const pager = { display: "flex", justifyContent: "center", alignItems: "center", gap: "16px" };
+const pageInfo = { fontSize: "13px", color: "hsl(var(--text-dim))" };
+
+const pageBtn = (enabled) => ({
+  padding: "10px 20px",
+  borderRadius: "100px",
+  background: "hsla(var(--text-main) / 0.05)",
+  color: "white",
+  border: "1px solid hsla(var(--border-glass))",
+  fontWeight: "700",
+  fontSize: "13px",
+  cursor: enabled ? "pointer" : "not-allowed",
+  opacity: enabled ? 1 : 0.4,
+});
+
+const sourceLabel = { color: "hsl(var(--text-muted))", fontWeight: "500", fontSize: "12px" };
+
+const warningMsg = { color: "hsl(var(--warning))", textAlign: "center", fontSize: "13px" };
 const errorMsg = { color: "hsl(var(--danger))", textAlign: "center", padding: "20px" };
 const emptyNexus = { color: "hsl(var(--text-muted))", textAlign: "center", padding: "80px" };
@@ -0,0 +1,453 @@
+import { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { collections } from "../utils/storage";
+import { useCollection } from "../hooks/useCollection";
+import { drawQuestions, QUESTION_TYPES } from "../utils/questionBank";
+import { evaluateMockInterview } from "../utils/aiApi";
+import { isLLMConfigured } from "../utils/llmClient";
+import { ROLE_TEMPLATES } from "../utils/roleTemplates";
+
+const DEFAULT_SETUP = { target: "", count: 5, minutes: 3, types: Object.keys(QUESTION_TYPES) };
+
+const formatClock = (seconds) => {
+  const abs = Math.abs(seconds);
+  return `${seconds < 0 ? "-" : ""}${Math.floor(abs / 60)}:${String(abs % 60).padStart(2, "0")}`;
+};
+
+export default function MockInterview() {
+  const navigate = useNavigate();
+  const companies = useCollection(collections.companies);
+  const customTemplates = useCollection(collections.roleTemplates);
+  const templates = [...ROLE_TEMPLATES, ...customTemplates];
+  const sessions = useCollection(collections.mockSessions);
+  const [setup, setSetup] = useState(() => ({ ...DEFAULT_SETUP, target: Object.keys(companies)[0] ? `company:${Object.keys(companies)[0]}` : `role:${templates[0].id}` }));
+  const [session, setSession] = useState(null);
+  const [current, setCurrent] = useState(0);
+  const [questionStart, setQuestionStart] = useState(0);
+  const [now, setNow] = useState(0);
+  const [viewing, setViewing] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Tick once a second while an interview is running
+  useEffect(() => {
+    if (!session) return undefined;
+    const id = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(id);
+  }, [session]);
+
+  const resolveTarget = (target) => {
+    const [kind, id] = target.split(/:(.*)/s);
+    if (kind === "company" && companies[id]) {
+      return { label: companies[id].name, role: companies[id].role, companyKey: id, skills: companies[id].skills || [] };
+    }
+    const template = templates.find(t => t.id === id);
+    return template ? { label: template.name, role: template.name, companyKey: null, skills: template.skills } : null;
+  };
+
+  const startInterview = () => {
+    const target = resolveTarget(setup.target);
+    if (!target) return;
+    const questions = drawQuestions(target.skills, { count: setup.count, types: setup.types });
+    if (questions.length === 0) {
+      setError("No questions in the bank match these skills and question types.");
+      return;
+    }
+    const startedAt = Date.now();
+    setError(null);
+    setViewing(null);
+    setSession({
+      id: startedAt.toString(),
+      date: new Date(startedAt).toISOString(),
+      label: target.label,
+      role: target.role,
+      companyKey: target.companyKey,
+      minutes: setup.minutes,
+      questions: questions.map(q => ({ ...q, answer: "", seconds: 0 })),
+    });
+    setCurrent(0);
+    setQuestionStart(startedAt);
+    setNow(startedAt);
+  };
+
+  const updateAnswer = (answer) => {
+    setSession({ ...session, questions: session.questions.map((q, i) => (i === current ? { ...q, answer } : q)) });
+  };
+
+  const persistSessions = (updated) => collections.mockSessions.set(updated);
+
+  const nextQuestion = () => {
+    const timestamp = Date.now();
+    const questions = session.questions.map((q, i) => (
+      i === current ? { ...q, seconds: q.seconds + Math.round((timestamp - questionStart) / 1000) } : q
+    ));
+
+    if (current < questions.length - 1) {
+      setSession({ ...session, questions });
+      setCurrent(current + 1);
+      setQuestionStart(timestamp);
+      setNow(timestamp);
+      return;
+    }
+
+    // Last question answered: save the session, then show it for review
+    const finished = { ...session, questions };
+    persistSessions([finished, ...sessions]);
+    setSession(null);
+    setViewing(finished.id);
+  };
+
+  const requestFeedback = async (target) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const feedback = await evaluateMockInterview({ role: target.role, answers: target.questions });
+      // Read again: sessions may have changed while the evaluation was running
+      persistSessions(collections.mockSessions.get().map(s => (s.id === target.id ? { ...s, feedback } : s)));
+    } catch (err) {
+      setError(err.message || "Failed to get feedback.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const deleteSession = (id) => {
+    persistSessions(sessions.filter(s => s.id !== id));
+    if (viewing === id) setViewing(null);
+  };
+
+  const toggleType = (type) => {
+    const types = setup.types.includes(type) ? setup.types.filter(t => t !== type) : [...setup.types, type];
+    if (types.length > 0) setSetup({ ...setup, types });
+  };
+
+  // Running interview
+  if (session) {
+    const question = session.questions[current];
+    const remaining = session.minutes * 60 - Math.floor((now - questionStart) / 1000);
+    return (
+      <div className="animate-fade-in container-full" style={mockLayout}>
+        <div style={progressRow}>
+          <span style={labelStyle}>{session.label} • Question {current + 1} of {session.questions.length}</span>
+          <span style={timerStyle(remaining)}>{remaining < 0 ? "Time's up " : ""}{formatClock(remaining)}</span>
+        </div>
+        <section className="glass-card" style={questionCard}>
+          <div style={questionMeta}>
+            <span style={typeBadge(question.type)}>{QUESTION_TYPES[question.type]}</span>
+            <span style={mutedText}>{question.skill}</span>
+          </div>
+          <h2 style={questionText}>{question.question}</h2>
+          <textarea
+            style={answerInput}
+            placeholder="Type your answer as you would say it. Structure helps: approach, trade-offs, result."
+            value={question.answer}
+            onChange={(e) => updateAnswer(e.target.value)}
+            autoFocus
+          />
+          <div style={actionRow}>
+            <button style={secondaryBtn} onClick={() => setSession(null)}>Abandon</button>
+            <button style={primaryBtn} onClick={nextQuestion}>
+              {current < session.questions.length - 1 ? "Next Question →" : "Finish Interview"}
+            </button>
+          </div>
+        </section>
+      </div>
+    );
+  }
+
+  const viewed = sessions.find(s => s.id === viewing);
+
+  return (
+    <div className="animate-fade-in container-full" style={mockLayout}>
+      <header style={headerStyle}>
+        <h1 className="glow-text" style={titleStyle}>Mock Interview</h1>
+        <p style={subtitleStyle}>Timed questions drawn from your target's skills, with rubric feedback from your AI provider.</p>
+      </header>
+
+      <section className="glass-card" style={setupCard}>
+        <div style={setupRow}>
+          <label style={fieldGroup}>
+            <span style={labelStyle}>Interview For</span>
+            <select style={inputStyle} value={setup.target} onChange={(e) => setSetup({ ...setup, target: e.target.value })}>
+              {Object.keys(companies).length > 0 && (
+                <optgroup label="Company Trackers">
+                  {Object.entries(companies).map(([key, c]) => <option key={key} value={`company:${key}`}>{c.name} — {c.role}</option>)}
+                </optgroup>
+              )}
+              <optgroup label="Role Templates">
+                {templates.map(t => <option key={t.id} value={`role:${t.id}`}>{t.name}</option>)}
+              </optgroup>
+            </select>
+          </label>
+          <label style={smallField}>
+            <span style={labelStyle}>Questions</span>
+            <input type="number" min="1" max="15" style={inputStyle} value={setup.count}
+              onChange={(e) => setSetup({ ...setup, count: Math.min(15, Math.max(1, Number(e.target.value) || 1)) })} />
+          </label>
+          <label style={smallField}>
+            <span style={labelStyle}>Minutes Each</span>
+            <input type="number" min="1" max="30" style={inputStyle} value={setup.minutes}
+              onChange={(e) => setSetup({ ...setup, minutes: Math.min(30, Math.max(1, Number(e.target.value) || 1)) })} />
+          </label>
+        </div>
+        <div style={actionRow}>
+          <div style={chipRow}>
+            {Object.entries(QUESTION_TYPES).map(([type, label]) => (
+              <button key={type} style={chip(setup.types.includes(type))} onClick={() => toggleType(type)}>{label}</button>
+            ))}
+          </div>
+          <button style={primaryBtn} onClick={startInterview}>Start Interview ▶</button>
+        </div>
+        {error && <p style={errorText}>{error}</p>}
+      </section>
+
+      {viewed && (
+        <section className="glass-card animate-fade-in" style={reviewCard}>
+          <div style={progressRow}>
+            <div>
+              <h2 style={reviewTitle}>{viewed.label}</h2>
+              <span style={mutedText}>{new Date(viewed.date).toLocaleString()}</span>
+            </div>
+            {viewed.feedback ? (
+              <span style={scoreBadge(viewed.feedback.overall)}>{viewed.feedback.overall}/5 overall</span>
+            ) : isLLMConfigured() ? (
+              <button style={primaryBtn} onClick={() => requestFeedback(viewed)} disabled={loading}>
+                {loading ? "Scoring..." : "Get AI Feedback"}
+              </button>
+            ) : (
+              <button style={secondaryBtn} onClick={() => navigate("/settings")}>Configure AI for feedback</button>
+            )}
+          </div>
+          {viewed.feedback?.summary && <p style={summaryText}>{viewed.feedback.summary}</p>}
+          {viewed.questions.map((q, i) => {
+            const result = viewed.feedback?.questions[i];
+            return (
+              <div key={q.id} style={answerBlock}>
+                <div style={questionMeta}>
+                  <span style={typeBadge(q.type)}>{QUESTION_TYPES[q.type]}</span>
+                  <span style={mutedText}>{q.skill} • {formatClock(q.seconds)}</span>
+                  {result && <span style={scoreBadge(result.score)}>{result.score}/5</span>}
+                </div>
+                <p style={reviewQuestion}>{q.question}</p>
+                <p style={answerText}>{q.answer || "No answer given."}</p>
+                {result && (
+                  <>
+                    <div style={chipRow}>
+                      {Object.entries(result.rubric).map(([criterion, value]) => (
+                        <span key={criterion} style={rubricChip}>{criterion} {value}/5</span>
+                      ))}
+                    </div>
+                    {result.feedback && <p style={feedbackText}>{result.feedback}</p>}
+                  </>
+                )}
+              </div>
+            );
+          })}
+        </section>
+      )}
+
+      <section style={historySection}>
+        <span style={labelStyle}>Session History ({sessions.length})</span>
+        {sessions.length === 0 ? (
+          <p style={mutedText}>Finished interviews will appear here.</p>
+        ) : (
+          sessions.map(s => (
+            <div key={s.id} className="glass-card" style={historyRow(s.id === viewing)}>
+              <div style={historyInfo} onClick={() => setViewing(s.id === viewing ? null : s.id)}>
+                <strong>{s.label}</strong>
+                <span style={mutedText}>
+                  {new Date(s.date).toLocaleDateString()} • {s.questions.length} questions
+                  {s.feedback ? ` • ${s.feedback.overall}/5` : " • not scored"}
+                </span>
+              </div>
+              <button style={deleteBtn} onClick={() => deleteSession(s.id)}>🗑️</button>
+            </div>
+          ))
+        )}
+      </section>
+    </div>
+  );
+}
+
+// Styles
+const mockLayout = {
+  maxWidth: "900px",
+  margin: "0 auto",
+  display: "flex",
+  flexDirection: "column",
+  gap: "28px",
+};
+
+const headerStyle = { textAlign: "center" };
+const titleStyle = { fontSize: "36px", marginBottom: "12px" };
+const subtitleStyle = { color: "hsl(var(--text-dim))", fontSize: "16px" };
+
+const labelStyle = {
+  fontSize: "12px",
+  fontWeight: "700",
+  textTransform: "uppercase",
+  letterSpacing: "0.1em",
+  color: "hsl(var(--text-muted))",
+};
+
+const mutedText = { fontSize: "13px", color: "hsl(var(--text-muted))" };
+const errorText = { fontSize: "13px", color: "hsl(var(--danger))" };
+
+const setupCard = {
+  padding: "24px",
+  display: "flex",
+  flexDirection: "column",
+  gap: "20px",
+  border: "1px solid hsla(var(--border-glass))",
+};
+
+const setupRow = { display: "flex", gap: "16px", flexWrap: "wrap" };
+const fieldGroup = { flex: 1, minWidth: "240px", display: "flex", flexDirection: "column", gap: "8px" };
+const smallField = { width: "120px", display: "flex", flexDirection: "column", gap: "8px" };
+
+const inputStyle = {
+  padding: "12px 14px",
+  borderRadius: "12px",
+  background: "hsla(var(--bg-page) / 0.8)",
+  border: "1px solid hsla(var(--border-glass))",
+  color: "white",
+  fontSize: "14px",
+  outline: "none",
+};
+
+const actionRow = { display: "flex", justifyContent: "space-between", alignItems: "center", gap: "12px", flexWrap: "wrap" };
+const chipRow = { display: "flex", gap: "8px", flexWrap: "wrap" };
+
+const chip = (active) => ({
+  padding: "8px 16px",
+  borderRadius: "100px",
+  border: "1px solid hsla(var(--border-glass))",
+  background: active ? "hsl(var(--primary))" : "hsla(var(--bg-glass))",
+  color: active ? "white" : "hsl(var(--text-dim))",
+  fontSize: "13px",
+  fontWeight: "700",
+  cursor: "pointer",
+});
+
+const primaryBtn = {
+  padding: "12px 28px",
+  borderRadius: "12px",
+  background: "hsl(var(--primary))",
+  color: "white",
+  fontWeight: "700",
+  border: "none",
+  cursor: "pointer",
+  boxShadow: "0 8px 16px -4px hsla(var(--primary-glow))",
+};
+
+const secondaryBtn = {
+  padding: "12px 24px",
+  borderRadius: "12px",
+  background: "hsla(var(--text-main) / 0.05)",
+  color: "hsl(var(--text-dim))",
+  border: "1px solid hsla(var(--border-glass))",
+  fontWeight: "700",
+  cursor: "pointer",
+};
+
+const progressRow = { display: "flex", justifyContent: "space-between", alignItems: "center", gap: "16px" };
+
+const timerStyle = (remaining) => ({
+  fontSize: "28px",
+  fontWeight: "800",
+  fontVariantNumeric: "tabular-nums",
+  color: remaining < 0 ? "hsl(var(--danger))" : remaining < 30 ? "hsl(var(--warning))" : "hsl(var(--accent))",
+});
+
+const questionCard = {
+  padding: "32px",
+  display: "flex",
+  flexDirection: "column",
+  gap: "20px",
+  border: "1px solid hsla(var(--primary) / 0.2)",
+};
+
+const questionMeta = { display: "flex", alignItems: "center", gap: "12px" };
+
+const TYPE_COLORS = { technical: "--primary", behavioral: "--success", "system-design": "--accent" };
+
+const typeBadge = (type) => ({
+  fontSize: "11px",
+  fontWeight: "800",
+  textTransform: "uppercase",
+  padding: "4px 10px",
+  borderRadius: "100px",
+  color: `hsl(var(${TYPE_COLORS[type]}))`,
+  border: `1px solid hsla(var(${TYPE_COLORS[type]}) / 0.4)`,
+});
+
+const questionText = { fontSize: "22px", lineHeight: 1.4 };
+
+const answerInput = {
+  minHeight: "220px",
+  padding: "16px",
+  borderRadius: "12px",
+  background: "hsla(var(--bg-page) / 0.5)",
+  border: "1px solid hsla(var(--border-glass))",
+  color: "white",
+  fontSize: "15px",
+  lineHeight: 1.6,
+  resize: "vertical",
+  outline: "none",
+};
+
+const reviewCard = {
+  padding: "28px",
+  display: "flex",
+  flexDirection: "column",
+  gap: "20px",
+  border: "1px solid hsla(var(--accent) / 0.2)",
+};
+
+const reviewTitle = { fontSize: "22px", fontWeight: "800" };
+const summaryText = { fontSize: "15px", lineHeight: 1.6, color: "hsl(var(--text-dim))" };
+
+const scoreBadge = (score) => ({
+  fontSize: "13px",
+  fontWeight: "800",
+  padding: "6px 12px",
+  borderRadius: "100px",
+  color: score >= 4 ? "hsl(var(--success))" : score >= 3 ? "hsl(var(--warning))" : "hsl(var(--danger))",
+  border: "1px solid currentColor",
+  whiteSpace: "nowrap",
+});
+
+const answerBlock = {
+  display: "flex",
+  flexDirection: "column",
+  gap: "10px",
+  paddingTop: "16px",
+  borderTop: "1px solid hsla(var(--border-glass))",
+};
+
+const reviewQuestion = { fontWeight: "700", fontSize: "15px" };
+const answerText = { fontSize: "14px", color: "hsl(var(--text-dim))", whiteSpace: "pre-wrap", lineHeight: 1.6 };
+const feedbackText = { fontSize: "14px", color: "hsl(var(--accent))", lineHeight: 1.6 };
+
+const rubricChip = {
+  fontSize: "11px",
+  fontWeight: "700",
+  textTransform: "capitalize",
+  padding: "4px 10px",
+  borderRadius: "100px",
+  background: "hsla(var(--text-main) / 0.05)",
+  color: "hsl(var(--text-dim))",
+};
+
+const historySection = { display: "flex", flexDirection: "column", gap: "10px" };
+
+const historyRow = (active) => ({
+  padding: "16px 20px",
+  display: "flex",
+  justifyContent: "space-between",
+  alignItems: "center",
+  border: active ? "1px solid hsl(var(--accent))" : "1px solid hsla(var(--border-glass))",
+});
+
+const historyInfo = { display: "flex", flexDirection: "column", gap: "4px", cursor: "pointer", flex: 1 };
+const deleteBtn = { background: "none", border: "none", cursor: "pointer", opacity: 0.5 };
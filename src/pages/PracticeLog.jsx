@@ -0,0 +1,375 @@
+import { useState } from "react";
+import { collections } from "../utils/storage";
+import { useCollection } from "../hooks/useCollection";
+import {
+  PLATFORMS,
+  DIFFICULTIES,
+  TOPIC_SKILLS,
+  savePracticeLog,
+  createPracticeEntry,
+  getTopicStats,
+  getPracticeBySkill,
+  getPracticeStreak,
+  parsePracticeCSV,
+  mergePracticeEntries,
+} from "../utils/practice";
+import { getLevelLabel } from "../utils/proficiency";
+
+const EMPTY_DRAFT = { title: "", url: "", platform: PLATFORMS[0], difficulty: "Medium", topics: "", minutes: "", solved: true, revisit: false };
+
+export default function PracticeLog() {
+  const log = useCollection(collections.practiceLog);
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [filter, setFilter] = useState("all");
+  const [importStatus, setImportStatus] = useState(null);
+
+  const persist = (updated) => savePracticeLog(updated);
+
+  const addEntry = () => {
+    if (!draft.title.trim() && !draft.url.trim()) return;
+    const entry = createPracticeEntry({
+      ...draft,
+      title: draft.title.trim() || draft.url.trim(),
+      url: draft.url.trim(),
+      topics: draft.topics.split(",").map(t => t.trim()).filter(Boolean),
+      minutes: parseInt(draft.minutes, 10) || 0,
+    });
+    persist([entry, ...log]);
+    setDraft({ ...EMPTY_DRAFT, platform: draft.platform });
+  };
+
+  const updateEntry = (id, changes) => persist(log.map(e => (e.id === id ? { ...e, ...changes } : e)));
+  const deleteEntry = (id) => persist(log.filter(e => e.id !== id));
+
+  const importCSV = (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const { entries, skipped } = parsePracticeCSV(reader.result);
+        const merged = mergePracticeEntries(log, entries);
+        persist(merged.log);
+        setImportStatus({
+          ok: true,
+          message: `Imported ${merged.added} problems${merged.duplicates ? `, ${merged.duplicates} already logged` : ""}${skipped ? `, ${skipped} rows skipped` : ""}.`,
+        });
+      } catch (err) {
+        setImportStatus({ ok: false, message: err.message });
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const streak = getPracticeStreak(log);
+  const topicStats = getTopicStats(log);
+  const skillStats = Object.entries(getPracticeBySkill(log)).sort((a, b) => b[1].points - a[1].points);
+  const solvedCount = log.filter(e => e.solved).length;
+  const revisitCount = log.filter(e => e.revisit).length;
+
+  const filteredLog = log.filter(e => {
+    if (filter === "revisit") return e.revisit;
+    if (filter === "attempted") return !e.solved;
+    return true;
+  });
+
+  return (
+    <div className="animate-fade-in container-full" style={practiceLayout}>
+      <header style={headerStyle}>
+        <div>
+          <h1 className="glow-text" style={titleStyle}>Practice Log</h1>
+          <p style={subtitleStyle}>Every problem you solve counts towards your Data Structures and Algorithms proficiency.</p>
+        </div>
+        <label style={actionBtn}>
+          Import CSV 📥
+          <input type="file" accept=".csv,text/csv" style={{ display: "none" }} onChange={importCSV} />
+        </label>
+      </header>
+
+      {importStatus && (
+        <p style={importStatus.ok ? successText : errorText}>{importStatus.message}</p>
+      )}
+
+      <div style={statsGrid}>
+        {[
+          { label: "Solved", value: solvedCount },
+          { label: "Current Streak", value: `${streak.current}🔥` },
+          { label: "Longest Streak", value: streak.longest },
+          { label: "To Revisit", value: revisitCount },
+        ].map(stat => (
+          <div key={stat.label} className="glass-card" style={statCard}>
+            <span style={labelStyle}>{stat.label}</span>
+            <span style={statValue}>{stat.value}</span>
+          </div>
+        ))}
+      </div>
+
+      <section className="glass-card" style={formCard}>
+        <div style={formRow}>
+          <input style={{ ...inputStyle, flex: 2 }} placeholder="Problem title" value={draft.title} onChange={(e) => setDraft({ ...draft, title: e.target.value })} />
+          <input style={{ ...inputStyle, flex: 2 }} placeholder="https://leetcode.com/problems/..." value={draft.url} onChange={(e) => setDraft({ ...draft, url: e.target.value })} />
+        </div>
+        <div style={formRow}>
+          <select style={inputStyle} value={draft.platform} onChange={(e) => setDraft({ ...draft, platform: e.target.value })}>
+            {PLATFORMS.map(p => <option key={p} value={p}>{p}</option>)}
+          </select>
+          <select style={inputStyle} value={draft.difficulty} onChange={(e) => setDraft({ ...draft, difficulty: e.target.value })}>
+            {DIFFICULTIES.map(d => <option key={d} value={d}>{d}</option>)}
+          </select>
+          <input
+            style={{ ...inputStyle, flex: 2 }}
+            placeholder="Topics, comma separated (e.g. Array, Two Pointers)"
+            list="practice-topics"
+            value={draft.topics}
+            onChange={(e) => setDraft({ ...draft, topics: e.target.value })}
+          />
+          <datalist id="practice-topics">
+            {Object.keys(TOPIC_SKILLS).map(t => <option key={t} value={t} />)}
+          </datalist>
+          <input type="number" min="0" style={{ ...inputStyle, maxWidth: "110px" }} placeholder="Minutes" value={draft.minutes} onChange={(e) => setDraft({ ...draft, minutes: e.target.value })} />
+        </div>
+        <div style={formRow}>
+          <label style={checkLabel}>
+            <input type="checkbox" checked={draft.solved} onChange={(e) => setDraft({ ...draft, solved: e.target.checked })} /> Solved
+          </label>
+          <label style={checkLabel}>
+            <input type="checkbox" checked={draft.revisit} onChange={(e) => setDraft({ ...draft, revisit: e.target.checked })} /> Revisit later
+          </label>
+          <button style={primaryBtn} onClick={addEntry}>Log Problem</button>
+        </div>
+      </section>
+
+      {log.length > 0 && (
+        <div style={statsColumns}>
+          <section className="glass-card" style={panelCard}>
+            <span style={labelStyle}>By Topic</span>
+            {topicStats.map(stat => (
+              <div key={stat.topic} style={topicRow}>
+                <div style={topicInfo}>
+                  <strong>{stat.topic}</strong>
+                  <span style={mutedText}>{stat.skill} • avg {stat.avgMinutes} min</span>
+                </div>
+                <span style={difficultySplit}>
+                  {DIFFICULTIES.map(d => <span key={d} style={difficultyText(d)}>{stat.byDifficulty[d]}</span>)}
+                </span>
+                <span style={topicCount}>{stat.solved}/{stat.attempted}</span>
+              </div>
+            ))}
+          </section>
+          <section className="glass-card" style={panelCard}>
+            <span style={labelStyle}>Skill Proficiency From Practice</span>
+            {skillStats.map(([skill, stat]) => (
+              <div key={skill} style={topicRow}>
+                <div style={topicInfo}>
+                  <strong>{skill}</strong>
+                  <span style={mutedText}>{stat.solved} solved • {stat.points} points</span>
+                </div>
+                <span style={levelBadge}>Level {stat.level} • {getLevelLabel(stat.level)}</span>
+              </div>
+            ))}
+            <p style={mutedText}>Easy, Medium and Hard solves earn 1, 2 and 3 points. Skill Tracker levels are raised to match, never lowered.</p>
+          </section>
+        </div>
+      )}
+
+      <section style={logSection}>
+        <div style={logHeader}>
+          <span style={labelStyle}>Problems ({filteredLog.length})</span>
+          <div style={filterGroup}>
+            {["all", "attempted", "revisit"].map(f => (
+              <button key={f} style={filterBtn(filter === f)} onClick={() => setFilter(f)}>
+                {f.charAt(0).toUpperCase() + f.slice(1)}
+              </button>
+            ))}
+          </div>
+        </div>
+        {filteredLog.length === 0 ? (
+          <p style={mutedText}>No problems logged yet. Add one above or import a CSV with title, url, difficulty, tags and status columns.</p>
+        ) : (
+          filteredLog.map(entry => (
+            <div key={entry.id} className="glass-card" style={entryRow}>
+              <div style={topicInfo}>
+                {entry.url
+                  ? <a href={entry.url} target="_blank" rel="noopener noreferrer" style={entryTitle}>{entry.title}</a>
+                  : <span style={entryTitle}>{entry.title}</span>}
+                <span style={mutedText}>
+                  {entry.platform} • {new Date(entry.date).toLocaleDateString()}
+                  {entry.minutes > 0 && ` • ${entry.minutes} min`}
+                  {entry.topics.length > 0 && ` • ${entry.topics.join(", ")}`}
+                </span>
+              </div>
+              <span style={difficultyText(entry.difficulty)}>{entry.difficulty}</span>
+              <button style={statusBtn(entry.solved)} onClick={() => updateEntry(entry.id, { solved: !entry.solved })}>
+                {entry.solved ? "Solved" : "Attempted"}
+              </button>
+              <button style={flagBtn(entry.revisit)} title="Revisit later" onClick={() => updateEntry(entry.id, { revisit: !entry.revisit })}>🚩</button>
+              <button style={deleteBtn} onClick={() => deleteEntry(entry.id)}>🗑️</button>
+            </div>
+          ))
+        )}
+      </section>
+    </div>
+  );
+}
+
+// Styles
+const practiceLayout = {
+  maxWidth: "1100px",
+  margin: "0 auto",
+  display: "flex",
+  flexDirection: "column",
+  gap: "28px",
+};
+
+const headerStyle = {
+  display: "flex",
+  justifyContent: "space-between",
+  alignItems: "center",
+  flexWrap: "wrap",
+  gap: "24px",
+};
+
+const titleStyle = { fontSize: "36px", marginBottom: "8px" };
+const subtitleStyle = { color: "hsl(var(--text-dim))", fontSize: "16px" };
+
+const actionBtn = {
+  padding: "12px 24px",
+  borderRadius: "100px",
+  background: "hsla(var(--primary) / 0.1)",
+  color: "white",
+  border: "1px solid hsla(var(--primary) / 0.3)",
+  fontWeight: "700",
+  cursor: "pointer",
+};
+
+const labelStyle = {
+  fontSize: "12px",
+  fontWeight: "700",
+  textTransform: "uppercase",
+  letterSpacing: "0.1em",
+  color: "hsl(var(--text-muted))",
+};
+
+const mutedText = { fontSize: "13px", color: "hsl(var(--text-muted))" };
+const successText = { fontSize: "14px", color: "hsl(var(--success))" };
+const errorText = { fontSize: "14px", color: "hsl(var(--danger))" };
+
+const statsGrid = { display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(180px, 1fr))", gap: "16px" };
+
+const statCard = {
+  padding: "20px 24px",
+  display: "flex",
+  flexDirection: "column",
+  gap: "8px",
+  border: "1px solid hsla(var(--border-glass))",
+};
+
+const statValue = { fontSize: "32px", fontWeight: "800", color: "hsl(var(--accent))" };
+
+const formCard = {
+  padding: "24px",
+  display: "flex",
+  flexDirection: "column",
+  gap: "12px",
+  border: "1px solid hsla(var(--primary) / 0.15)",
+};
+
+const formRow = { display: "flex", gap: "12px", flexWrap: "wrap", alignItems: "center" };
+
+const inputStyle = {
+  flex: 1,
+  minWidth: "120px",
+  padding: "10px 14px",
+  borderRadius: "10px",
+  background: "hsla(var(--bg-page) / 0.8)",
+  border: "1px solid hsla(var(--border-glass))",
+  color: "white",
+  fontSize: "14px",
+  outline: "none",
+};
+
+const checkLabel = { display: "flex", alignItems: "center", gap: "6px", fontSize: "14px", color: "hsl(var(--text-dim))" };
+
+const primaryBtn = {
+  marginLeft: "auto",
+  padding: "10px 24px",
+  borderRadius: "10px",
+  background: "hsl(var(--primary))",
+  color: "white",
+  fontWeight: "700",
+  border: "none",
+  cursor: "pointer",
+};
+
+const statsColumns = { display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(320px, 1fr))", gap: "20px", alignItems: "start" };
+
+const panelCard = {
+  padding: "24px",
+  display: "flex",
+  flexDirection: "column",
+  gap: "12px",
+  border: "1px solid hsla(var(--border-glass))",
+};
+
+const topicRow = { display: "flex", alignItems: "center", gap: "12px", fontSize: "14px" };
+const topicInfo = { display: "flex", flexDirection: "column", gap: "2px", flex: 1, minWidth: 0 };
+const topicCount = { fontWeight: "800", minWidth: "48px", textAlign: "right" };
+const difficultySplit = { display: "flex", gap: "8px", fontSize: "12px", fontWeight: "700" };
+
+const DIFFICULTY_COLORS = { Easy: "--success", Medium: "--warning", Hard: "--danger" };
+
+const difficultyText = (difficulty) => ({
+  fontSize: "12px",
+  fontWeight: "700",
+  color: `hsl(var(${DIFFICULTY_COLORS[difficulty] || "--text-dim"}))`,
+});
+
+const levelBadge = {
+  fontSize: "12px",
+  fontWeight: "700",
+  padding: "4px 10px",
+  borderRadius: "100px",
+  background: "hsla(var(--accent) / 0.1)",
+  color: "hsl(var(--accent))",
+  whiteSpace: "nowrap",
+};
+
+const logSection = { display: "flex", flexDirection: "column", gap: "10px" };
+const logHeader = { display: "flex", justifyContent: "space-between", alignItems: "center" };
+const filterGroup = { display: "flex", gap: "8px" };
+
+const filterBtn = (active) => ({
+  padding: "6px 14px",
+  borderRadius: "100px",
+  border: "1px solid hsla(var(--border-glass))",
+  background: active ? "hsl(var(--primary))" : "transparent",
+  color: active ? "white" : "hsl(var(--text-dim))",
+  fontSize: "12px",
+  fontWeight: "700",
+  cursor: "pointer",
+});
+
+const entryRow = {
+  padding: "14px 20px",
+  display: "flex",
+  alignItems: "center",
+  gap: "16px",
+  border: "1px solid hsla(var(--border-glass))",
+};
+
+const entryTitle = { fontWeight: "700", color: "white", textDecoration: "none" };
+
+const statusBtn = (solved) => ({
+  padding: "4px 12px",
+  borderRadius: "100px",
+  border: "1px solid currentColor",
+  background: "transparent",
+  color: solved ? "hsl(var(--success))" : "hsl(var(--text-muted))",
+  fontSize: "11px",
+  fontWeight: "700",
+  cursor: "pointer",
+});
+
+const flagBtn = (active) => ({ background: "none", border: "none", cursor: "pointer", opacity: active ? 1 : 0.25 });
+const deleteBtn = { background: "none", border: "none", cursor: "pointer", opacity: 0.5 };
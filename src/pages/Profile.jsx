@@ -1,6 +1,8 @@
 import React, { useState, useEffect } from "react";
 import { useAuth } from "../context/AuthContext";
 import { useNavigate } from "react-router-dom";
+import DataManager from "../components/DataManager";
+import TrashBin from "../components/TrashBin";
 
 export default function Profile() {
   const { user, logout } = useAuth();
@@ -89,12 +91,25 @@ export default function Profile() {
               📲 Install Desktop App
             </button>
           )}
+          <button onClick={() => navigate("/settings")} style={settingsBtn}>
+            ⚙️ AI Settings
+          </button>
           <button onClick={handleLogout} style={logoutBtn}>
             Sign Out
           </button>
         </div>
       </div>
 
+      <section style={dataSection}>
+        <h2 style={sectionTitle}>Data & Backups</h2>
+        <DataManager />
+      </section>
+
+      <section style={dataSection}>
+        <h2 style={sectionTitle}>Trash</h2>
+        <TrashBin />
+      </section>
+
       <footer style={profileFooter}>
         <p style={footerText}>PrepHub v1.0 • Secure Connection</p>
       </footer>
@@ -227,6 +242,22 @@ const installBtn = {
   boxShadow: "0 8px 16px -4px hsla(var(--primary-glow))",
 };
 
+const settingsBtn = {
+  padding: "16px",
+  borderRadius: "16px",
+  background: "hsla(var(--text-main) / 0.05)",
+  color: "white",
+  fontWeight: "800",
+  fontSize: "14px",
+  border: "1px solid hsla(var(--border-glass))",
+  cursor: "pointer",
+  display: "flex",
+  alignItems: "center",
+  justifyContent: "center",
+  gap: "12px",
+  transition: "var(--transition-smooth)",
+};
+
 const logoutBtn = {
   padding: "16px",
   borderRadius: "16px",
@@ -243,5 +274,8 @@ const logoutBtn = {
   transition: "var(--transition-smooth)",
 };
 
+const dataSection = { display: "flex", flexDirection: "column", gap: "16px" };
+const sectionTitle = { fontSize: "20px", fontWeight: "800" };
+
 const profileFooter = { textAlign: "center", marginTop: "12px" };
 const footerText = { fontSize: "11px", color: "hsl(var(--text-muted))", letterSpacing: "0.05em" };
@@ -1,17 +1,32 @@
 import { useState } from "react";
-import { getData } from "../utils/storage";
 import { getResourcesForSkill } from "../utils/resources";
+import { collections } from "../utils/storage";
+import { useCollection } from "../hooks/useCollection";
+import { markSkillsLearned } from "../utils/proficiency";
+import { startStudyTimer } from "../utils/studyTimer";
+import { track } from "../utils/history";
+import {
+  RESOURCE_STATUSES,
+  getProgressFor,
+  updateResourceProgress,
+  isSkillCompleted,
+  getContinueLearning,
+  getBookmarked,
+} from "../utils/resourceProgress";
+
+const FILTERS = {
+  missing: "Missing Skills",
+  all: "All",
+  learned: "Learned",
+  continue: "Continue Learning",
+  bookmarked: "Bookmarked",
+};
 
 export default function Resources() {
-  const [skills] = useState(() => {
-    const storedSkills = getData("skillTracker") || [];
-    return storedSkills.map(skill =>
-      typeof skill === 'string'
-        ? { name: skill, learned: false }
-        : skill
-    );
-  });
+  const skills = useCollection(collections.skills);
+  const progress = useCollection(collections.resourceProgress);
   const [filter, setFilter] = useState("missing");
+  const [completedSkill, setCompletedSkill] = useState(null);
 
   const getFilteredSkills = () => {
     switch (filter) {
@@ -21,8 +36,33 @@ export default function Resources() {
     }
   };
 
+  const updateProgress = (skillName, url, changes) => {
+    const updated = updateResourceProgress(progress, skillName, url, changes);
+    // Finishing the last resource of a skill that isn't learned yet offers to mark it learned
+    const skill = skills.find(s => s.name === skillName);
+    if (changes.status === "completed" && skill && !skill.learned && isSkillCompleted(updated, skillName)) {
+      setCompletedSkill(skillName);
+    }
+  };
+
+  const confirmLearned = () => {
+    track(`Marked ${completedSkill} learned`, () => markSkillsLearned([completedSkill]), { type: "skill" });
+    setCompletedSkill(null);
+  };
+
   const filteredSkills = getFilteredSkills();
   const skillsWithResources = filteredSkills.filter(skill => getResourcesForSkill(skill.name).length > 0);
+  const savedList = filter === "continue" ? getContinueLearning(progress) : filter === "bookmarked" ? getBookmarked(progress) : null;
+
+  const renderCard = (skillName, res) => (
+    <ResourceCard
+      key={res.url}
+      resource={res}
+      progress={getProgressFor(progress, res.url)}
+      skillName={skillName}
+      onChange={(changes) => updateProgress(skillName, res.url, changes)}
+    />
+  );
 
   return (
     <div className="animate-fade-in container-full" style={resourcesLayout}>
@@ -34,47 +74,69 @@ export default function Resources() {
       {/* Filter Bar */}
       <section style={controlBar}>
          <div style={filterGroup}>
-           {["missing", "all", "learned"].map(f => (
+           {Object.entries(FILTERS).map(([f, label]) => (
              <button 
                key={f} 
                onClick={() => setFilter(f)} 
                style={filterBtn(filter === f)}
              >
-               {f === "missing" ? "Missing Skills" : f.charAt(0).toUpperCase() + f.slice(1)}
+               {label}
              </button>
            ))}
          </div>
       </section>
 
+      {completedSkill && (
+        <section className="glass-card animate-fade-in" style={completeBanner}>
+          <span>🎉 You've completed every resource for <strong>{completedSkill}</strong>. Mark it as learned?</span>
+          <div style={bannerActions}>
+            <button style={confirmBtn} onClick={confirmLearned}>Mark Learned</button>
+            <button style={dismissBtn} onClick={() => setCompletedSkill(null)}>Not yet</button>
+          </div>
+        </section>
+      )}
+
       {/* Content Area */}
       <div style={contentArea}>
-        {skillsWithResources.length === 0 ? (
+        {savedList ? (
+          savedList.length === 0 ? (
+            <div className="glass-card" style={emptyState}>
+              <div style={emptyIcon}>{filter === "continue" ? "📖" : "🔖"}</div>
+              <h3 style={emptyTitle}>{filter === "continue" ? "Nothing in progress" : "No bookmarks yet"}</h3>
+              <p style={emptyText}>
+                {filter === "continue"
+                  ? "Set a resource to In Progress and it will wait for you here."
+                  : "Bookmark resources to keep them one click away."}
+              </p>
+            </div>
+          ) : (
+            <div style={resourceGrid}>
+              {savedList.map(item => renderCard(item.skill, item.resource))}
+            </div>
+          )
+        ) : skillsWithResources.length === 0 ? (
           <div className="glass-card" style={emptyState}>
              <div style={emptyIcon}>📚</div>
              <h3 style={emptyTitle}>No resources found</h3>
              <p style={emptyText}>Try adding more skills in the analyzer or check back later.</p>
           </div>
         ) : (
-          skillsWithResources.map(skill => (
-            <div key={skill.name} className="glass-card" style={skillSection}>
-              <div style={sectionHeader}>
-                <h3 style={sectionTitle}>{skill.name}</h3>
-                <div style={sectionLine}></div>
+          skillsWithResources.map(skill => {
+            const resources = getResourcesForSkill(skill.name);
+            const done = resources.filter(res => progress[res.url]?.status === "completed").length;
+            return (
+              <div key={skill.name} className="glass-card" style={skillSection}>
+                <div style={sectionHeader}>
+                  <h3 style={sectionTitle}>{skill.name}</h3>
+                  <div style={sectionLine}></div>
+                  <span style={sectionCount}>{done}/{resources.length} completed</span>
+                </div>
+                <div style={resourceGrid}>
+                  {resources.map(res => renderCard(skill.name, res))}
+                </div>
               </div>
-              <div style={resourceGrid}>
-                {getResourcesForSkill(skill.name).map((res, i) => (
-                  <a href={res.url} target="_blank" rel="noreferrer" key={i} className="glass-card" style={resourceCard}>
-                    <div style={resTop}>
-                      <span style={typeBadge(res.type)}>{res.type}</span>
-                      <span style={provider}>{res.provider}</span>
-                    </div>
-                    <h4 style={resTitle}>{res.title}</h4>
-                    <div style={resLink}>Access Resource →</div>
-                  </a>
-                ))}
-              </div>
-            </div>
-          ))
+            );
+          })
         )}
       </div>
 
@@ -100,6 +162,71 @@ export default function Resources() {
   );
 }
 
+function ResourceCard({ resource, progress, skillName, onChange }) {
+  const [showNotes, setShowNotes] = useState(false);
+  return (
+    <div className="glass-card" style={resourceCard(progress.status)}>
+      <div style={resTop}>
+        <span style={typeBadge(resource.type)}>{resource.type}</span>
+        <div style={resTopRight}>
+          <span style={provider}>{resource.provider}</span>
+          <button
+            style={bookmarkBtn(progress.bookmarked)}
+            title={progress.bookmarked ? "Remove bookmark" : "Bookmark"}
+            onClick={() => onChange({ bookmarked: !progress.bookmarked })}
+          >
+            🔖
+          </button>
+        </div>
+      </div>
+      <a href={resource.url} target="_blank" rel="noreferrer" style={resTitle}>{resource.title}</a>
+      <span style={provider}>{skillName}</span>
+
+      <div style={resControls}>
+        <select style={statusSelect(progress.status)} value={progress.status} onChange={(e) => onChange({ status: e.target.value })}>
+          {Object.entries(RESOURCE_STATUSES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+        </select>
+        <div style={stars}>
+          {[1, 2, 3, 4, 5].map(n => (
+            <span
+              key={n}
+              style={star(n <= progress.rating)}
+              title={`${n} of 5`}
+              onClick={() => onChange({ rating: n === progress.rating ? 0 : n })}
+            >
+              ★
+            </span>
+          ))}
+        </div>
+      </div>
+
+      {showNotes && (
+        <textarea
+          style={notesInput}
+          placeholder="Your notes on this resource..."
+          value={progress.notes}
+          onChange={(e) => onChange({ notes: e.target.value })}
+        />
+      )}
+
+      <div style={resFooter}>
+        <button style={notesBtn} onClick={() => setShowNotes(!showNotes)}>
+          {showNotes ? "Hide notes" : progress.notes ? "📝 Notes" : "+ Notes"}
+        </button>
+        <button
+          style={focusBtn}
+          onClick={() => {
+            if (progress.status === "not-started") onChange({ status: "in-progress" });
+            startStudyTimer(skillName, { title: resource.title, url: resource.url });
+          }}
+        >
+          ⏱ Focus
+        </button>
+      </div>
+    </div>
+  );
+}
+
 // Styles
 const resourcesLayout = {
   display: "flex",
@@ -138,6 +265,38 @@ const filterBtn = (active) => ({
   transition: "var(--transition-smooth)",
 });
 
+const completeBanner = {
+  padding: "20px 24px",
+  display: "flex",
+  justifyContent: "space-between",
+  alignItems: "center",
+  gap: "16px",
+  flexWrap: "wrap",
+  border: "1px solid hsla(var(--success) / 0.3)",
+};
+
+const bannerActions = { display: "flex", gap: "8px" };
+
+const confirmBtn = {
+  padding: "8px 18px",
+  borderRadius: "100px",
+  border: "none",
+  background: "hsl(var(--success))",
+  color: "white",
+  fontWeight: "700",
+  cursor: "pointer",
+};
+
+const dismissBtn = {
+  padding: "8px 18px",
+  borderRadius: "100px",
+  border: "1px solid hsla(var(--border-glass))",
+  background: "transparent",
+  color: "hsl(var(--text-dim))",
+  fontWeight: "700",
+  cursor: "pointer",
+};
+
 const contentArea = {
   display: "flex",
   flexDirection: "column",
@@ -176,6 +335,8 @@ const sectionTitle = {
   whiteSpace: "nowrap",
 };
 
+const sectionCount = { fontSize: "13px", fontWeight: "700", color: "hsl(var(--text-muted))", whiteSpace: "nowrap" };
+
 const sectionLine = {
   height: "1px",
   flex: 1,
@@ -188,16 +349,17 @@ const resourceGrid = {
   gap: "20px",
 };
 
-const resourceCard = {
+const STATUS_COLORS = { "not-started": "--text-muted", "in-progress": "--warning", completed: "--success" };
+
+const resourceCard = (status) => ({
   padding: "20px",
   display: "flex",
   flexDirection: "column",
   gap: "12px",
-  textDecoration: "none",
   color: "inherit",
   transition: "var(--transition-spring)",
-  ":hover": { transform: "translateY(-4px)" },
-};
+  border: status === "completed" ? "1px solid hsla(var(--success) / 0.3)" : "1px solid hsla(var(--border-glass))",
+});
 
 const resTop = {
   display: "flex",
@@ -220,8 +382,71 @@ const typeBadge = (type) => {
 };
 
 const provider = { fontSize: "11px", color: "hsl(var(--text-muted))", fontWeight: "700" };
-const resTitle = { fontSize: "16px", fontWeight: "700", lineHeight: "1.4" };
-const resLink = { marginTop: "auto", fontSize: "12px", fontWeight: "700", color: "hsl(var(--primary))" };
+const resTopRight = { display: "flex", alignItems: "center", gap: "8px" };
+const resTitle = { fontSize: "16px", fontWeight: "700", lineHeight: "1.4", color: "white", textDecoration: "none" };
+const resFooter = { marginTop: "auto", display: "flex", justifyContent: "space-between", alignItems: "center" };
+
+const bookmarkBtn = (active) => ({
+  background: "none",
+  border: "none",
+  cursor: "pointer",
+  fontSize: "14px",
+  padding: 0,
+  opacity: active ? 1 : 0.25,
+});
+
+const resControls = { display: "flex", justifyContent: "space-between", alignItems: "center", gap: "8px" };
+
+const statusSelect = (status) => ({
+  padding: "4px 8px",
+  borderRadius: "100px",
+  background: "hsla(var(--bg-page) / 0.8)",
+  color: `hsl(var(${STATUS_COLORS[status]}))`,
+  border: "1px solid hsla(var(--border-glass))",
+  fontSize: "11px",
+  fontWeight: "700",
+});
+
+const stars = { display: "flex", gap: "2px" };
+
+const star = (filled) => ({
+  cursor: "pointer",
+  fontSize: "16px",
+  color: filled ? "hsl(var(--warning))" : "hsla(var(--text-main) / 0.2)",
+});
+
+const notesInput = {
+  minHeight: "70px",
+  padding: "8px 10px",
+  borderRadius: "8px",
+  background: "hsla(var(--bg-page) / 0.8)",
+  color: "white",
+  border: "1px solid hsla(var(--border-glass))",
+  fontSize: "13px",
+  resize: "vertical",
+  outline: "none",
+};
+
+const notesBtn = {
+  background: "none",
+  border: "none",
+  color: "hsl(var(--primary))",
+  fontSize: "12px",
+  fontWeight: "700",
+  cursor: "pointer",
+  padding: 0,
+};
+
+const focusBtn = {
+  padding: "4px 10px",
+  borderRadius: "100px",
+  border: "1px solid hsla(var(--accent) / 0.3)",
+  background: "transparent",
+  color: "hsl(var(--accent))",
+  fontSize: "11px",
+  fontWeight: "700",
+  cursor: "pointer",
+};
 
 const infoGrid = {
   display: "grid",
@@ -0,0 +1,425 @@
+import { useRef, useState } from "react";
+import { useReactToPrint } from "react-to-print";
+import { useAuth } from "../context/AuthContext";
+import { getData, saveData, collections } from "../utils/storage";
+import { useCollection } from "../hooks/useCollection";
+import { skillCategories } from "../utils/skillExtractor";
+import { markSkillsLearned } from "../utils/proficiency";
+import { track } from "../utils/history";
+import { downloadFile } from "../utils/download";
+import ResumePreview, { RESUME_TEMPLATES } from "../components/ResumePreview";
+
+// Field lists per JSON Resume section; "list" fields are edited one item per line
+const SECTIONS = {
+  work: {
+    title: "Experience",
+    fields: [
+      { key: "position", label: "Position" },
+      { key: "name", label: "Company" },
+      { key: "startDate", label: "Start" },
+      { key: "endDate", label: "End" },
+      { key: "summary", label: "Summary", multiline: true },
+      { key: "highlights", label: "Highlights (one per line)", list: true },
+    ],
+  },
+  projects: {
+    title: "Projects",
+    fields: [
+      { key: "name", label: "Project" },
+      { key: "url", label: "URL" },
+      { key: "description", label: "Description", multiline: true },
+      { key: "highlights", label: "Highlights (one per line)", list: true },
+    ],
+  },
+  education: {
+    title: "Education",
+    fields: [
+      { key: "institution", label: "Institution" },
+      { key: "studyType", label: "Degree" },
+      { key: "area", label: "Field of Study" },
+      { key: "score", label: "Grade / GPA" },
+      { key: "startDate", label: "Start" },
+      { key: "endDate", label: "End" },
+    ],
+  },
+};
+
+const emptyResume = (user) => ({
+  basics: {
+    name: user?.displayName || "",
+    label: "",
+    email: user?.email || "",
+    phone: "",
+    url: "",
+    summary: "",
+    location: { city: "" },
+  },
+  work: [],
+  projects: [],
+  education: [],
+});
+
+// Skills section is always built from mastered skillTracker entries, grouped like the extractors do
+const buildSkillGroups = (trackedSkills) => {
+  const mastered = trackedSkills.filter(s => s.learned).map(s => s.name);
+  const groups = {};
+  mastered.forEach(name => {
+    const category = Object.keys(skillCategories).find(c => skillCategories[c].includes(name)) || "Other";
+    groups[category] = [...(groups[category] || []), name];
+  });
+  return Object.entries(groups).map(([name, keywords]) => ({ name, keywords }));
+};
+
+export default function ResumeBuilder() {
+  const { user } = useAuth();
+  const previewRef = useRef(null);
+  const resume = useCollection(collections.resumeBuilder) || emptyResume(user);
+  const [template, setTemplate] = useState(() => getData("resumeTemplate") || "modern");
+  const trackedSkills = useCollection(collections.skills);
+  const [status, setStatus] = useState("");
+
+  const resumeDocument = { ...resume, skills: buildSkillGroups(trackedSkills) };
+
+  const handlePrint = useReactToPrint({
+    contentRef: previewRef,
+    documentTitle: `${resume.basics.name || "Resume"} - Resume`,
+    pageStyle: "@page { size: A4; margin: 0; } body { -webkit-print-color-adjust: exact; }",
+  });
+
+  const persist = (updated) => collections.resumeBuilder.set(updated);
+
+  const updateBasics = (field, value) => {
+    persist({ ...resume, basics: { ...resume.basics, [field]: value } });
+  };
+
+  const updateEntry = (section, index, field, value) => {
+    const entries = resume[section].map((entry, i) => (i === index ? { ...entry, [field]: value } : entry));
+    persist({ ...resume, [section]: entries });
+  };
+
+  const addEntry = (section) => {
+    persist({ ...resume, [section]: [...resume[section], {}] });
+  };
+
+  const removeEntry = (section, index) => {
+    persist({ ...resume, [section]: resume[section].filter((_, i) => i !== index) });
+  };
+
+  const handleTemplateChange = (value) => {
+    setTemplate(value);
+    saveData("resumeTemplate", value);
+  };
+
+  const handleExportJSON = () => {
+    downloadFile(JSON.stringify(resumeDocument, null, 2), "resume.json", "application/json");
+  };
+
+  const handleImportJSON = async (file) => {
+    if (!file) return;
+    try {
+      const imported = JSON.parse(await file.text());
+      if (!imported.basics || typeof imported.basics !== "object") {
+        throw new Error("Not a JSON Resume file: missing \"basics\".");
+      }
+      persist({
+        basics: { ...emptyResume(user).basics, ...imported.basics, location: { city: imported.basics.location?.city || "" } },
+        work: Array.isArray(imported.work) ? imported.work : [],
+        projects: Array.isArray(imported.projects) ? imported.projects : [],
+        education: Array.isArray(imported.education) ? imported.education : [],
+      });
+
+      // Sync imported skill keywords to global skill tracker as learned
+      const keywords = (imported.skills || []).flatMap(group => group.keywords || []);
+      if (keywords.length > 0) {
+        track(`Marked skills from ${file.name} learned`, () => markSkillsLearned(keywords), { type: "skill" });
+      }
+      setStatus(`Imported ${file.name}.`);
+    } catch (err) {
+      setStatus(err.message || "Could not import this file.");
+    }
+  };
+
+  return (
+    <div className="animate-fade-in container-full" style={builderLayout}>
+      <header style={headerStyle}>
+        <div style={headerText}>
+          <h1 className="glow-text" style={titleStyle}>Resume Builder</h1>
+          <p style={subtitleStyle}>Skills are pulled from everything you've mastered in the Skill Tracker.</p>
+        </div>
+        <div style={headerActions}>
+          <select style={templateSelect} value={template} onChange={(e) => handleTemplateChange(e.target.value)}>
+            {Object.entries(RESUME_TEMPLATES).map(([key, t]) => (
+              <option key={key} value={key}>{t.label} template</option>
+            ))}
+          </select>
+          <label style={secBtn}>
+            Import JSON
+            <input
+              type="file"
+              accept=".json,application/json"
+              style={{ display: "none" }}
+              onChange={(e) => {
+                handleImportJSON(e.target.files[0]);
+                e.target.value = "";
+              }}
+            />
+          </label>
+          <button style={secBtn} onClick={handleExportJSON}>Export JSON</button>
+          <button style={priBtn} onClick={handlePrint}>Export PDF</button>
+        </div>
+      </header>
+      {status && <p style={statusStyle}>{status}</p>}
+
+      <div style={splitView}>
+        {/* Editor */}
+        <div style={editorColumn}>
+          <section className="glass-card" style={editorCard}>
+            <h3 style={sectionTitle}>Basics</h3>
+            <div style={fieldGrid}>
+              {[["name", "Full Name"], ["label", "Headline"], ["email", "Email"], ["phone", "Phone"], ["url", "Website / LinkedIn"]].map(([field, label]) => (
+                <div key={field} style={fieldGroup}>
+                  <label style={labelStyle}>{label}</label>
+                  <input style={inputStyle} value={resume.basics[field] || ""} onChange={(e) => updateBasics(field, e.target.value)} />
+                </div>
+              ))}
+              <div style={fieldGroup}>
+                <label style={labelStyle}>City</label>
+                <input
+                  style={inputStyle}
+                  value={resume.basics.location?.city || ""}
+                  onChange={(e) => updateBasics("location", { city: e.target.value })}
+                />
+              </div>
+            </div>
+            <div style={fieldGroup}>
+              <label style={labelStyle}>Summary</label>
+              <textarea style={textareaStyle} value={resume.basics.summary || ""} onChange={(e) => updateBasics("summary", e.target.value)} />
+            </div>
+          </section>
+
+          {Object.entries(SECTIONS).map(([section, config]) => (
+            <section key={section} className="glass-card" style={editorCard}>
+              <div style={sectionHeader}>
+                <h3 style={sectionTitle}>{config.title}</h3>
+                <button style={addBtn} onClick={() => addEntry(section)}>+ Add</button>
+              </div>
+              {resume[section].map((entry, index) => (
+                <div key={index} style={entryCard}>
+                  <div style={fieldGrid}>
+                    {config.fields.filter(f => !f.multiline && !f.list).map(field => (
+                      <div key={field.key} style={fieldGroup}>
+                        <label style={labelStyle}>{field.label}</label>
+                        <input
+                          style={inputStyle}
+                          value={entry[field.key] || ""}
+                          onChange={(e) => updateEntry(section, index, field.key, e.target.value)}
+                        />
+                      </div>
+                    ))}
+                  </div>
+                  {config.fields.filter(f => f.multiline || f.list).map(field => (
+                    <div key={field.key} style={fieldGroup}>
+                      <label style={labelStyle}>{field.label}</label>
+                      <textarea
+                        style={textareaStyle}
+                        value={field.list ? (entry[field.key] || []).join("\n") : entry[field.key] || ""}
+                        onChange={(e) => updateEntry(
+                          section,
+                          index,
+                          field.key,
+                          field.list ? e.target.value.split("\n") : e.target.value
+                        )}
+                      />
+                    </div>
+                  ))}
+                  <button style={removeBtn} onClick={() => removeEntry(section, index)}>Remove</button>
+                </div>
+              ))}
+            </section>
+          ))}
+
+          <section className="glass-card" style={editorCard}>
+            <h3 style={sectionTitle}>Skills</h3>
+            {resumeDocument.skills.length === 0 ? (
+              <p style={mutedText}>Master skills in the Skill Tracker and they'll appear here.</p>
+            ) : (
+              resumeDocument.skills.map(group => (
+                <p key={group.name} style={mutedText}><strong>{group.name}:</strong> {group.keywords.join(", ")}</p>
+              ))
+            )}
+          </section>
+        </div>
+
+        {/* Live Preview */}
+        <div style={previewColumn}>
+          <div style={previewFrame}>
+            <ResumePreview
+              ref={previewRef}
+              template={template}
+              resume={{
+                ...resumeDocument,
+                work: resumeDocument.work.map(w => ({ ...w, highlights: (w.highlights || []).filter(h => h.trim()) })),
+                projects: resumeDocument.projects.map(p => ({ ...p, highlights: (p.highlights || []).filter(h => h.trim()) })),
+              }}
+            />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Styles
+const builderLayout = {
+  display: "flex",
+  flexDirection: "column",
+  gap: "24px",
+};
+
+const headerStyle = {
+  display: "flex",
+  justifyContent: "space-between",
+  alignItems: "center",
+  flexWrap: "wrap",
+  gap: "24px",
+};
+
+const headerText = { display: "flex", flexDirection: "column", gap: "8px" };
+const titleStyle = { fontSize: "36px" };
+const subtitleStyle = { color: "hsl(var(--text-dim))", fontSize: "16px" };
+const headerActions = { display: "flex", gap: "12px", flexWrap: "wrap", alignItems: "center" };
+
+const splitView = {
+  display: "grid",
+  gridTemplateColumns: "repeat(auto-fit, minmax(420px, 1fr))",
+  gap: "24px",
+  alignItems: "start",
+};
+
+const editorColumn = { display: "flex", flexDirection: "column", gap: "20px" };
+
+const editorCard = {
+  padding: "24px",
+  display: "flex",
+  flexDirection: "column",
+  gap: "16px",
+  border: "1px solid hsla(var(--border-glass))",
+};
+
+const sectionHeader = { display: "flex", justifyContent: "space-between", alignItems: "center" };
+
+const sectionTitle = {
+  fontSize: "14px",
+  fontWeight: "800",
+  textTransform: "uppercase",
+  letterSpacing: "0.1em",
+  color: "hsl(var(--accent))",
+};
+
+const entryCard = {
+  display: "flex",
+  flexDirection: "column",
+  gap: "12px",
+  padding: "16px",
+  borderRadius: "var(--radius-md)",
+  background: "hsla(var(--text-main) / 0.03)",
+  border: "1px solid hsla(var(--border-glass))",
+};
+
+const fieldGrid = {
+  display: "grid",
+  gridTemplateColumns: "repeat(auto-fill, minmax(160px, 1fr))",
+  gap: "12px",
+};
+
+const fieldGroup = { display: "flex", flexDirection: "column", gap: "6px" };
+
+const labelStyle = {
+  fontSize: "11px",
+  fontWeight: "700",
+  textTransform: "uppercase",
+  color: "hsl(var(--text-muted))",
+};
+
+const inputStyle = {
+  padding: "10px 14px",
+  borderRadius: "10px",
+  background: "hsla(var(--bg-page) / 0.5)",
+  border: "1px solid hsla(var(--border-glass))",
+  color: "white",
+  outline: "none",
+};
+
+const textareaStyle = {
+  ...inputStyle,
+  minHeight: "80px",
+  fontFamily: "inherit",
+  resize: "vertical",
+};
+
+const previewColumn = { position: "sticky", top: "110px" };
+
+const previewFrame = {
+  overflow: "auto",
+  maxHeight: "calc(100vh - 140px)",
+  borderRadius: "var(--radius-md)",
+  boxShadow: "0 20px 40px -10px rgba(0, 0, 0, 0.4)",
+};
+
+const templateSelect = {
+  padding: "10px 16px",
+  borderRadius: "100px",
+  background: "hsla(var(--bg-page) / 0.8)",
+  color: "white",
+  border: "1px solid hsla(var(--border-glass))",
+  fontWeight: "700",
+  fontSize: "12px",
+};
+
+const priBtn = {
+  padding: "10px 20px",
+  borderRadius: "100px",
+  border: "none",
+  background: "hsl(var(--primary))",
+  color: "white",
+  fontSize: "12px",
+  fontWeight: "700",
+  cursor: "pointer",
+};
+
+const secBtn = {
+  padding: "10px 20px",
+  borderRadius: "100px",
+  border: "1px solid hsla(var(--primary) / 0.5)",
+  background: "hsla(var(--primary) / 0.1)",
+  color: "white",
+  fontSize: "12px",
+  fontWeight: "700",
+  cursor: "pointer",
+};
+
+const addBtn = {
+  background: "none",
+  border: "1px dashed hsla(var(--accent) / 0.5)",
+  color: "hsl(var(--accent))",
+  padding: "6px 14px",
+  borderRadius: "100px",
+  fontSize: "12px",
+  fontWeight: "700",
+  cursor: "pointer",
+};
+
+const removeBtn = {
+  alignSelf: "flex-end",
+  background: "hsla(var(--danger) / 0.1)",
+  color: "hsl(var(--danger))",
+  border: "none",
+  padding: "6px 14px",
+  borderRadius: "8px",
+  fontSize: "11px",
+  fontWeight: "700",
+  cursor: "pointer",
+};
+
+const mutedText = { fontSize: "13px", color: "hsl(var(--text-dim))" };
+const statusStyle = { fontSize: "13px", color: "hsl(var(--accent))" };
@@ -0,0 +1,389 @@
+import { useEffect, useState } from "react";
+import { useNavigate, useLocation } from "react-router-dom";
+import { collections } from "../utils/storage";
+import { useCollection } from "../hooks/useCollection";
+import { getResourcesForSkill } from "../utils/resources";
+import { buildRoadmap, planSchedule } from "../utils/skillGraph";
+import { ROLE_TEMPLATES } from "../utils/roleTemplates";
+
+const NODE_WIDTH = 168;
+const NODE_HEIGHT = 38;
+const COLUMN_GAP = 72;
+const ROW_GAP = 18;
+const PADDING = 20;
+
+const DEFAULT_PLAN = { targetType: "role", targetId: ROLE_TEMPLATES[0].id, interviewDate: "", hoursPerDay: 2, hours: {} };
+
+// Lay nodes out in columns by prerequisite depth
+const layoutGraph = (roadmap) => {
+  const columns = {};
+  const positions = {};
+  roadmap.forEach(node => {
+    const row = (columns[node.depth] = (columns[node.depth] || 0) + 1) - 1;
+    positions[node.skill] = {
+      x: PADDING + node.depth * (NODE_WIDTH + COLUMN_GAP),
+      y: PADDING + row * (NODE_HEIGHT + ROW_GAP),
+    };
+  });
+  const depthCount = Math.max(0, ...roadmap.map(n => n.depth)) + 1;
+  const rowCount = Math.max(0, ...Object.values(columns));
+  return {
+    positions,
+    width: PADDING * 2 + depthCount * NODE_WIDTH + (depthCount - 1) * COLUMN_GAP,
+    height: PADDING * 2 + rowCount * NODE_HEIGHT + Math.max(0, rowCount - 1) * ROW_GAP,
+  };
+};
+
+// Every prerequisite reachable from a node, so the whole chain can be highlighted
+const collectAncestors = (skill, roadmap) => {
+  const bySkill = Object.fromEntries(roadmap.map(n => [n.skill, n]));
+  const found = new Set();
+  const walk = (name) => (bySkill[name]?.prerequisites || []).forEach(p => {
+    if (!found.has(p)) {
+      found.add(p);
+      walk(p);
+    }
+  });
+  walk(skill);
+  return found;
+};
+
+export default function Roadmap() {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const companies = useCollection(collections.companies);
+  const extractedSkills = useCollection(collections.extractedSkills);
+  const trackedSkills = useCollection(collections.skills);
+  const customTemplates = useCollection(collections.roleTemplates);
+  const plan = { ...DEFAULT_PLAN, ...useCollection(collections.roadmapPlan) };
+  const [selected, setSelected] = useState(null);
+
+  const updatePlan = (changes) => collections.roadmapPlan.set({ ...collections.roadmapPlan.get(), ...changes });
+
+  // CompanyTracker links here with { targetType, targetId } to open a company's roadmap
+  useEffect(() => {
+    if (location.state) collections.roadmapPlan.set({ ...collections.roadmapPlan.get(), ...location.state });
+  }, [location.state]);
+
+  const jdSkills = Array.isArray(extractedSkills) ? extractedSkills : Object.values(extractedSkills).flat();
+
+  const targetOptions = {
+    role: [...ROLE_TEMPLATES, ...customTemplates].map(t => ({ id: t.id, label: t.name, skills: t.skills })),
+    company: Object.entries(companies).map(([key, c]) => ({ id: key, label: `${c.name} — ${c.role}`, skills: c.skills || [] })),
+    jd: jdSkills.length > 0 ? [{ id: "lastJD", label: "Last analyzed JD", skills: jdSkills }] : [],
+  };
+
+  const options = targetOptions[plan.targetType];
+  const target = options.find(o => o.id === plan.targetId) || options[0];
+  const roadmap = target ? buildRoadmap(target.skills, trackedSkills, plan.hours) : [];
+  const { positions, width, height } = layoutGraph(roadmap);
+  const schedule = plan.interviewDate ? planSchedule(roadmap, plan.interviewDate, plan.hoursPerDay || 1) : null;
+
+  const selectedNode = roadmap.find(n => n.skill === selected);
+  const highlighted = selectedNode ? collectAncestors(selectedNode.skill, roadmap) : new Set();
+  const remainingHours = roadmap.filter(n => !n.learned).reduce((sum, n) => sum + n.hours, 0);
+
+  return (
+    <div className="animate-fade-in container-full" style={roadmapLayout}>
+      <header style={headerStyle}>
+        <h1 className="glow-text" style={titleStyle}>Learning Roadmap</h1>
+        <p style={subtitleStyle}>Every prerequisite in the right order, with a study plan that lands before your interview.</p>
+      </header>
+
+      {/* Target & Plan Controls */}
+      <section className="glass-card" style={controlCard}>
+        <div style={controlGroup}>
+          <label style={labelStyle}>Target</label>
+          <div style={segmented}>
+            {[["role", "Role"], ["company", "Company"], ["jd", "JD"]].map(([type, label]) => (
+              <button
+                key={type}
+                style={segmentBtn(plan.targetType === type)}
+                onClick={() => updatePlan({ targetType: type, targetId: targetOptions[type][0]?.id || null })}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+        <div style={{ ...controlGroup, flex: 2 }}>
+          <label style={labelStyle}>{plan.targetType === "jd" ? "Analysis" : plan.targetType === "company" ? "Tracker" : "Role"}</label>
+          {options.length > 0 ? (
+            <select style={selectStyle} value={target?.id || ""} onChange={(e) => updatePlan({ targetId: e.target.value })}>
+              {options.map(o => <option key={o.id} value={o.id}>{o.label}</option>)}
+            </select>
+          ) : (
+            <span style={mutedText}>
+              {plan.targetType === "company" ? "No company trackers yet." : "Analyze a JD first."}
+            </span>
+          )}
+        </div>
+        <div style={controlGroup}>
+          <label style={labelStyle}>Interview Date</label>
+          <input
+            type="date"
+            style={selectStyle}
+            value={plan.interviewDate}
+            onChange={(e) => updatePlan({ interviewDate: e.target.value })}
+          />
+        </div>
+        <div style={controlGroup}>
+          <label style={labelStyle}>Hours / Day</label>
+          <input
+            type="number"
+            min="0.5"
+            step="0.5"
+            style={selectStyle}
+            value={plan.hoursPerDay}
+            onChange={(e) => updatePlan({ hoursPerDay: Math.max(0.5, Number(e.target.value) || 0.5) })}
+          />
+        </div>
+      </section>
+
+      {roadmap.length === 0 ? (
+        <div style={emptyState}>Pick a target to generate its roadmap.</div>
+      ) : (
+        <>
+          {/* Graph */}
+          <section className="glass-card" style={graphCard}>
+            <div style={graphHeader}>
+              <span style={labelStyle}>{roadmap.length} skills • {remainingHours}h remaining</span>
+              <span style={mutedText}>Click a skill to trace its prerequisites</span>
+            </div>
+            <div style={graphScroll}>
+              <svg width={width} height={height} style={{ display: "block" }}>
+                {roadmap.flatMap(node => node.prerequisites.map(p => {
+                  const from = positions[p];
+                  const to = positions[node.skill];
+                  const active = selectedNode && (node.skill === selected || highlighted.has(node.skill)) && highlighted.has(p);
+                  const x1 = from.x + NODE_WIDTH;
+                  const y1 = from.y + NODE_HEIGHT / 2;
+                  const x2 = to.x;
+                  const y2 = to.y + NODE_HEIGHT / 2;
+                  return (
+                    <path
+                      key={`${p}->${node.skill}`}
+                      d={`M${x1},${y1} C${x1 + COLUMN_GAP / 2},${y1} ${x2 - COLUMN_GAP / 2},${y2} ${x2},${y2}`}
+                      fill="none"
+                      stroke={active ? "hsl(var(--accent))" : "hsla(var(--text-muted) / 0.35)"}
+                      strokeWidth={active ? 2 : 1}
+                    />
+                  );
+                }))}
+                {roadmap.map(node => {
+                  const { x, y } = positions[node.skill];
+                  const dimmed = selectedNode && node.skill !== selected && !highlighted.has(node.skill);
+                  return (
+                    <g
+                      key={node.skill}
+                      transform={`translate(${x},${y})`}
+                      style={{ cursor: "pointer", opacity: dimmed ? 0.35 : 1 }}
+                      onClick={() => setSelected(node.skill === selected ? null : node.skill)}
+                    >
+                      <rect width={NODE_WIDTH} height={NODE_HEIGHT} rx="10" style={nodeRect(node, node.skill === selected)} />
+                      <text x="12" y="16" style={nodeLabel}>{node.skill.length > 20 ? `${node.skill.slice(0, 19)}…` : node.skill}</text>
+                      <text x="12" y="30" style={nodeMeta}>{node.learned ? "✓ learned" : `${node.hours}h`}{node.isTarget ? " • target" : ""}</text>
+                    </g>
+                  );
+                })}
+              </svg>
+            </div>
+          </section>
+
+          {selectedNode && (
+            <section className="glass-card animate-fade-in" style={detailCard}>
+              <div style={detailHeader}>
+                <h3 style={detailTitle}>{selectedNode.skill}</h3>
+                <span style={statusText(selectedNode.learned)}>{selectedNode.learned ? "Learned" : "To learn"}</span>
+              </div>
+              <p style={mutedText}>
+                {selectedNode.prerequisites.length > 0
+                  ? `Requires ${selectedNode.prerequisites.join(", ")}`
+                  : "No prerequisites — a good place to start."}
+              </p>
+              <div style={detailRow}>
+                <label style={labelStyle}>Estimated Hours</label>
+                <input
+                  type="number"
+                  min="1"
+                  style={{ ...selectStyle, width: "90px" }}
+                  value={selectedNode.hours}
+                  onChange={(e) => updatePlan({ hours: { ...plan.hours, [selectedNode.skill]: Math.max(1, Number(e.target.value) || 1) } })}
+                />
+                {getResourcesForSkill(selectedNode.skill).length > 0 && (
+                  <button style={linkBtn} onClick={() => navigate("/resources")}>
+                    {getResourcesForSkill(selectedNode.skill).length} resources →
+                  </button>
+                )}
+              </div>
+            </section>
+          )}
+
+          {/* Schedule */}
+          <section className="glass-card" style={scheduleCard}>
+            <div style={graphHeader}>
+              <span style={labelStyle}>Study Schedule</span>
+              {schedule && (
+                <span style={statusText(schedule.feasible)}>
+                  {schedule.feasible
+                    ? `On track: ${schedule.totalHours}h over ${schedule.daysAvailable} days`
+                    : `Needs ${schedule.requiredHoursPerDay}h/day to finish in ${schedule.daysAvailable} days`}
+                </span>
+              )}
+            </div>
+            {!schedule ? (
+              <p style={mutedText}>Set an interview date to plan backwards from it.</p>
+            ) : schedule.items.length === 0 ? (
+              <p style={mutedText}>Everything on this roadmap is already learned.</p>
+            ) : (
+              <ol style={scheduleList}>
+                {schedule.items.map(item => (
+                  <li key={item.skill} style={scheduleItem}>
+                    <span style={scheduleSkill}>{item.skill}</span>
+                    <span style={mutedText}>{item.hours}h</span>
+                    <span style={scheduleDates}>{item.start} → {item.end}</span>
+                  </li>
+                ))}
+              </ol>
+            )}
+          </section>
+        </>
+      )}
+    </div>
+  );
+}
+
+// Styles
+const roadmapLayout = {
+  maxWidth: "1200px",
+  margin: "0 auto",
+  display: "flex",
+  flexDirection: "column",
+  gap: "28px",
+};
+
+const headerStyle = { textAlign: "center" };
+const titleStyle = { fontSize: "36px", marginBottom: "12px" };
+const subtitleStyle = { color: "hsl(var(--text-dim))", fontSize: "16px" };
+
+const controlCard = {
+  padding: "24px",
+  display: "flex",
+  gap: "20px",
+  alignItems: "flex-end",
+  flexWrap: "wrap",
+  border: "1px solid hsla(var(--border-glass))",
+};
+
+const controlGroup = { flex: 1, minWidth: "160px", display: "flex", flexDirection: "column", gap: "8px" };
+
+const labelStyle = {
+  fontSize: "12px",
+  fontWeight: "700",
+  textTransform: "uppercase",
+  letterSpacing: "0.1em",
+  color: "hsl(var(--text-muted))",
+};
+
+const segmented = { display: "flex", gap: "6px" };
+
+const segmentBtn = (active) => ({
+  flex: 1,
+  padding: "10px 12px",
+  borderRadius: "100px",
+  border: "1px solid hsla(var(--border-glass))",
+  background: active ? "hsl(var(--primary))" : "hsla(var(--bg-glass))",
+  color: active ? "white" : "hsl(var(--text-dim))",
+  fontSize: "13px",
+  fontWeight: "700",
+  cursor: "pointer",
+});
+
+const selectStyle = {
+  padding: "10px 12px",
+  borderRadius: "10px",
+  background: "hsla(var(--bg-page) / 0.8)",
+  color: "white",
+  border: "1px solid hsla(var(--border-glass))",
+  fontSize: "14px",
+  outline: "none",
+};
+
+const mutedText = { fontSize: "13px", color: "hsl(var(--text-muted))" };
+
+const graphCard = {
+  padding: "24px",
+  display: "flex",
+  flexDirection: "column",
+  gap: "16px",
+  border: "1px solid hsla(var(--border-glass))",
+};
+
+const graphHeader = { display: "flex", justifyContent: "space-between", alignItems: "center", gap: "12px", flexWrap: "wrap" };
+const graphScroll = { overflowX: "auto", paddingBottom: "8px" };
+
+const nodeRect = (node, selected) => ({
+  fill: node.learned ? "hsla(var(--success) / 0.15)" : node.isTarget ? "hsla(var(--primary) / 0.2)" : "hsla(var(--text-main) / 0.05)",
+  stroke: selected ? "hsl(var(--accent))" : node.learned ? "hsla(var(--success) / 0.5)" : "hsla(var(--border-glass))",
+  strokeWidth: selected ? 2 : 1,
+});
+
+const nodeLabel = { fill: "white", fontSize: "12px", fontWeight: 700 };
+const nodeMeta = { fill: "hsl(var(--text-muted))", fontSize: "10px" };
+
+const detailCard = {
+  padding: "24px",
+  display: "flex",
+  flexDirection: "column",
+  gap: "12px",
+  border: "1px solid hsla(var(--accent) / 0.3)",
+};
+
+const detailHeader = { display: "flex", justifyContent: "space-between", alignItems: "center" };
+const detailTitle = { fontSize: "20px", fontWeight: "800" };
+const detailRow = { display: "flex", alignItems: "center", gap: "12px", flexWrap: "wrap" };
+
+const statusText = (good) => ({
+  fontSize: "12px",
+  fontWeight: "800",
+  textTransform: "uppercase",
+  color: good ? "hsl(var(--success))" : "hsl(var(--warning))",
+});
+
+const linkBtn = {
+  background: "none",
+  border: "none",
+  color: "hsl(var(--accent))",
+  fontSize: "13px",
+  fontWeight: "700",
+  cursor: "pointer",
+};
+
+const scheduleCard = {
+  padding: "24px",
+  display: "flex",
+  flexDirection: "column",
+  gap: "16px",
+  border: "1px solid hsla(var(--border-glass))",
+};
+
+const scheduleList = { listStyle: "none", display: "flex", flexDirection: "column", gap: "8px" };
+
+const scheduleItem = {
+  display: "grid",
+  gridTemplateColumns: "1fr 60px 200px",
+  alignItems: "center",
+  gap: "12px",
+  padding: "10px 14px",
+  borderRadius: "10px",
+  background: "hsla(var(--text-main) / 0.03)",
+};
+
+const scheduleSkill = { fontWeight: "700", fontSize: "14px" };
+const scheduleDates = { fontSize: "13px", color: "hsl(var(--text-dim))", textAlign: "right" };
+
+const emptyState = {
+  textAlign: "center",
+  padding: "60px",
+  color: "hsl(var(--text-muted))",
+};
@@ -0,0 +1,197 @@
+import { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { LLM_PROVIDERS, getLLMSettings, saveLLMSettings, chatCompletion } from "../utils/llmClient";
+
+export default function Settings() {
+  const navigate = useNavigate();
+  const [settings, setSettings] = useState(getLLMSettings);
+  const [status, setStatus] = useState("");
+  const [error, setError] = useState("");
+  const [testing, setTesting] = useState(false);
+
+  const provider = LLM_PROVIDERS[settings.provider] || LLM_PROVIDERS.custom;
+
+  const update = (field, value) => {
+    setSettings({ ...settings, [field]: value });
+    setStatus("");
+    setError("");
+  };
+
+  const handleProviderChange = (key) => {
+    const preset = LLM_PROVIDERS[key];
+    setSettings({ ...settings, provider: key, baseUrl: preset.baseUrl, model: preset.model, apiKey: "" });
+    setStatus("");
+    setError("");
+  };
+
+  const handleSave = () => {
+    saveLLMSettings({ ...settings, temperature: Number(settings.temperature) || 0 });
+    setStatus("Settings saved.");
+  };
+
+  const handleTest = async () => {
+    setTesting(true);
+    setError("");
+    setStatus("Contacting provider...");
+    try {
+      const reply = await chatCompletion({
+        messages: [{ role: "user", content: "Reply with the single word: ready" }],
+        maxTokens: 10,
+        settings,
+      });
+      setStatus(`Connection OK. Model replied: "${reply.trim().slice(0, 40)}"`);
+    } catch (err) {
+      setStatus("");
+      setError(err.message || "Connection failed.");
+    } finally {
+      setTesting(false);
+    }
+  };
+
+  return (
+    <div className="animate-fade-in container-full" style={settingsWrapper}>
+      <header style={headerStyle}>
+        <h1 className="glow-text" style={titleStyle}>AI Settings</h1>
+        <p style={subtitleStyle}>Choose the model that powers JD analysis. Local servers work without an API key.</p>
+      </header>
+
+      <div className="glass-card" style={settingsCard}>
+        <div style={fieldGroup}>
+          <label style={labelStyle}>Provider</label>
+          <select style={inputStyle} value={settings.provider} onChange={(e) => handleProviderChange(e.target.value)}>
+            {Object.entries(LLM_PROVIDERS).map(([key, p]) => (
+              <option key={key} value={key}>{p.label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div style={fieldGroup}>
+          <label style={labelStyle}>Endpoint URL</label>
+          <input
+            style={inputStyle}
+            placeholder="e.g. http://localhost:11434/v1"
+            value={settings.baseUrl}
+            onChange={(e) => update("baseUrl", e.target.value)}
+          />
+        </div>
+
+        <div style={fieldGroup}>
+          <label style={labelStyle}>Model</label>
+          <input
+            style={inputStyle}
+            placeholder="e.g. llama3.1"
+            value={settings.model}
+            onChange={(e) => update("model", e.target.value)}
+          />
+        </div>
+
+        <div style={fieldGroup}>
+          <label style={labelStyle}>API Key {provider.requiresKey ? "" : "(optional)"}</label>
+          <input
+            type="password"
+            style={inputStyle}
+            placeholder={settings.provider === "huggingface" ? "Defaults to VITE_HF_TOKEN" : ""}
+            value={settings.apiKey}
+            onChange={(e) => update("apiKey", e.target.value)}
+          />
+        </div>
+
+        <div style={fieldGroup}>
+          <label style={labelStyle}>Temperature: {settings.temperature}</label>
+          <input
+            type="range"
+            min="0"
+            max="1"
+            step="0.1"
+            value={settings.temperature}
+            onChange={(e) => update("temperature", Number(e.target.value))}
+          />
+        </div>
+
+        {status && <p style={statusStyle}>{status}</p>}
+        {error && <p style={errorStyle}>{error}</p>}
+
+        <div style={actionRow}>
+          <button style={secBtn} onClick={handleTest} disabled={testing}>
+            {testing ? "Testing..." : "Test Connection"}
+          </button>
+          <button style={priBtn} onClick={handleSave}>Save Settings</button>
+        </div>
+      </div>
+
+      <button style={backBtn} onClick={() => navigate("/profile")}>← Back to Profile</button>
+    </div>
+  );
+}
+
+// Styles
+const settingsWrapper = {
+  maxWidth: "600px",
+  margin: "0 auto",
+  display: "flex",
+  flexDirection: "column",
+  gap: "32px",
+};
+
+const headerStyle = { textAlign: "center" };
+const titleStyle = { fontSize: "32px", marginBottom: "8px" };
+const subtitleStyle = { color: "hsl(var(--text-dim))", fontSize: "14px" };
+
+const settingsCard = {
+  padding: "40px",
+  display: "flex",
+  flexDirection: "column",
+  gap: "20px",
+  border: "1px solid hsla(var(--border-glass))",
+};
+
+const fieldGroup = { display: "flex", flexDirection: "column", gap: "8px" };
+
+const labelStyle = {
+  fontSize: "12px",
+  fontWeight: "700",
+  textTransform: "uppercase",
+  color: "hsl(var(--text-muted))",
+};
+
+const inputStyle = {
+  padding: "12px 16px",
+  borderRadius: "12px",
+  background: "hsla(var(--bg-page) / 0.5)",
+  border: "1px solid hsla(var(--border-glass))",
+  color: "white",
+  outline: "none",
+};
+
+const actionRow = { display: "flex", gap: "12px", justifyContent: "flex-end", flexWrap: "wrap" };
+
+const priBtn = {
+  padding: "14px 24px",
+  borderRadius: "12px",
+  border: "none",
+  background: "hsl(var(--primary))",
+  color: "white",
+  fontWeight: "700",
+  cursor: "pointer",
+};
+
+const secBtn = {
+  padding: "14px 24px",
+  borderRadius: "12px",
+  border: "1px solid hsla(var(--primary) / 0.5)",
+  background: "hsla(var(--primary) / 0.1)",
+  color: "white",
+  fontWeight: "700",
+  cursor: "pointer",
+};
+
+const backBtn = {
+  background: "none",
+  border: "none",
+  color: "hsl(var(--text-muted))",
+  fontWeight: "700",
+  cursor: "pointer",
+};
+
+const statusStyle = { color: "hsl(var(--success))", fontSize: "14px" };
+const errorStyle = { color: "hsl(var(--danger))", fontSize: "14px" };
@@ -1,43 +1,85 @@
 import { useState } from "react";
-import { getData, saveData } from "../utils/storage";
+import { collections } from "../utils/storage";
+import { useCollection } from "../hooks/useCollection";
+import {
+  PROFICIENCY_LEVELS,
+  EVIDENCE_TYPES,
+  toSkillRecord,
+  withLevel,
+  getLevelLabel,
+} from "../utils/proficiency";
+import { REVIEW_RATINGS, scheduleReview, getReviewQueue, getDueDate, isOverdue } from "../utils/review";
+import { getPracticeBySkill } from "../utils/practice";
+import { startStudyTimer } from "../utils/studyTimer";
+import { track, trashSkill } from "../utils/history";
+
+const EMPTY_EVIDENCE = { type: "project", title: "", url: "" };
 
 export default function SkillTracker() {
-  const [skills, setSkills] = useState(() => {
-    const storedSkills = getData("skillTracker") || [];
-    return storedSkills.map(skill =>
-      typeof skill === 'string'
-        ? { name: skill, learned: false }
-        : skill
-    );
-  });
+  const skills = useCollection(collections.skills);
   const [newSkill, setNewSkill] = useState("");
   const [filter, setFilter] = useState("all");
+  const [evidenceFor, setEvidenceFor] = useState(null);
+  const [evidenceDraft, setEvidenceDraft] = useState(EMPTY_EVIDENCE);
+  const practiceLog = useCollection(collections.practiceLog);
+  // Solved problems from the practice log, keyed by lowercase skill name
+  const practice = Object.fromEntries(
+    Object.entries(getPracticeBySkill(practiceLog)).map(([name, stat]) => [name.toLowerCase(), stat])
+  );
+
+  const persist = (label, updatedSkills) => track(label, () => collections.skills.set(updatedSkills), { type: "skill" });
 
   const addSkill = () => {
     if (!newSkill.trim()) return;
     const skillExists = skills.some(skill => skill.name.toLowerCase() === newSkill.toLowerCase());
     if (skillExists) return;
 
-    const updatedSkills = [...skills, { name: newSkill.trim(), learned: false }];
-    setSkills(updatedSkills);
-    saveData("skillTracker", updatedSkills);
+    persist(`Added skill ${newSkill.trim()}`, [...skills, toSkillRecord({ name: newSkill.trim(), level: 0 })]);
     setNewSkill("");
   };
 
-  const toggleSkill = (skillName) => {
-    const updatedSkills = skills.map(skill =>
-      skill.name === skillName ? { ...skill, learned: !skill.learned } : skill
-    );
-    setSkills(updatedSkills);
-    saveData("skillTracker", updatedSkills);
+  const updateSkill = (skillName, label, update) => {
+    persist(label, skills.map(skill => skill.name === skillName ? update(skill) : skill));
   };
 
-  const deleteSkill = (skillName) => {
-    const updatedSkills = skills.filter(skill => skill.name !== skillName);
-    setSkills(updatedSkills);
-    saveData("skillTracker", updatedSkills);
+  const setLevel = (skillName, level) => updateSkill(
+    skillName,
+    `Set ${skillName} to ${getLevelLabel(level)}`,
+    skill => withLevel(skill, level)
+  );
+
+  const logPractice = (skillName) => updateSkill(
+    skillName,
+    `Practiced ${skillName}`,
+    skill => ({ ...skill, lastPracticed: new Date().toISOString() })
+  );
+
+  const rateReview = (skillName, rating) => updateSkill(skillName, `Reviewed ${skillName}`, skill => ({
+    ...skill,
+    review: scheduleReview(skill.review, rating),
+    lastPracticed: new Date().toISOString(),
+  }));
+
+  const addEvidence = (skillName) => {
+    if (!evidenceDraft.title.trim() && !evidenceDraft.url.trim()) return;
+    const item = {
+      id: Date.now().toString(),
+      type: evidenceDraft.type,
+      title: evidenceDraft.title.trim() || evidenceDraft.url.trim(),
+      url: evidenceDraft.url.trim(),
+      addedDate: new Date().toISOString(),
+    };
+    updateSkill(skillName, `Added evidence "${item.title}" to ${skillName}`, skill => ({ ...skill, evidence: [...skill.evidence, item] }));
+    setEvidenceFor(null);
+    setEvidenceDraft(EMPTY_EVIDENCE);
   };
 
+  const removeEvidence = (skillName, id) => {
+    updateSkill(skillName, `Removed evidence from ${skillName}`, skill => ({ ...skill, evidence: skill.evidence.filter(e => e.id !== id) }));
+  };
+
+  const deleteSkill = (skillName) => trashSkill(skillName);
+
   const filteredSkills = skills.filter(skill => {
     if (filter === "learned") return skill.learned;
     if (filter === "unlearned") return !skill.learned;
@@ -45,13 +87,17 @@ export default function SkillTracker() {
   });
 
   const learnedCount = skills.filter(skill => skill.learned).length;
-  const progressPercentage = skills.length > 0 ? Math.round((learnedCount / skills.length) * 100) : 0;
+  const reviewQueue = getReviewQueue(skills);
+  // Overall competence is the average level across all skills, as a share of Expert
+  const progressPercentage = skills.length > 0
+    ? Math.round((skills.reduce((sum, skill) => sum + skill.level, 0) / (skills.length * 5)) * 100)
+    : 0;
 
   return (
     <div className="animate-fade-in container-full" style={trackerLayout}>
       <header style={headerStyle}>
         <h1 className="glow-text" style={titleStyle}>Mastery Tracker</h1>
-        <p style={subtitleStyle}>Command your technical arsenal. Mark skills as mastered as you level up.</p>
+        <p style={subtitleStyle}>Command your technical arsenal. Rate your proficiency and back it with evidence as you level up.</p>
       </header>
 
       {/* Hero Progress */}
@@ -59,7 +105,7 @@ export default function SkillTracker() {
         <div style={progressHeader}>
           <div style={progressLabel}>
             <span style={progressTitle}>Overall competence</span>
-            <span style={progressSub}>{learnedCount} of {skills.length} skills mastered</span>
+            <span style={progressSub}>{learnedCount} of {skills.length} skills at Intermediate or above</span>
           </div>
           <span style={progressVal}>{progressPercentage}%</span>
         </div>
@@ -68,6 +114,37 @@ export default function SkillTracker() {
         </div>
       </section>
 
+      {/* Review Queue */}
+      {learnedCount > 0 && (
+        <section className="glass-card" style={reviewCard}>
+          <div style={progressLabel}>
+            <span style={progressTitle}>Review queue</span>
+            <span style={progressSub}>
+              {reviewQueue.length > 0
+                ? `${reviewQueue.length} mastered skills due today. Rate how well you recalled each one.`
+                : "All caught up. Mastered skills come back here when they are due for review."}
+            </span>
+          </div>
+          {reviewQueue.map(skill => (
+            <div key={skill.name} style={reviewRow}>
+              <div style={skillInfo}>
+                <span style={reviewName}>{skill.name}</span>
+                <span style={isOverdue(skill) ? overdueText : progressSub}>
+                  {isOverdue(skill) ? `Overdue since ${getDueDate(skill)}` : skill.review ? "Due today" : "First review"}
+                </span>
+              </div>
+              <div style={skillActions}>
+                {Object.entries(REVIEW_RATINGS).map(([key, { label }]) => (
+                  <button key={key} style={ratingBtn(key)} onClick={() => rateReview(skill.name, key)}>
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))}
+        </section>
+      )}
+
       {/* Control Bar */}
       <section style={controlBar}>
         <div className="glass-card" style={inputGroup}>
@@ -102,21 +179,100 @@ export default function SkillTracker() {
         ) : (
           filteredSkills.map((skill) => (
             <div key={skill.name} className="glass-card" style={skillCard(skill.learned)}>
-              <div style={skillInfo}>
-                <h4 style={skillName}>{skill.name}</h4>
-                <div style={statusTag(skill.learned)}>
-                  {skill.learned ? "Mastered" : "In Progress"}
+              <div style={skillHeader}>
+                <div style={skillInfo}>
+                  <h4 style={skillName}>{skill.name}</h4>
+                  <div style={statusTag(skill.learned)}>
+                    Level {skill.level} • {getLevelLabel(skill.level)}
+                  </div>
                 </div>
+                <button onClick={() => deleteSkill(skill.name)} style={delBtn}>🗑️</button>
               </div>
-              <div style={skillActions}>
-                <button 
-                  onClick={() => toggleSkill(skill.name)} 
-                  style={skill.learned ? unlearnBtn : learnBtn}
+
+              <div style={levelRow}>
+                {PROFICIENCY_LEVELS.map(l => (
+                  <button
+                    key={l.value}
+                    title={l.label}
+                    onClick={() => setLevel(skill.name, l.value)}
+                    style={levelBtn(l.value <= skill.level && skill.level > 0, l.value === skill.level)}
+                  >
+                    {l.value}
+                  </button>
+                ))}
+              </div>
+
+              <div style={metaRow}>
+                <span>
+                  {skill.lastPracticed
+                    ? `Practiced ${new Date(skill.lastPracticed).toLocaleDateString()}`
+                    : "Not practiced yet"}
+                </span>
+                <div style={skillActions}>
+                  <button style={linkBtn} onClick={() => startStudyTimer(skill.name)}>⏱ Focus</button>
+                  <button style={linkBtn} onClick={() => logPractice(skill.name)}>Log practice</button>
+                </div>
+              </div>
+              {skill.learned && (
+                <div style={isOverdue(skill) ? overdueText : metaRow}>Next review {getDueDate(skill)}</div>
+              )}
+              {practice[skill.name.toLowerCase()]?.solved > 0 && (
+                <div style={metaRow}>🧩 {practice[skill.name.toLowerCase()].solved} practice problems solved</div>
+              )}
+
+              {skill.evidence.length > 0 && (
+                <ul style={evidenceList}>
+                  {skill.evidence.map(item => (
+                    <li key={item.id} style={evidenceItem}>
+                      <span style={evidenceType}>{EVIDENCE_TYPES[item.type] || item.type}</span>
+                      {item.url
+                        ? <a href={item.url} target="_blank" rel="noopener noreferrer" style={evidenceLink}>{item.title}</a>
+                        : <span>{item.title}</span>}
+                      <span style={remBtn} onClick={() => removeEvidence(skill.name, item.id)}>×</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              {evidenceFor === skill.name ? (
+                <div style={evidenceForm}>
+                  <select
+                    style={smallInput}
+                    value={evidenceDraft.type}
+                    onChange={(e) => setEvidenceDraft({ ...evidenceDraft, type: e.target.value })}
+                  >
+                    {Object.entries(EVIDENCE_TYPES).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                  <input
+                    style={smallInput}
+                    placeholder="Title"
+                    value={evidenceDraft.title}
+                    onChange={(e) => setEvidenceDraft({ ...evidenceDraft, title: e.target.value })}
+                  />
+                  <input
+                    style={smallInput}
+                    placeholder="https://..."
+                    value={evidenceDraft.url}
+                    onChange={(e) => setEvidenceDraft({ ...evidenceDraft, url: e.target.value })}
+                  />
+                  <div style={skillActions}>
+                    <button style={learnBtn} onClick={() => addEvidence(skill.name)}>Save</button>
+                    <button style={unlearnBtn} onClick={() => setEvidenceFor(null)}>Cancel</button>
+                  </div>
+                </div>
+              ) : (
+                <button
+                  style={linkBtn}
+                  onClick={() => {
+                    setEvidenceFor(skill.name);
+                    setEvidenceDraft(EMPTY_EVIDENCE);
+                  }}
                 >
-                  {skill.learned ? "Reset" : "Master"}
+                  + Add evidence
                 </button>
-                <button onClick={() => deleteSkill(skill.name)} style={delBtn}>🗑️</button>
-              </div>
+              )}
             </div>
           ))
         )}
@@ -267,13 +423,19 @@ const skillsGrid = {
 const skillCard = (learned) => ({
   padding: "24px",
   display: "flex",
-  justifyContent: "space-between",
-  alignItems: "center",
+  flexDirection: "column",
+  gap: "14px",
   border: `1px solid ${learned ? 'hsla(var(--success) / 0.3)' : 'hsla(var(--border-glass))'}`,
   transition: "var(--transition-spring)",
   boxShadow: learned ? "0 0 20px -10px hsla(var(--success) / 0.3)" : "none",
 });
 
+const skillHeader = {
+  display: "flex",
+  justifyContent: "space-between",
+  alignItems: "flex-start",
+};
+
 const skillInfo = {
   display: "flex",
   flexDirection: "column",
@@ -331,4 +493,117 @@ const emptyState = {
   textAlign: "center",
   padding: "60px",
   color: "hsl(var(--text-muted))",
-};
\ No newline at end of file
+};
+
+const levelRow = {
+  display: "flex",
+  gap: "6px",
+};
+
+const levelBtn = (filled, current) => ({
+  flex: 1,
+  padding: "6px 0",
+  borderRadius: "6px",
+  border: current ? "1px solid hsl(var(--accent))" : "1px solid hsla(var(--border-glass))",
+  background: filled ? "hsla(var(--success) / 0.2)" : "hsla(var(--text-main) / 0.03)",
+  color: filled ? "hsl(var(--success))" : "hsl(var(--text-muted))",
+  fontSize: "12px",
+  fontWeight: "700",
+  cursor: "pointer",
+});
+
+const metaRow = {
+  display: "flex",
+  justifyContent: "space-between",
+  alignItems: "center",
+  fontSize: "12px",
+  color: "hsl(var(--text-muted))",
+};
+
+const linkBtn = {
+  background: "none",
+  border: "none",
+  color: "hsl(var(--accent))",
+  fontSize: "12px",
+  fontWeight: "700",
+  cursor: "pointer",
+  padding: 0,
+  alignSelf: "flex-start",
+};
+
+const evidenceList = {
+  listStyle: "none",
+  display: "flex",
+  flexDirection: "column",
+  gap: "6px",
+};
+
+const evidenceItem = {
+  display: "flex",
+  alignItems: "center",
+  gap: "8px",
+  fontSize: "13px",
+  color: "hsl(var(--text-dim))",
+};
+
+const evidenceType = {
+  fontSize: "10px",
+  fontWeight: "800",
+  textTransform: "uppercase",
+  color: "hsl(var(--accent))",
+};
+
+const evidenceLink = { color: "hsl(var(--text-main))", textDecoration: "underline" };
+
+const remBtn = { cursor: "pointer", marginLeft: "auto", opacity: 0.6 };
+
+const evidenceForm = {
+  display: "flex",
+  flexDirection: "column",
+  gap: "8px",
+};
+
+const smallInput = {
+  padding: "8px 12px",
+  borderRadius: "8px",
+  background: "hsla(var(--bg-page) / 0.5)",
+  border: "1px solid hsla(var(--border-glass))",
+  color: "white",
+  fontSize: "13px",
+  outline: "none",
+};
+
+const reviewCard = {
+  padding: "24px 32px",
+  display: "flex",
+  flexDirection: "column",
+  gap: "14px",
+  border: "1px solid hsla(var(--accent) / 0.2)",
+};
+
+const reviewRow = {
+  display: "flex",
+  justifyContent: "space-between",
+  alignItems: "center",
+  gap: "16px",
+  flexWrap: "wrap",
+  paddingTop: "14px",
+  borderTop: "1px solid hsla(var(--border-glass))",
+};
+
+const reviewName = { fontSize: "16px", fontWeight: "700" };
+
+const overdueText = { fontSize: "12px", fontWeight: "700", color: "hsl(var(--danger))" };
+
+const RATING_COLORS = { again: "--danger", hard: "--warning", good: "--success", easy: "--accent" };
+
+const ratingBtn = (rating) => ({
+  padding: "8px 14px",
+  borderRadius: "8px",
+  border: "none",
+  background: `hsla(var(${RATING_COLORS[rating]}) / 0.12)`,
+  color: `hsl(var(${RATING_COLORS[rating]}))`,
+  fontSize: "12px",
+  fontWeight: "700",
+  cursor: "pointer",
+});
\ No newline at end of file
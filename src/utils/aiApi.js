@@ -1,78 +1,175 @@
-const HF_TOKEN = import.meta.env.VITE_HF_TOKEN;
-const MODEL = "meta-llama/Llama-3.1-8B-Instruct";
+import { chatCompletion, isLLMConfigured, getLLMSettings } from "./llmClient";
+import { extractSkillsOffline, findUnsupportedSkills } from "./skillExtractor";
 
-export async function extractSkills(jdText) {
-  if (!HF_TOKEN) {
-    throw new Error("VITE_HF_TOKEN is missing or invalid in your .env file.");
+// Pull the { category: [skills] } object out of a model response, or null if there isn't one
+function parseCategorizedSkills(text) {
+  const jsonMatch = text.match(/\{.*\}/s);
+  if (!jsonMatch) return null;
+
+  try {
+    const parsed = JSON.parse(jsonMatch[0]);
+    // Filter out empty categories
+    const filtered = {};
+    Object.entries(parsed).forEach(([key, val]) => {
+      if (Array.isArray(val) && val.length > 0) {
+        filtered[key] = val.filter(s => typeof s === "string").map(s => s.trim());
+      }
+    });
+    return Object.keys(filtered).length > 0 ? filtered : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Extract categorized skills from a JD, falling back to the offline extractor
+ * when no LLM is configured, the request fails, or the response can't be parsed
+ * @param {string} jdText
+ * @param {Object} [settings] - Override the saved provider settings, e.g. to re-run with another model
+ * @returns {Promise<{skills: Object, source: "llm" | "offline", model: string, unsupported: string[], error?: string}>}
+ *   unsupported lists LLM skills that have no support in the JD text; model is "offline" for the dictionary
+ */
+export async function analyzeJD(jdText, settings = getLLMSettings()) {
+  if (!isLLMConfigured(settings)) {
+    return { skills: extractSkillsOffline(jdText), source: "offline", model: "offline", unsupported: [] };
   }
 
   try {
-    // Note: Using the modern OpenAI-compatible Chat Completions API on the HF Router
-    const response = await fetch(
-      `https://router.huggingface.co/v1/chat/completions`,
-      {
-        method: "POST",
-        headers: {
-          Authorization: `Bearer ${HF_TOKEN}`,
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          model: MODEL,
-          messages: [
-            {
-              role: "system",
-              content: `You are an expert HR recruiter. Extract technical and soft skills from the job description.
+    const text = await chatCompletion({
+      messages: [
+        {
+          role: "system",
+          content: `You are an expert HR recruiter. Extract technical and soft skills from the job description.
             Categorize them into logical groups such as: 'Web', 'Backend', 'Mobile', 'AIML', 'Cloud/DevOps', 'Data Science', 'Soft Skills', 'Tools/Other'.
             Return ONLY a clean JSON object where keys are category names and values are arrays of skill strings.
             Example: { "Web": ["React", "HTML"], "Soft Skills": ["Leadership"] }`
-            },
-            {
-              role: "user",
-              content: jdText
-            }
-          ],
-          max_tokens: 800,
-          temperature: 0,
-        }),
-      }
-    );
+        },
+        {
+          role: "user",
+          content: jdText
+        }
+      ],
+      maxTokens: 800,
+      settings,
+    });
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      console.error("HF Router Detailed Error:", response.status, errorData);
-      throw new Error(errorData.error?.message || errorData.error || `Server Error ${response.status}`);
+    const parsed = parseCategorizedSkills(text);
+    if (!parsed) {
+      console.warn("Category parsing failed, falling back to offline extraction");
+      return { skills: extractSkillsOffline(jdText), source: "offline", model: "offline", unsupported: [] };
     }
 
-    const data = await response.json();
-    const text = data.choices?.[0]?.message?.content || "";
-
-    // Parse categorized skills from the response
-    const jsonMatch = text.match(/\{.*\}/s);
-    if (jsonMatch) {
-      try {
-        const parsed = JSON.parse(jsonMatch[0]);
-        // Filter out empty categories
-        const filtered = {};
-        Object.entries(parsed).forEach(([key, val]) => {
-          if (Array.isArray(val) && val.length > 0) {
-            filtered[key] = val.map(s => s.trim());
-          }
-        });
-        return filtered;
-      } catch {
-        console.warn("Category parsing failed, falling back to flat list");
-      }
-    }
-    
-    // Fallback if no valid category object is found
-    const fallbackList = text.split(/\n/g)
-      .map(s => s.trim().replace(/^[-*\d.]+\s*/, ""))
-      .filter(s => s.length > 3 && s.length < 50);
-    
-    return { "General Skills": fallbackList };
-    
+    return { skills: parsed, source: "llm", model: settings.model, unsupported: findUnsupportedSkills(parsed, jdText) };
   } catch (error) {
     console.error("AI Extraction error:", error);
-    throw error;
+    const offline = extractSkillsOffline(jdText);
+    if (Object.keys(offline).length === 0) throw error;
+    return { skills: offline, source: "offline", model: "offline", unsupported: [], error: error.message };
   }
 }
+
+export async function extractSkills(jdText) {
+  const { skills } = await analyzeJD(jdText);
+  return skills;
+}
+
+/**
+ * Draft resume bullets and a cover letter tailored to one company tracker
+ * @param {Object} params
+ * @param {string} params.company - Company name
+ * @param {string} params.role - Target role
+ * @param {string[]} params.skills - Skills mapped to the company
+ * @param {string} params.jdText - Stored job description, may be empty
+ * @param {string} params.resumeText - Base resume content to draw experience from
+ * @returns {Promise<{bullets: string[], coverLetter: string, model: string}>}
+ */
+export async function tailorApplication({ company, role, skills, jdText, resumeText }) {
+  const settings = getLLMSettings();
+  const text = await chatCompletion({
+    messages: [
+      {
+        role: "system",
+        content: `You are an expert career coach. Rewrite the candidate's resume bullets to target the given company and role,
+          emphasising the required skills without inventing experience the resume does not support.
+          Then write a concise cover letter (under 250 words).
+          Return ONLY a JSON object: { "bullets": ["..."], "coverLetter": "..." }`
+      },
+      {
+        role: "user",
+        content: `Company: ${company}\nRole: ${role}\nRequired skills: ${skills.join(", ")}\n\nJob description:\n${jdText || "(not provided)"}\n\nResume:\n${resumeText || "(not provided)"}`
+      }
+    ],
+    maxTokens: 1200,
+    settings,
+  });
+
+  const jsonMatch = text.match(/\{.*\}/s);
+  if (!jsonMatch) throw new Error("The AI response did not contain any suggestions. Try again.");
+
+  try {
+    const parsed = JSON.parse(jsonMatch[0]);
+    return {
+      bullets: Array.isArray(parsed.bullets) ? parsed.bullets.filter(b => typeof b === "string").map(b => b.trim()) : [],
+      coverLetter: typeof parsed.coverLetter === "string" ? parsed.coverLetter.trim() : "",
+      model: settings.model,
+    };
+  } catch {
+    throw new Error("The AI response could not be parsed. Try again.");
+  }
+}
+
+/**
+ * Score a mock interview's answers against a fixed rubric
+ * @param {Object} params
+ * @param {string} params.role - Target role, used to calibrate expectations
+ * @param {Array<{question: string, type: string, answer: string}>} params.answers - Questions with the candidate's answers
+ * @returns {Promise<{overall: number, summary: string, questions: Array<{score: number, rubric: Object, feedback: string}>, model: string}>}
+ */
+export async function evaluateMockInterview({ role, answers }) {
+  const settings = getLLMSettings();
+  const transcript = answers
+    .map((a, i) => `Q${i + 1} (${a.type}): ${a.question}\nAnswer: ${a.answer.trim() || "(no answer)"}`)
+    .join("\n\n");
+
+  const text = await chatCompletion({
+    messages: [
+      {
+        role: "system",
+        content: `You are a senior interviewer. Score each answer from 1 to 5 on correctness, depth and communication
+          (for behavioral questions, correctness means a clear situation, action and result).
+          Give one or two sentences of specific, actionable feedback per answer. Unanswered questions score 1.
+          Return ONLY a JSON object:
+          { "overall": 1-5, "summary": "...", "questions": [{ "correctness": 1-5, "depth": 1-5, "communication": 1-5, "feedback": "..." }] }
+          with one entry in "questions" per question, in order.`
+      },
+      { role: "user", content: `Role: ${role || "Software Engineer"}\n\n${transcript}` }
+    ],
+    maxTokens: 1500,
+    settings,
+  });
+
+  const jsonMatch = text.match(/\{.*\}/s);
+  if (!jsonMatch) throw new Error("The AI response did not contain any feedback. Try again.");
+
+  let parsed;
+  try {
+    parsed = JSON.parse(jsonMatch[0]);
+  } catch {
+    throw new Error("The AI feedback could not be parsed. Try again.");
+  }
+
+  const clamp = (n) => Math.min(5, Math.max(1, Math.round(Number(n) || 1)));
+  const questions = answers.map((_, i) => {
+    const item = (parsed.questions || [])[i] || {};
+    const rubric = { correctness: clamp(item.correctness), depth: clamp(item.depth), communication: clamp(item.communication) };
+    const score = Math.round(((rubric.correctness + rubric.depth + rubric.communication) / 3) * 10) / 10;
+    return { score, rubric, feedback: typeof item.feedback === "string" ? item.feedback : "" };
+  });
+
+  return {
+    overall: clamp(parsed.overall),
+    summary: typeof parsed.summary === "string" ? parsed.summary : "",
+    questions,
+    model: settings.model,
+  };
+}
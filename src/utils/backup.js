@@ -0,0 +1,310 @@
+import { getData, saveData, deleteData, getSchemaVersion, SYNCED_KEYS, SCHEMA_VERSION } from "./storage";
+import { migrateData } from "./schema";
+import { downloadFile } from "./download";
+
+export const BUNDLE_FORMAT = "prephub-backup";
+export const BUNDLE_VERSION = 1;
+
+export const BACKUP_FREQUENCIES = { off: "Off", daily: "Daily", weekly: "Weekly" };
+const FREQUENCY_MS = { daily: 24 * 60 * 60 * 1000, weekly: 7 * 24 * 60 * 60 * 1000 };
+// Each backup is a full copy of the synced data, so only a couple fit in localStorage next to it
+export const MAX_BACKUPS = 2;
+// The backup taken before an import has a slot of its own, so it never pushes out the backup being restored
+const IMPORT_REASON = "Before import";
+
+// Backups hold copies of synced data, so they stay on this device only
+const BACKUPS_KEY = "backups";
+const BACKUP_SETTINGS_KEY = "backupSettings";
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+// How each synced key is validated and merged:
+//   list   - array of items identified by `identity`; merge adds items with new identities
+//   map    - object of independent entries; merge adds keys that don't exist locally
+//   single - one value; merge only fills it in when there is nothing locally
+const KEY_SCHEMA = {
+  skillTracker: {
+    kind: "list",
+    identity: (item) => (typeof item === "string" ? item : item.name).toLowerCase(),
+    validItem: (item) => typeof item === "string" || (isPlainObject(item) && typeof item.name === "string"),
+  },
+  companyTrackers: { kind: "map", validEntry: (entry) => isPlainObject(entry) && Array.isArray(entry.skills) },
+  savedJobs: { kind: "list", identity: (item) => String(item.id), validItem: (item) => isPlainObject(item) && item.id != null },
+  extractedSkills: { kind: "map", validEntry: Array.isArray },
+  lastJD: { kind: "single", validValue: (value) => typeof value === "string" },
+  jobAnalyses: { kind: "map", validEntry: isPlainObject },
+  resume: { kind: "single", validValue: isPlainObject },
+  resumeBuilder: { kind: "single", validValue: isPlainObject },
+  tailoredVersions: { kind: "map", validEntry: Array.isArray },
+  roadmapPlan: { kind: "single", validValue: isPlainObject },
+  roleTemplates: { kind: "list", identity: (item) => item.id, validItem: (item) => isPlainObject(item) && typeof item.id === "string" },
+  mockSessions: { kind: "list", identity: (item) => item.id, validItem: (item) => isPlainObject(item) && typeof item.id === "string" },
+  practiceLog: { kind: "list", identity: (item) => item.id, validItem: (item) => isPlainObject(item) && typeof item.id === "string" },
+  studySessions: { kind: "list", identity: (item) => item.id, validItem: (item) => isPlainObject(item) && typeof item.id === "string" },
+  resourceProgress: { kind: "map", validEntry: isPlainObject },
+  jdAnalyses: { kind: "list", identity: (item) => item.id, validItem: (item) => isPlainObject(item) && typeof item.id === "string" },
+};
+
+/**
+ * Snapshot every synced key into a versioned bundle
+ * @returns {{format: string, version: number, schemaVersion: number, exportedAt: string, data: Object}}
+ */
+export function createBundle() {
+  const data = {};
+  SYNCED_KEYS.forEach(key => {
+    const value = getData(key);
+    if (value !== null) data[key] = value;
+  });
+  return { format: BUNDLE_FORMAT, version: BUNDLE_VERSION, schemaVersion: getSchemaVersion(), exportedAt: new Date().toISOString(), data };
+}
+
+const dateStamp = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Download a bundle as a JSON file
+ * @param {Object} [bundle] - Bundle to download, a fresh snapshot by default
+ */
+export function downloadBundle(bundle = createBundle()) {
+  downloadFile(JSON.stringify(bundle, null, 2), `prephub-backup-${bundle.exportedAt.slice(0, 10)}.json`, "application/json");
+}
+
+/**
+ * Check a parsed file against the bundle format before anything is written
+ * @param {*} bundle - Parsed JSON
+ * @returns {{valid: boolean, errors: string[], warnings: string[], counts: Object<string, number>}}
+ */
+export function validateBundle(bundle) {
+  const errors = [];
+  const warnings = [];
+  const counts = {};
+
+  if (!isPlainObject(bundle) || bundle.format !== BUNDLE_FORMAT) {
+    return { valid: false, errors: ["This file isn't a PrepHub backup."], warnings, counts };
+  }
+  if (!Number.isInteger(bundle.version) || bundle.version > BUNDLE_VERSION) {
+    return { valid: false, errors: [`Backup version ${bundle.version} isn't supported by this version of PrepHub.`], warnings, counts };
+  }
+  if ((bundle.schemaVersion || 0) > SCHEMA_VERSION) {
+    return { valid: false, errors: ["This backup was made by a newer version of PrepHub. Update the app before importing it."], warnings, counts };
+  }
+  if (!isPlainObject(bundle.data)) {
+    return { valid: false, errors: ["The backup has no data section."], warnings, counts };
+  }
+
+  Object.entries(bundle.data).forEach(([key, value]) => {
+    const schema = KEY_SCHEMA[key];
+    if (!schema) {
+      warnings.push(`Unknown section "${key}" will be ignored.`);
+      return;
+    }
+    if (schema.kind === "list") {
+      if (!Array.isArray(value)) errors.push(`"${key}" should be a list.`);
+      else if (!value.every(schema.validItem)) errors.push(`"${key}" contains malformed entries.`);
+      else counts[key] = value.length;
+    } else if (schema.kind === "map") {
+      if (!isPlainObject(value)) errors.push(`"${key}" should be an object.`);
+      else if (!Object.values(value).every(schema.validEntry)) errors.push(`"${key}" contains malformed entries.`);
+      else counts[key] = Object.keys(value).length;
+    } else if (!schema.validValue(value)) {
+      errors.push(`"${key}" has the wrong shape.`);
+    } else {
+      counts[key] = 1;
+    }
+  });
+
+  return { valid: errors.length === 0, errors, warnings, counts };
+}
+
+const mergeKey = (key, local, incoming) => {
+  const schema = KEY_SCHEMA[key];
+  if (local === null) {
+    const added = schema.kind === "list" ? incoming.length : schema.kind === "map" ? Object.keys(incoming).length : 1;
+    return { value: incoming, added, duplicates: 0 };
+  }
+  if (schema.kind === "list") {
+    const seen = new Set(local.map(schema.identity));
+    const added = incoming.filter(item => {
+      const id = schema.identity(item);
+      if (seen.has(id)) return false;
+      seen.add(id);
+      return true;
+    });
+    return { value: [...local, ...added], added: added.length, duplicates: incoming.length - added.length };
+  }
+  if (schema.kind === "map") {
+    const newKeys = Object.keys(incoming).filter(k => !(k in local));
+    return {
+      value: { ...local, ...Object.fromEntries(newKeys.map(k => [k, incoming[k]])) },
+      added: newKeys.length,
+      duplicates: Object.keys(incoming).length - newKeys.length,
+    };
+  }
+  return { value: local, added: 0, duplicates: 1 };
+};
+
+/**
+ * Write a validated bundle into storage, backing up the current data first
+ * Replace makes storage match the bundle, deleting sections it doesn't include; merge keeps local entries and adds new ones
+ * Can stop partway with a QuotaExceededError; the backup taken first holds the data from before the import
+ * @param {Object} bundle - Bundle that passed validateBundle
+ * @param {"merge"|"replace"} mode - Import strategy
+ * @returns {Object<string, {added: number, duplicates: number}>} Per-section summary
+ */
+export function importBundle(bundle, mode = "merge") {
+  createBackup(IMPORT_REASON);
+  const { counts } = validateBundle(bundle);
+  const summary = {};
+  // Backups from before a migration are brought up to the current shape before they're written
+  const data = migrateData({ ...bundle.data }, bundle.schemaVersion || 0);
+  Object.entries(data).forEach(([key, incoming]) => {
+    if (!KEY_SCHEMA[key]) return;
+    if (mode === "replace") {
+      saveData(key, incoming);
+      summary[key] = { added: counts[key] || 0, duplicates: 0 };
+      return;
+    }
+    const { value, added, duplicates } = mergeKey(key, getData(key), incoming);
+    if (added > 0) saveData(key, value);
+    summary[key] = { added, duplicates };
+  });
+  // createBundle leaves out empty sections, so one missing from the bundle was empty when it was made
+  if (mode === "replace") SYNCED_KEYS.filter(key => !(key in data)).forEach(key => deleteData(key));
+  return summary;
+}
+
+/**
+ * Local backups, newest first
+ * @returns {Array<{id: string, createdAt: string, reason: string, bundle: Object}>}
+ */
+export function getBackups() {
+  return getData(BACKUPS_KEY) || [];
+}
+
+/**
+ * Store a snapshot locally, dropping the oldest backups when storage runs out
+ * @param {string} reason - Shown in the backup list
+ * @returns {Array} Updated backups
+ */
+export function createBackup(reason = "Manual") {
+  const bundle = createBundle();
+  let kept = 0;
+  let keptImport = 0;
+  const backups = [{ id: Date.now().toString(), createdAt: bundle.exportedAt, reason, bundle }, ...getBackups()]
+    .filter(backup => (backup.reason === IMPORT_REASON ? keptImport++ < 1 : kept++ < MAX_BACKUPS));
+  while (backups.length > 0) {
+    try {
+      saveData(BACKUPS_KEY, backups);
+      return backups;
+    } catch {
+      backups.pop();
+    }
+  }
+  deleteData(BACKUPS_KEY);
+  return [];
+}
+
+/**
+ * Delete one local backup
+ * @param {string} id - Backup id
+ * @returns {Array} Remaining backups
+ */
+export function deleteBackup(id) {
+  const backups = getBackups().filter(b => b.id !== id);
+  saveData(BACKUPS_KEY, backups);
+  return backups;
+}
+
+/**
+ * Automatic backup settings
+ * @returns {{frequency: "off"|"daily"|"weekly", lastRun: string|null}}
+ */
+export function getBackupSettings() {
+  return { frequency: "weekly", lastRun: null, ...getData(BACKUP_SETTINGS_KEY) };
+}
+
+/**
+ * Change how often automatic backups run
+ * @param {"off"|"daily"|"weekly"} frequency - New frequency
+ * @returns {Object} Updated settings
+ */
+export function setBackupFrequency(frequency) {
+  const settings = { ...getBackupSettings(), frequency };
+  saveData(BACKUP_SETTINGS_KEY, settings);
+  return settings;
+}
+
+/**
+ * Take an automatic backup when the configured interval has passed since the last one
+ * Called on app load; there is no background scheduler in the browser
+ */
+export function runScheduledBackup() {
+  const settings = getBackupSettings();
+  if (settings.frequency === "off") return;
+  if (settings.lastRun && Date.now() - new Date(settings.lastRun).getTime() < FREQUENCY_MS[settings.frequency]) return;
+  if (Object.keys(createBundle().data).length === 0) return;
+  createBackup("Automatic");
+  saveData(BACKUP_SETTINGS_KEY, { ...settings, lastRun: new Date().toISOString() });
+}
+
+const csvCell = (value) => {
+  const text = value == null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCSV = (header, rows) => [header, ...rows].map(row => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+
+// One flat table per tracker, for spreadsheets
+export const CSV_EXPORTS = {
+  skillTracker: {
+    label: "Skills",
+    build: (skills) => toCSV(
+      ["Skill", "Level", "Learned", "Last Practiced", "Evidence"],
+      skills.map(s => (typeof s === "string"
+        ? [s, 0, false, "", ""]
+        : [s.name, s.level ?? (s.learned ? 3 : 0), Boolean(s.learned), s.lastPracticed || "", (s.evidence || []).map(e => e.title).join("; ")]))
+    ),
+  },
+  companyTrackers: {
+    label: "Companies",
+    build: (companies) => toCSV(
+      ["Company", "Role", "Skill", "Required Level", "Deadline", "Interview Rounds"],
+      // One row per mapped skill, and a row with empty skill columns for trackers without skills
+      Object.values(companies).flatMap(c => (c.skills.length > 0 ? c.skills : [""]).map(skill => [
+        c.name, c.role, skill, c.requiredLevels?.[skill] ?? "", c.deadline || "", (c.rounds || []).length,
+      ]))
+    ),
+  },
+  savedJobs: {
+    label: "Applications",
+    build: (jobs) => toCSV(
+      ["Title", "Company", "Location", "Stage", "Saved", "URL", "Notes"],
+      jobs.map(j => [j.title, j.company, j.location, j.stage || "Saved", j.savedDate || "", j.url, j.notes || ""])
+    ),
+  },
+  practiceLog: {
+    label: "Practice Log",
+    build: (log) => toCSV(
+      ["Title", "URL", "Platform", "Difficulty", "Topics", "Minutes", "Status", "Revisit", "Date"],
+      log.map(p => [p.title, p.url, p.platform, p.difficulty, p.topics.join("; "), p.minutes, p.solved ? "Solved" : "Attempted", p.revisit ? "yes" : "", p.date])
+    ),
+  },
+  studySessions: {
+    label: "Study Sessions",
+    build: (sessions) => toCSV(
+      ["Skill", "Minutes", "Started", "Resource"],
+      sessions.map(s => [s.skill, s.minutes, s.startedAt, s.resource?.title || ""])
+    ),
+  },
+};
+
+/**
+ * Download one tracker as CSV
+ * @param {string} key - Key of CSV_EXPORTS
+ * @returns {boolean} False when there is nothing stored to export
+ */
+export function downloadCSV(key) {
+  const value = getData(key);
+  if (!value) return false;
+  downloadFile(CSV_EXPORTS[key].build(value), `prephub-${key}-${dateStamp()}.csv`, "text/csv;charset=utf-8");
+  return true;
+}
@@ -0,0 +1,119 @@
+import { downloadFile } from "./download";
+
+export const ROUND_TYPES = ["Phone Screen", "Technical", "System Design", "Behavioral", "HR", "Onsite", "Other"];
+export const ROUND_OUTCOMES = ["Pending", "Passed", "Failed", "Cancelled"];
+
+export const EVENT_COLORS = {
+  deadline: "var(--danger)",
+  oa: "var(--accent)",
+  interview: "var(--warning)",
+};
+
+// Timed events (OA, interviews) block this long in exported calendars
+const EVENT_MINUTES = 60;
+
+/**
+ * Flatten every company's deadline, OA and interview rounds into calendar events
+ * Dates are "YYYY-MM-DD" for all-day events and "YYYY-MM-DDTHH:mm" (local time) for timed ones
+ * @param {Object} companies - companyTrackers map
+ * @returns {Array<{id: string, companyKey: string, type: string, title: string, date: string, description: string}>} Events sorted by date
+ */
+export function getCompanyEvents(companies) {
+  const events = [];
+  Object.entries(companies).forEach(([key, company]) => {
+    const name = company.name || key;
+    if (company.deadline) {
+      events.push({ id: `${key}-deadline`, companyKey: key, type: "deadline", title: `${name} application deadline`, date: company.deadline, description: company.role || "" });
+    }
+    if (company.oaDate) {
+      events.push({ id: `${key}-oa`, companyKey: key, type: "oa", title: `${name} online assessment`, date: company.oaDate, description: company.role || "" });
+    }
+    (company.rounds || []).filter(round => round.date).forEach(round => {
+      events.push({
+        id: `${key}-round-${round.id}`,
+        companyKey: key,
+        type: "interview",
+        title: `${name} — ${round.type} interview`,
+        date: round.date,
+        description: [
+          company.role,
+          round.interviewer && `Interviewer: ${round.interviewer}`,
+          round.outcome && `Outcome: ${round.outcome}`,
+          round.notes,
+        ].filter(Boolean).join("\n"),
+      });
+    });
+  });
+  return events.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+const pad = (n) => String(n).padStart(2, "0");
+
+const formatDate = (date) => `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+const formatDateTime = (date) => `${formatDate(date)}T${pad(date.getHours())}${pad(date.getMinutes())}00`;
+
+// Text values escape backslashes, separators and newlines (RFC 5545 §3.3.11)
+const escapeText = (text) => text.replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+
+// Content lines are folded at 75 octets with a leading space on continuation lines
+const foldLine = (line) => {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let current = "";
+  for (const char of line) {
+    if (new TextEncoder().encode(current + char).length > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = "";
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+};
+
+/**
+ * Serialize events as an iCalendar (.ics) document
+ * Timed events use floating local time so they land at the same clock time in any calendar app
+ * @param {Array} events - Output of getCompanyEvents
+ * @param {string} calendarName - Shown by calendar apps that support X-WR-CALNAME
+ * @returns {string}
+ */
+export function buildICS(events, calendarName = "PrepHub Interviews") {
+  const stamp = new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//PrepHub//Interview Calendar//EN",
+    "CALSCALE:GREGORIAN",
+    `X-WR-CALNAME:${escapeText(calendarName)}`,
+  ];
+
+  events.forEach(event => {
+    lines.push("BEGIN:VEVENT", `UID:${event.id}@prephub`, `DTSTAMP:${stamp}`, `SUMMARY:${escapeText(event.title)}`);
+    if (event.date.includes("T")) {
+      const start = new Date(event.date);
+      const end = new Date(start.getTime() + EVENT_MINUTES * 60000);
+      lines.push(`DTSTART:${formatDateTime(start)}`, `DTEND:${formatDateTime(end)}`);
+    } else {
+      const start = new Date(`${event.date}T00:00`);
+      const end = new Date(start);
+      end.setDate(end.getDate() + 1);
+      lines.push(`DTSTART;VALUE=DATE:${formatDate(start)}`, `DTEND;VALUE=DATE:${formatDate(end)}`);
+    }
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    lines.push(`CATEGORIES:${event.type.toUpperCase()}`, "END:VEVENT");
+  });
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+/**
+ * Download events as an .ics file
+ * @param {Array} events - Calendar events
+ * @param {string} fileName - File name without extension
+ */
+export function downloadICS(events, fileName = "prephub-calendar") {
+  downloadFile(buildICS(events), `${fileName}.ics`, "text/calendar;charset=utf-8");
+}
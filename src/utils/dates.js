@@ -0,0 +1,10 @@
+/**
+ * Local calendar day of a date as YYYY-MM-DD
+ * Streaks, reviews and heatmaps follow the user's own midnight rather than UTC's
+ * @param {Date|string|number} date
+ * @returns {string}
+ */
+export function dayKey(date) {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
@@ -0,0 +1,15 @@
+/**
+ * Save generated text as a file through the browser's download prompt
+ * @param {string} content - File contents
+ * @param {string} fileName - Suggested file name, with extension
+ * @param {string} type - MIME type, e.g. "application/json"
+ */
+export function downloadFile(content, fileName, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,198 @@
+import { saveData, deleteData, subscribeData, collections } from "./storage";
+import { createCompanyKey } from "./schema";
+
+export const TRASH_TYPES = { company: "Company", skill: "Skill", job: "Job" };
+
+// Keys an operation can change; the trash is included so undoing a delete also takes it back out
+const TRACKED_KEYS = [collections.skills.key, collections.companies.key, collections.savedJobs.key, collections.trash.key];
+const MAX_UNDO = 50;
+const MAX_ACTIVITY = 200;
+const MAX_TRASH = 100;
+// Edits with the same merge key this close together (typing notes, picking dates) are one operation
+const MERGE_WINDOW_MS = 5000;
+
+// Undo and redo stacks live for the session in this tab; the activity log and trash are stored
+const undoStack = [];
+const redoStack = [];
+const listeners = new Set();
+
+const readTracked = () => Object.fromEntries(TRACKED_KEYS.map(key => [key, localStorage.getItem(key)]));
+const pick = (raw, keys) => Object.fromEntries(keys.map(key => [key, raw[key]]));
+const matchesStorage = (raw) => Object.entries(raw).every(([key, value]) => localStorage.getItem(key) === value);
+
+const writeTracked = (raw) => Object.entries(raw).forEach(([key, value]) => {
+  if (value === null) deleteData(key);
+  else saveData(key, JSON.parse(value));
+});
+
+// Storage was cleared, e.g. another account signed in: nothing recorded so far applies anymore
+subscribeData((key) => {
+  if (key !== null) return;
+  undoStack.length = 0;
+  redoStack.length = 0;
+});
+
+const emit = (event) => listeners.forEach(listener => listener(event));
+
+const logActivity = (label, type) => {
+  const entry = { id: `${Date.now()}-${Math.random().toString(36).slice(2, 7)}`, date: new Date().toISOString(), label, type };
+  collections.activity.set([entry, ...collections.activity.get()].slice(0, MAX_ACTIVITY));
+};
+
+/**
+ * Listen for recorded, undone and redone operations
+ * @param {(event: {kind: "change"|"undo"|"redo"|"error", label: string}) => void} listener
+ * @returns {() => void} Unsubscribe
+ */
+export function subscribeHistory(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Run a tracker mutation as one undoable operation and log it to the activity feed
+ * @param {string} label - What the user did, e.g. "Deleted company Google"
+ * @param {() => *} mutate - Writes to any of the tracked collections
+ * @param {{type?: string, mergeKey?: string}} [options] - Feed icon type, and a key for coalescing rapid edits
+ * @returns {*} Whatever mutate returns
+ */
+export function track(label, mutate, { type, mergeKey } = {}) {
+  const before = readTracked();
+  const result = mutate();
+  const after = readTracked();
+  const keys = TRACKED_KEYS.filter(key => before[key] !== after[key]);
+  if (keys.length === 0) return result;
+
+  const now = Date.now();
+  const last = undoStack[undoStack.length - 1];
+  redoStack.length = 0;
+  if (mergeKey && last?.mergeKey === mergeKey && now - last.time < MERGE_WINDOW_MS && keys.every(key => key in last.before)) {
+    Object.assign(last.after, pick(after, keys));
+    last.time = now;
+    return result;
+  }
+
+  undoStack.push({ label, type, mergeKey, time: now, before: pick(before, keys), after: pick(after, keys) });
+  if (undoStack.length > MAX_UNDO) undoStack.shift();
+  logActivity(label, type);
+  emit({ kind: "change", label });
+  return result;
+}
+
+// Move an operation between stacks, refusing when the data was changed outside the history since
+const replay = (from, to, kind) => {
+  const op = from.pop();
+  if (!op) return false;
+  const [expected, target] = kind === "undo" ? [op.after, op.before] : [op.before, op.after];
+  if (!matchesStorage(expected)) {
+    undoStack.length = 0;
+    redoStack.length = 0;
+    emit({ kind: "error", label: `Couldn't ${kind} "${op.label}" because the data changed since` });
+    return false;
+  }
+  writeTracked(target);
+  to.push(op);
+  logActivity(`${kind === "undo" ? "Undid" : "Redid"}: ${op.label}`, op.type);
+  emit({ kind, label: op.label });
+  return true;
+};
+
+/**
+ * Revert the most recent operation
+ * @returns {boolean} Whether anything was undone
+ */
+export function undo() {
+  return replay(undoStack, redoStack, "undo");
+}
+
+/**
+ * Re-apply the most recently undone operation
+ * @returns {boolean} Whether anything was redone
+ */
+export function redo() {
+  return replay(redoStack, undoStack, "redo");
+}
+
+const addToTrash = (type, label, item, extra = {}) => {
+  const entry = { id: `${type}-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`, type, label, item, deletedAt: new Date().toISOString(), ...extra };
+  collections.trash.set([entry, ...collections.trash.get()].slice(0, MAX_TRASH));
+};
+
+/**
+ * Delete a company tracker into the trash
+ * @param {string} key - Key in companyTrackers
+ */
+export function trashCompany(key) {
+  const company = collections.companies.get()[key];
+  if (!company) return;
+  const label = company.role ? `${company.name} — ${company.role}` : company.name;
+  track(`Deleted company ${label}`, () => {
+    const companies = collections.companies.get();
+    delete companies[key];
+    collections.companies.set(companies);
+    addToTrash("company", label, company, { key });
+  }, { type: "company" });
+}
+
+/**
+ * Delete a skill from the skill tracker into the trash
+ * @param {string} name - Skill name
+ */
+export function trashSkill(name) {
+  const skill = collections.skills.get().find(s => s.name === name);
+  if (!skill) return;
+  track(`Deleted skill ${name}`, () => {
+    collections.skills.set(collections.skills.get().filter(s => s.name !== name));
+    addToTrash("skill", name, skill);
+  }, { type: "skill" });
+}
+
+/**
+ * Remove a saved job from the pipeline into the trash
+ * @param {string|number} id - Job id
+ */
+export function trashJob(id) {
+  const job = collections.savedJobs.get().find(j => j.id === id);
+  if (!job) return;
+  const label = job.company ? `${job.title} at ${job.company}` : job.title;
+  track(`Removed job ${label}`, () => {
+    collections.savedJobs.set(collections.savedJobs.get().filter(j => j.id !== id));
+    addToTrash("job", label, job);
+  }, { type: "job" });
+}
+
+/**
+ * Put a trashed item back where it came from
+ * Companies whose key has been reused get a fresh key; skills and jobs that already exist again are left as they are
+ * @param {string} id - Trash entry id
+ */
+export function restoreFromTrash(id) {
+  const entry = collections.trash.get().find(e => e.id === id);
+  if (!entry) return;
+  track(`Restored ${entry.type} ${entry.label}`, () => {
+    if (entry.type === "company") {
+      const companies = collections.companies.get();
+      const key = companies[entry.key] ? createCompanyKey(entry.item.name) : entry.key;
+      collections.companies.set({ ...companies, [key]: entry.item });
+    } else if (entry.type === "skill") {
+      const skills = collections.skills.get();
+      if (!skills.some(s => s.name.toLowerCase() === entry.item.name.toLowerCase())) {
+        collections.skills.set([...skills, entry.item]);
+      }
+    } else if (entry.type === "job") {
+      const jobs = collections.savedJobs.get();
+      if (!jobs.some(j => j.id === entry.item.id)) collections.savedJobs.set([...jobs, entry.item]);
+    }
+    collections.trash.set(collections.trash.get().filter(e => e.id !== id));
+  }, { type: entry.type });
+}
+
+/**
+ * Permanently delete one trash entry, or the whole trash when no id is given
+ * @param {string} [id] - Trash entry id
+ */
+export function purgeTrash(id) {
+  const entries = collections.trash.get();
+  const label = id ? `Permanently deleted ${entries.find(e => e.id === id)?.label}` : `Emptied the trash (${entries.length} ${entries.length === 1 ? "item" : "items"})`;
+  track(label, () => collections.trash.set(id ? entries.filter(e => e.id !== id) : []), { type: "trash" });
+}
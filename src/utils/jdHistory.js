@@ -0,0 +1,104 @@
+import { collections } from "./storage";
+
+const MAX_ANALYSES = 100;
+
+/**
+ * All extracted skills of an analysis as one list
+ * @param {Object<string, string[]>|string[]} skills - Categorized or flat skills
+ * @returns {string[]}
+ */
+export function flattenSkills(skills) {
+  return Array.isArray(skills) ? skills : Object.values(skills || {}).flat();
+}
+
+/**
+ * Build a history record from an analyzeJD result
+ * @param {Object} params
+ * @param {string} params.jdText - Analyzed job description
+ * @param {string} [params.sourceUrl] - Where the JD was posted
+ * @param {string} [params.company]
+ * @param {string} [params.role]
+ * @param {Object} params.result - Output of analyzeJD
+ * @param {string|null} [params.rerunOf] - Id of the analysis being re-run
+ * @returns {import("./schema").AnalysisRecord}
+ */
+export function createAnalysisRecord({ jdText, sourceUrl = "", company = "", role = "", result, rerunOf = null }) {
+  return {
+    id: `analysis-${Date.now()}`,
+    jdText,
+    sourceUrl: sourceUrl.trim(),
+    company: company.trim(),
+    role: role.trim(),
+    skills: result.skills,
+    unsupported: result.unsupported || [],
+    source: result.source,
+    model: result.model || "",
+    rerunOf,
+    createdAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Add an analysis to the history, newest first, and make it the current JD for the rest of the app
+ * @param {import("./schema").AnalysisRecord} record
+ */
+export function saveAnalysis(record) {
+  collections.jdAnalyses.set([record, ...collections.jdAnalyses.get()].slice(0, MAX_ANALYSES));
+  collections.extractedSkills.set(record.skills);
+  collections.lastJD.set(record.jdText);
+}
+
+/**
+ * Remove one analysis from the history
+ * @param {string} id - Analysis id
+ */
+export function deleteAnalysis(id) {
+  collections.jdAnalyses.set(collections.jdAnalyses.get().filter(a => a.id !== id));
+}
+
+/**
+ * Analyses whose JD, company, role, model or skills contain every word of the query
+ * @param {import("./schema").AnalysisRecord[]} analyses
+ * @param {string} query - Free text
+ * @returns {import("./schema").AnalysisRecord[]}
+ */
+export function searchAnalyses(analyses, query) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return analyses;
+  return analyses.filter(analysis => {
+    const haystack = [analysis.jdText, analysis.company, analysis.role, analysis.model, ...flattenSkills(analysis.skills)]
+      .join(" ")
+      .toLowerCase();
+    return terms.every(term => haystack.includes(term));
+  });
+}
+
+/**
+ * Skills two analyses share and the ones only each of them found, compared case-insensitively
+ * @param {import("./schema").AnalysisRecord} a
+ * @param {import("./schema").AnalysisRecord} b
+ * @returns {{shared: string[], onlyA: string[], onlyB: string[]}}
+ */
+export function compareAnalyses(a, b) {
+  const unique = (skills) => [...new Map(skills.map(s => [s.toLowerCase(), s])).values()];
+  const skillsA = unique(flattenSkills(a.skills));
+  const skillsB = unique(flattenSkills(b.skills));
+  const namesA = new Set(skillsA.map(s => s.toLowerCase()));
+  const namesB = new Set(skillsB.map(s => s.toLowerCase()));
+  return {
+    shared: skillsA.filter(s => namesB.has(s.toLowerCase())),
+    onlyA: skillsA.filter(s => !namesB.has(s.toLowerCase())),
+    onlyB: skillsB.filter(s => !namesA.has(s.toLowerCase())),
+  };
+}
+
+/**
+ * Short title for a history entry: company and role, or the first line of the JD
+ * @param {import("./schema").AnalysisRecord} analysis
+ * @returns {string}
+ */
+export function getAnalysisTitle(analysis) {
+  if (analysis.company || analysis.role) return [analysis.company, analysis.role].filter(Boolean).join(" — ");
+  const firstLine = analysis.jdText.trim().split("\n")[0];
+  return firstLine.length > 60 ? `${firstLine.slice(0, 60)}…` : firstLine;
+}
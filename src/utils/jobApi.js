@@ -1,26 +1,74 @@
-const APP_ID = import.meta.env.VITE_ADZUNA_APP_ID;
-const APP_KEY = import.meta.env.VITE_ADZUNA_APP_KEY;
-const BASE_URL = "https://api.adzuna.com/v1/api/jobs";
-
-export async function searchJobs({ role = "", location = "", page = 1 }) {
-  const country = "in";
-  let url = `${BASE_URL}/${country}/search/${page}?app_id=${APP_ID}&app_key=${APP_KEY}&results_per_page=10`;
-
-  if (role.trim()) url += `&what=${encodeURIComponent(role)}`;
-  if (location.trim()) url += `&where=${encodeURIComponent(location)}`;
-
-  const response = await fetch(url);
-  if (!response.ok) {
-    let errorDetail = "";
-    try {
-      const errorData = await response.json();
-      errorDetail = errorData.error || response.statusText;
-    } catch {
-      errorDetail = response.statusText;
+import { adzunaSource } from "./jobSources/adzuna";
+import { greenhouseSource, leverSource, rssSource, sortJobs } from "./jobSources/feeds";
+import { getData, saveData } from "./storage";
+
+// Every adapter exposes search(params, config) -> { jobs, total } with jobs in the common shape:
+// { id, source, title, company, location, description, url, created,
+//   salaryMin, salaryMax, contractTime, contractType, category }
+export const JOB_SOURCES = {
+  adzuna: adzunaSource,
+  greenhouse: greenhouseSource,
+  lever: leverSource,
+  rss: rssSource,
+};
+
+const DEFAULT_SOURCES = [{ id: "adzuna", type: "adzuna", enabled: true }];
+
+// Configured sources, e.g. { id, type: "greenhouse", board: "airbnb", company: "Airbnb", enabled }
+export function getJobSources() {
+  return getData("jobSources") || DEFAULT_SOURCES;
+}
+
+export function saveJobSources(sources) {
+  saveData("jobSources", sources);
+}
+
+const dedupeKey = (job) =>
+  [job.title, job.company, job.location].map(s => (s || "").toLowerCase().replace(/[^a-z0-9]/g, "")).join("|");
+
+// filters: { salaryMin, salaryMax, contractTime, contractType, maxDaysOld, distance }
+// sortBy: "relevance" | "date" | "salary"
+export async function searchJobs({
+  role = "",
+  location = "",
+  country = "in",
+  page = 1,
+  resultsPerPage = 10,
+  filters = {},
+  sortBy = "relevance",
+  sources = getJobSources(),
+}) {
+  const active = sources.filter(source => source.enabled && JOB_SOURCES[source.type]);
+
+  const results = await Promise.allSettled(
+    active.map(source => JOB_SOURCES[source.type].search({ role, location, country, page, resultsPerPage, filters, sortBy }, source))
+  );
+
+  const seen = new Set();
+  const jobs = [];
+  const errors = [];
+  let total = 0;
+  let totalPages = 0;
+
+  results.forEach((result, i) => {
+    if (result.status === "rejected") {
+      errors.push({ source: active[i], message: result.reason?.message || "Unknown error" });
+      return;
     }
-    console.error("Adzuna API Error:", response.status, errorDetail);
-    throw new Error(`Failed to fetch jobs: ${response.status} ${errorDetail}`);
+    total += result.value.total;
+    // Each source pages independently, so the longest source decides the page count
+    totalPages = Math.max(totalPages, Math.ceil(result.value.total / resultsPerPage));
+    result.value.jobs.forEach(job => {
+      const key = dedupeKey(job);
+      if (seen.has(key)) return;
+      seen.add(key);
+      jobs.push(job);
+    });
+  });
+
+  if (active.length > 0 && errors.length === active.length) {
+    throw new Error(errors.map(e => e.message).join("; "));
   }
-  const data = await response.json();
-  return data.results;
-}
\ No newline at end of file
+
+  return { jobs: sortJobs(jobs, sortBy), total, totalPages, errors };
+}
@@ -0,0 +1,71 @@
+const APP_ID = import.meta.env.VITE_ADZUNA_APP_ID;
+const APP_KEY = import.meta.env.VITE_ADZUNA_APP_KEY;
+const BASE_URL = "https://api.adzuna.com/v1/api/jobs";
+
+export const ADZUNA_COUNTRIES = {
+  in: "India",
+  gb: "United Kingdom",
+  us: "United States",
+  ca: "Canada",
+  au: "Australia",
+  de: "Germany",
+  fr: "France",
+  nl: "Netherlands",
+  sg: "Singapore",
+  za: "South Africa",
+};
+
+export function normalizeAdzunaJob(job) {
+  return {
+    // Raw id, as saved jobs and job analyses were keyed before the other sources existed; theirs are prefixed
+    id: job.id,
+    source: "Adzuna",
+    title: job.title,
+    company: job.company?.display_name || "Unknown company",
+    location: job.location?.display_name || "",
+    description: job.description || "",
+    url: job.redirect_url,
+    created: job.created || null,
+    salaryMin: job.salary_min ?? null,
+    salaryMax: job.salary_max ?? null,
+    contractTime: job.contract_time || null,
+    contractType: job.contract_type || null,
+    category: job.category?.label || null,
+  };
+}
+
+export const adzunaSource = {
+  type: "adzuna",
+  label: "Adzuna",
+  async search({ role = "", location = "", country = "in", page = 1, resultsPerPage = 10, filters = {}, sortBy = "relevance" }) {
+    let url = `${BASE_URL}/${country}/search/${page}?app_id=${APP_ID}&app_key=${APP_KEY}&results_per_page=${resultsPerPage}`;
+
+    if (role.trim()) url += `&what=${encodeURIComponent(role)}`;
+    if (location.trim()) url += `&where=${encodeURIComponent(location)}`;
+    if (filters.salaryMin) url += `&salary_min=${filters.salaryMin}`;
+    if (filters.salaryMax) url += `&salary_max=${filters.salaryMax}`;
+    if (filters.contractTime) url += `&${filters.contractTime}=1`;
+    if (filters.contractType) url += `&${filters.contractType}=1`;
+    if (filters.maxDaysOld) url += `&max_days_old=${filters.maxDaysOld}`;
+    if (filters.distance && location.trim()) url += `&distance=${filters.distance}`;
+    if (sortBy !== "relevance") url += `&sort_by=${sortBy}`;
+
+    const response = await fetch(url);
+    if (!response.ok) {
+      let errorDetail = "";
+      try {
+        const errorData = await response.json();
+        errorDetail = errorData.error || response.statusText;
+      } catch {
+        errorDetail = response.statusText;
+      }
+      console.error("Adzuna API Error:", response.status, errorDetail);
+      throw new Error(`Failed to fetch jobs: ${response.status} ${errorDetail}`);
+    }
+    const data = await response.json();
+    return {
+      jobs: data.results.map(normalizeAdzunaJob),
+      total: data.count ?? data.results.length,
+    };
+  },
+};
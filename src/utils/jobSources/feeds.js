@@ -0,0 +1,136 @@
+// Board feeds return every posting at once, so search and paging happen client-side
+
+const matches = (job, role, location) => {
+  const text = `${job.title} ${job.description}`.toLowerCase();
+  const roleOk = !role.trim() || role.toLowerCase().split(/\s+/).every(word => text.includes(word));
+  const locationOk = !location.trim() || job.location.toLowerCase().includes(location.toLowerCase());
+  return roleOk && locationOk;
+};
+
+// Mirrors the Adzuna filters as far as the feed fields allow; distance needs geocoding so it's ignored
+const passesFilters = (job, filters) => {
+  if (filters.salaryMin && job.salaryMax !== null && job.salaryMax < filters.salaryMin) return false;
+  if (filters.salaryMax && job.salaryMin !== null && job.salaryMin > filters.salaryMax) return false;
+  if (filters.contractTime && job.contractTime && job.contractTime !== filters.contractTime) return false;
+  if (filters.contractType && job.contractType && job.contractType !== filters.contractType) return false;
+  if (filters.maxDaysOld && job.created) {
+    const ageDays = (Date.now() - new Date(job.created).getTime()) / 86400000;
+    if (ageDays > filters.maxDaysOld) return false;
+  }
+  return true;
+};
+
+export const sortJobs = (jobs, sortBy) => {
+  if (sortBy === "date") return [...jobs].sort((a, b) => (b.created || "").localeCompare(a.created || ""));
+  if (sortBy === "salary") return [...jobs].sort((a, b) => (b.salaryMax ?? b.salaryMin ?? -1) - (a.salaryMax ?? a.salaryMin ?? -1));
+  return jobs;
+};
+
+const paginate = (jobs, { role = "", location = "", page = 1, resultsPerPage = 10, filters = {}, sortBy = "relevance" }) => {
+  const filtered = sortJobs(jobs.filter(job => matches(job, role, location) && passesFilters(job, filters)), sortBy);
+  const start = (page - 1) * resultsPerPage;
+  return { jobs: filtered.slice(start, start + resultsPerPage), total: filtered.length };
+};
+
+const stripHtml = (html) => {
+  const doc = new DOMParser().parseFromString(html || "", "text/html");
+  return doc.body.textContent.replace(/\s+/g, " ").trim();
+};
+
+const fetchFeed = async (url, label) => {
+  const response = await fetch(url);
+  if (!response.ok) {
+    console.error(`${label} feed error:`, response.status, url);
+    throw new Error(`Failed to fetch ${label} feed: ${response.status} ${response.statusText}`);
+  }
+  return response;
+};
+
+const toIso = (value) => {
+  const date = new Date(value);
+  return value && !isNaN(date) ? date.toISOString() : null;
+};
+
+const emptyFields = {
+  salaryMin: null,
+  salaryMax: null,
+  contractTime: null,
+  contractType: null,
+  category: null,
+};
+
+export const greenhouseSource = {
+  type: "greenhouse",
+  label: "Greenhouse",
+  // config.board is the company's board token, e.g. "airbnb"
+  async search(params, config) {
+    const response = await fetchFeed(`https://boards-api.greenhouse.io/v1/boards/${config.board}/jobs?content=true`, "Greenhouse");
+    const data = await response.json();
+    const jobs = (data.jobs || []).map(job => ({
+      ...emptyFields,
+      id: `greenhouse-${config.board}-${job.id}`,
+      source: "Greenhouse",
+      title: job.title,
+      company: config.company || config.board,
+      location: job.location?.name || "",
+      description: stripHtml(new DOMParser().parseFromString(job.content || "", "text/html").body.textContent),
+      url: job.absolute_url,
+      created: job.updated_at || null,
+      category: job.departments?.[0]?.name || null,
+    }));
+    return paginate(jobs, params);
+  },
+};
+
+export const leverSource = {
+  type: "lever",
+  label: "Lever",
+  // config.board is the company's Lever site name, e.g. "netflix"
+  async search(params, config) {
+    const response = await fetchFeed(`https://api.lever.co/v0/postings/${config.board}?mode=json`, "Lever");
+    const data = await response.json();
+    const jobs = (data || []).map(job => ({
+      ...emptyFields,
+      id: `lever-${config.board}-${job.id}`,
+      source: "Lever",
+      title: job.text,
+      company: config.company || config.board,
+      location: job.categories?.location || "",
+      description: job.descriptionPlain || stripHtml(job.description),
+      url: job.hostedUrl,
+      created: toIso(job.createdAt),
+      contractTime: job.categories?.commitment?.toLowerCase().replace(/[\s-]+/g, "_") || null,
+      category: job.categories?.team || null,
+    }));
+    return paginate(jobs, params);
+  },
+};
+
+export const rssSource = {
+  type: "rss",
+  label: "RSS feed",
+  // config.url is any RSS 2.0 or Atom job feed
+  async search(params, config) {
+    const response = await fetchFeed(config.url, "RSS");
+    const xml = new DOMParser().parseFromString(await response.text(), "application/xml");
+    const items = [...xml.querySelectorAll("item, entry")];
+    const text = (item, selector) => item.querySelector(selector)?.textContent?.trim() || "";
+
+    const jobs = items.map((item, i) => {
+      const link = text(item, "link") || item.querySelector("link")?.getAttribute("href") || "";
+      return {
+        ...emptyFields,
+        id: `rss-${text(item, "guid") || text(item, "id") || link || i}`,
+        source: config.company || "RSS",
+        title: text(item, "title"),
+        company: config.company || text(item, "author") || new URL(config.url).hostname,
+        location: text(item, "location"),
+        description: stripHtml(text(item, "description") || text(item, "summary") || text(item, "content")),
+        url: link,
+        created: toIso(text(item, "pubDate") || text(item, "published") || text(item, "updated")),
+        category: text(item, "category") || null,
+      };
+    });
+    return paginate(jobs, params);
+  },
+};
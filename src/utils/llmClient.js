@@ -0,0 +1,169 @@
+import { getData, saveData } from "./storage";
+
+// Request/response adapters per wire format. Each builds a fetch request and pulls the text back out.
+const ADAPTERS = {
+  openai: {
+    url: (settings) => `${settings.baseUrl.replace(/\/$/, "")}/chat/completions`,
+    headers: (settings) => ({
+      "Content-Type": "application/json",
+      ...(settings.apiKey ? { Authorization: `Bearer ${settings.apiKey}` } : {}),
+    }),
+    body: (settings, { messages, maxTokens, temperature }) => ({
+      model: settings.model,
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+    }),
+    parse: (data) => data.choices?.[0]?.message?.content || "",
+  },
+  anthropic: {
+    url: (settings) => `${settings.baseUrl.replace(/\/$/, "")}/messages`,
+    headers: (settings) => ({
+      "Content-Type": "application/json",
+      "x-api-key": settings.apiKey,
+      "anthropic-version": "2023-06-01",
+      "anthropic-dangerous-direct-browser-access": "true",
+    }),
+    body: (settings, { messages, maxTokens, temperature }) => ({
+      model: settings.model,
+      system: messages.filter(m => m.role === "system").map(m => m.content).join("\n\n") || undefined,
+      messages: messages.filter(m => m.role !== "system"),
+      max_tokens: maxTokens,
+      temperature,
+    }),
+    parse: (data) => data.content?.filter(block => block.type === "text").map(block => block.text).join("") || "",
+  },
+};
+
+export const LLM_PROVIDERS = {
+  huggingface: {
+    label: "Hugging Face Router",
+    adapter: "openai",
+    baseUrl: "https://router.huggingface.co/v1",
+    model: "meta-llama/Llama-3.1-8B-Instruct",
+    requiresKey: true,
+  },
+  openai: {
+    label: "OpenAI",
+    adapter: "openai",
+    baseUrl: "https://api.openai.com/v1",
+    model: "gpt-4o-mini",
+    requiresKey: true,
+  },
+  anthropic: {
+    label: "Anthropic",
+    adapter: "anthropic",
+    baseUrl: "https://api.anthropic.com/v1",
+    model: "claude-3-5-haiku-latest",
+    requiresKey: true,
+  },
+  ollama: {
+    label: "Ollama (local)",
+    adapter: "openai",
+    baseUrl: "http://localhost:11434/v1",
+    model: "llama3.1",
+    requiresKey: false,
+  },
+  llamacpp: {
+    label: "llama.cpp server (local)",
+    adapter: "openai",
+    baseUrl: "http://localhost:8080/v1",
+    model: "local-model",
+    requiresKey: false,
+  },
+  lmstudio: {
+    label: "LM Studio (local)",
+    adapter: "openai",
+    baseUrl: "http://localhost:1234/v1",
+    model: "local-model",
+    requiresKey: false,
+  },
+  custom: {
+    label: "Custom OpenAI-compatible",
+    adapter: "openai",
+    baseUrl: "",
+    model: "",
+    requiresKey: false,
+  },
+};
+
+const DEFAULT_SETTINGS = {
+  provider: "huggingface",
+  baseUrl: LLM_PROVIDERS.huggingface.baseUrl,
+  model: LLM_PROVIDERS.huggingface.model,
+  apiKey: "",
+  temperature: 0,
+};
+
+const MAX_RETRIES = 3;
+
+// Saved settings, falling back to the Hugging Face router with VITE_HF_TOKEN
+export function getLLMSettings() {
+  const settings = { ...DEFAULT_SETTINGS, ...(getData("llmSettings") || {}) };
+  if (settings.provider === "huggingface" && !settings.apiKey) {
+    settings.apiKey = import.meta.env.VITE_HF_TOKEN || "";
+  }
+  return settings;
+}
+
+export function saveLLMSettings(settings) {
+  saveData("llmSettings", settings);
+}
+
+// True when the configured provider has everything it needs to make a request
+export function isLLMConfigured(settings = getLLMSettings()) {
+  const provider = LLM_PROVIDERS[settings.provider] || LLM_PROVIDERS.custom;
+  return Boolean(settings.baseUrl && settings.model && (!provider.requiresKey || settings.apiKey));
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const retryDelay = (response, attempt) => {
+  const retryAfter = Number(response.headers.get("retry-after"));
+  if (retryAfter > 0) return retryAfter * 1000;
+  return 1000 * 2 ** attempt + Math.random() * 250;
+};
+
+/**
+ * Send a chat request to the configured provider, retrying 429/5xx with exponential backoff
+ * @param {Object} options
+ * @param {Array} options.messages - [{ role: "system" | "user" | "assistant", content }]
+ * @param {number} [options.maxTokens=800]
+ * @param {Object} [options.settings] - Override the saved provider settings
+ * @returns {Promise<string>} The model's text response
+ */
+export async function chatCompletion({ messages, maxTokens = 800, settings = getLLMSettings() }) {
+  const provider = LLM_PROVIDERS[settings.provider] || LLM_PROVIDERS.custom;
+  if (!isLLMConfigured(settings)) {
+    throw new Error(
+      provider.requiresKey && !settings.apiKey
+        ? `An API key for ${provider.label} is missing. Add one in Settings.`
+        : "The AI provider is not fully configured. Check the endpoint and model in Settings."
+    );
+  }
+
+  const adapter = ADAPTERS[provider.adapter];
+  const request = {
+    method: "POST",
+    headers: adapter.headers(settings),
+    body: JSON.stringify(adapter.body(settings, { messages, maxTokens, temperature: Number(settings.temperature) || 0 })),
+  };
+
+  for (let attempt = 0; ; attempt++) {
+    const response = await fetch(adapter.url(settings), request);
+
+    if (response.ok) {
+      return adapter.parse(await response.json());
+    }
+
+    const retryable = response.status === 429 || response.status >= 500;
+    if (retryable && attempt < MAX_RETRIES) {
+      await sleep(retryDelay(response, attempt));
+      continue;
+    }
+
+    const errorData = await response.json().catch(() => ({}));
+    console.error(`${provider.label} Detailed Error:`, response.status, errorData);
+    throw new Error(errorData.error?.message || errorData.error || `Server Error ${response.status}`);
+  }
+}
@@ -0,0 +1,335 @@
+import { collections } from "./storage";
+import { getSkillRecords, toSkillRecord, LEARNED_LEVEL } from "./proficiency";
+import { track } from "./history";
+import { dayKey } from "./dates";
+
+export const PLATFORMS = ["LeetCode", "HackerRank", "Codeforces", "CodeChef", "GeeksforGeeks", "AtCoder", "Other"];
+export const DIFFICULTIES = ["Easy", "Medium", "Hard"];
+
+// Topic tags as platforms name them, mapped to the skill keys they build
+export const TOPIC_SKILLS = {
+  "Array": "Data Structures",
+  "String": "Data Structures",
+  "Hash Table": "Data Structures",
+  "Linked List": "Data Structures",
+  "Stack": "Data Structures",
+  "Queue": "Data Structures",
+  "Tree": "Data Structures",
+  "Binary Tree": "Data Structures",
+  "Binary Search Tree": "Data Structures",
+  "Heap": "Data Structures",
+  "Trie": "Data Structures",
+  "Graph": "Data Structures",
+  "Union Find": "Data Structures",
+  "Segment Tree": "Data Structures",
+  "Matrix": "Data Structures",
+  "Sorting": "Algorithms",
+  "Binary Search": "Algorithms",
+  "Two Pointers": "Algorithms",
+  "Sliding Window": "Algorithms",
+  "Recursion": "Algorithms",
+  "Backtracking": "Algorithms",
+  "Dynamic Programming": "Algorithms",
+  "Greedy": "Algorithms",
+  "Divide and Conquer": "Algorithms",
+  "Breadth-First Search": "Algorithms",
+  "Depth-First Search": "Algorithms",
+  "Shortest Path": "Algorithms",
+  "Topological Sort": "Algorithms",
+  "Bit Manipulation": "Algorithms",
+  "Math": "Problem Solving",
+  "Simulation": "Problem Solving",
+  "Design": "System Design",
+  "Database": "SQL",
+  "Shell": "Bash / Shell Scripting",
+  "Concurrency": "Operating Systems",
+};
+
+// Untagged or unknown topics still count as algorithm practice
+const DEFAULT_SKILL = "Algorithms";
+
+// Solved problems earn points by difficulty; enough points imply a proficiency level
+const DIFFICULTY_POINTS = { Easy: 1, Medium: 2, Hard: 3 };
+const LEVEL_THRESHOLDS = [
+  { level: 5, points: 250 },
+  { level: 4, points: 120 },
+  { level: LEARNED_LEVEL, points: 50 },
+  { level: 2, points: 15 },
+  { level: 1, points: 3 },
+];
+
+/**
+ * Read the practice log, newest first
+ * @returns {Array<{id: string, title: string, url: string, platform: string, difficulty: string, topics: string[], minutes: number, solved: boolean, revisit: boolean, date: string}>}
+ */
+export function getPracticeLog() {
+  return collections.practiceLog.get();
+}
+
+/**
+ * Save the practice log and raise skill levels the practice volume now supports
+ * @param {Array} log - Practice entries
+ * @returns {Array} The saved log, newest first
+ */
+export function savePracticeLog(log) {
+  const sorted = [...log].sort((a, b) => b.date.localeCompare(a.date));
+  collections.practiceLog.set(sorted);
+  track("Raised skill levels from the practice log", () => applyPracticeLevels(sorted), { type: "skill" });
+  return sorted;
+}
+
+/**
+ * Build a practice entry with defaults for anything not supplied
+ * @param {Object} fields - Partial entry
+ * @returns {Object} Practice entry
+ */
+export function createPracticeEntry(fields) {
+  return {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    title: "",
+    url: "",
+    platform: PLATFORMS[0],
+    difficulty: "Medium",
+    topics: [],
+    minutes: 0,
+    solved: true,
+    revisit: false,
+    date: new Date().toISOString(),
+    ...fields,
+  };
+}
+
+/**
+ * Skill key a topic tag counts towards
+ * @param {string} topic - Topic tag
+ * @returns {string}
+ */
+export function getTopicSkill(topic) {
+  const match = Object.keys(TOPIC_SKILLS).find(t => t.toLowerCase() === topic.trim().toLowerCase());
+  return match ? TOPIC_SKILLS[match] : DEFAULT_SKILL;
+}
+
+// An entry counts once per skill even when several of its tags map to the same one
+const getEntrySkills = (entry) => (
+  entry.topics.length > 0 ? [...new Set(entry.topics.map(getTopicSkill))] : [DEFAULT_SKILL]
+);
+
+/**
+ * Attempted, solved and time totals per topic tag
+ * @param {Array} log - Practice entries
+ * @returns {Array<{topic: string, skill: string, attempted: number, solved: number, byDifficulty: Object, avgMinutes: number}>} Most practiced first
+ */
+export function getTopicStats(log) {
+  const stats = {};
+  log.forEach(entry => {
+    (entry.topics.length > 0 ? entry.topics : ["Untagged"]).forEach(topic => {
+      const stat = stats[topic] || (stats[topic] = {
+        topic,
+        skill: getTopicSkill(topic),
+        attempted: 0,
+        solved: 0,
+        byDifficulty: { Easy: 0, Medium: 0, Hard: 0 },
+        totalMinutes: 0,
+      });
+      stat.attempted += 1;
+      stat.totalMinutes += entry.minutes || 0;
+      if (entry.solved) {
+        stat.solved += 1;
+        stat.byDifficulty[entry.difficulty] = (stat.byDifficulty[entry.difficulty] || 0) + 1;
+      }
+    });
+  });
+  return Object.values(stats)
+    .map(({ totalMinutes, ...stat }) => ({ ...stat, avgMinutes: Math.round(totalMinutes / stat.attempted) }))
+    .sort((a, b) => b.attempted - a.attempted);
+}
+
+/**
+ * Solved counts and points per skill key
+ * @param {Array} log - Practice entries
+ * @returns {Object<string, {solved: number, points: number, level: number, lastDate: string}>}
+ */
+export function getPracticeBySkill(log) {
+  const bySkill = {};
+  log.forEach(entry => {
+    getEntrySkills(entry).forEach(skill => {
+      const stat = bySkill[skill] || (bySkill[skill] = { solved: 0, points: 0, level: 0, lastDate: entry.date });
+      if (entry.date > stat.lastDate) stat.lastDate = entry.date;
+      if (!entry.solved) return;
+      stat.solved += 1;
+      stat.points += DIFFICULTY_POINTS[entry.difficulty] || 1;
+    });
+  });
+  Object.values(bySkill).forEach(stat => {
+    stat.level = LEVEL_THRESHOLDS.find(t => stat.points >= t.points)?.level || 0;
+  });
+  return bySkill;
+}
+
+/**
+ * Raise tracked skills to the level their practice volume implies, adding skills that are not tracked yet
+ * Levels are never lowered, so a self-assessed rating above the practice level is kept
+ * @param {Array} log - Practice entries
+ */
+export function applyPracticeLevels(log) {
+  const records = getSkillRecords();
+  let changed = false;
+  Object.entries(getPracticeBySkill(log)).forEach(([skill, stat]) => {
+    const index = records.findIndex(r => r.name.toLowerCase() === skill.toLowerCase());
+    if (index === -1) {
+      if (stat.level === 0) return;
+      records.push(toSkillRecord({ name: skill, level: stat.level, lastPracticed: stat.lastDate }));
+      changed = true;
+      return;
+    }
+    const record = records[index];
+    const level = Math.max(record.level, stat.level);
+    const lastPracticed = !record.lastPracticed || stat.lastDate > record.lastPracticed ? stat.lastDate : record.lastPracticed;
+    if (level !== record.level || lastPracticed !== record.lastPracticed) {
+      records[index] = { ...record, level, learned: level >= LEARNED_LEVEL, lastPracticed };
+      changed = true;
+    }
+  });
+  if (changed) collections.skills.set(records);
+}
+
+/**
+ * Current and longest run of consecutive days with at least one logged problem
+ * The current streak survives until the end of the day after the last practice
+ * @param {Array} log - Practice entries
+ * @returns {{current: number, longest: number, days: Object<string, number>}} days maps YYYY-MM-DD to problem count
+ */
+export function getPracticeStreak(log) {
+  const days = {};
+  log.forEach(entry => {
+    const key = dayKey(entry.date);
+    days[key] = (days[key] || 0) + 1;
+  });
+
+  const sorted = Object.keys(days).sort();
+  let longest = 0;
+  let run = 0;
+  sorted.forEach((key, i) => {
+    const previous = new Date(`${key}T00:00`);
+    previous.setDate(previous.getDate() - 1);
+    run = i > 0 && sorted[i - 1] === dayKey(previous) ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  });
+
+  let current = 0;
+  const cursor = new Date();
+  if (!days[dayKey(cursor)]) cursor.setDate(cursor.getDate() - 1);
+  while (days[dayKey(cursor)]) {
+    current += 1;
+    cursor.setDate(cursor.getDate() - 1);
+  }
+  return { current, longest, days };
+}
+
+// Split one CSV line, honouring quoted fields and doubled quotes
+const parseCSVLine = (line) => {
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      cells.push(cell.trim());
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+};
+
+// Header names seen in common tracking spreadsheets and platform exports
+const CSV_COLUMNS = {
+  title: ["title", "problem", "name", "question"],
+  url: ["url", "link", "problem link"],
+  platform: ["platform", "site", "source"],
+  difficulty: ["difficulty", "level"],
+  topics: ["topics", "tags", "topic", "topic tags"],
+  minutes: ["time", "minutes", "time taken", "time (min)", "duration"],
+  status: ["status", "solved", "result"],
+  revisit: ["revisit", "review", "flag"],
+  date: ["date", "solved date", "submitted", "timestamp"],
+};
+
+const matchOption = (options, value) => options.find(o => o.toLowerCase() === value.trim().toLowerCase());
+
+/**
+ * Parse a CSV export into practice entries
+ * Requires a header row with at least a title or URL column; other columns are optional
+ * @param {string} text - CSV file contents
+ * @returns {{entries: Array, skipped: number}} skipped counts rows without a title or URL
+ */
+export function parsePracticeCSV(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim());
+  if (lines.length < 2) throw new Error("The CSV needs a header row and at least one problem.");
+
+  const header = parseCSVLine(lines[0]).map(h => h.toLowerCase());
+  const columns = Object.fromEntries(
+    Object.entries(CSV_COLUMNS).map(([field, names]) => [field, header.findIndex(h => names.includes(h))])
+  );
+  if (columns.title === -1 && columns.url === -1) {
+    throw new Error("Couldn't find a title or URL column. Check the header row.");
+  }
+
+  let skipped = 0;
+  const entries = [];
+  lines.slice(1).forEach(line => {
+    const cells = parseCSVLine(line);
+    const cell = (field) => (columns[field] === -1 ? "" : cells[columns[field]] || "");
+    if (!cell("title") && !cell("url")) {
+      skipped++;
+      return;
+    }
+    const status = cell("status").toLowerCase();
+    // Date-only values are local days, not UTC midnight
+    const rawDate = /^\d{4}-\d{2}-\d{2}$/.test(cell("date")) ? `${cell("date")}T00:00` : cell("date");
+    const parsedDate = rawDate ? new Date(rawDate) : null;
+    entries.push(createPracticeEntry({
+      title: cell("title") || cell("url"),
+      url: cell("url"),
+      platform: matchOption(PLATFORMS, cell("platform")) || (cell("platform") ? "Other" : PLATFORMS[0]),
+      difficulty: matchOption(DIFFICULTIES, cell("difficulty")) || "Medium",
+      topics: cell("topics").split(/[;|,]/).map(t => t.trim()).filter(Boolean),
+      minutes: parseInt(cell("minutes"), 10) || 0,
+      solved: !status || ["solved", "accepted", "ac", "yes", "true", "done", "1"].includes(status),
+      revisit: ["yes", "true", "1", "y", "x"].includes(cell("revisit").toLowerCase()),
+      date: parsedDate && !isNaN(parsedDate) ? parsedDate.toISOString() : new Date().toISOString(),
+    }));
+  });
+  return { entries, skipped };
+}
+
+/**
+ * Merge imported entries into the log, skipping problems already logged on the same day
+ * @param {Array} log - Existing entries
+ * @param {Array} entries - Imported entries
+ * @returns {{log: Array, added: number, duplicates: number}}
+ */
+export function mergePracticeEntries(log, entries) {
+  const keyOf = (entry) => `${(entry.url || entry.title).toLowerCase()}|${dayKey(entry.date)}`;
+  const seen = new Set(log.map(keyOf));
+  const added = entries.filter(entry => {
+    const key = keyOf(entry);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+  return { log: [...log, ...added], added: added.length, duplicates: entries.length - added.length };
+}
@@ -0,0 +1,76 @@
+import { collections } from "./storage";
+import { LEARNED_LEVEL, toSkillRecord } from "./schema";
+
+export { LEARNED_LEVEL, toSkillRecord };
+
+// 0–5 proficiency scale; a skill counts as "learned" (mastered) from Intermediate up
+export const PROFICIENCY_LEVELS = [
+  { value: 0, label: "Unaware" },
+  { value: 1, label: "Aware" },
+  { value: 2, label: "Beginner" },
+  { value: 3, label: "Intermediate" },
+  { value: 4, label: "Advanced" },
+  { value: 5, label: "Expert" },
+];
+
+export const DEFAULT_REQUIRED_LEVEL = 3;
+
+export const EVIDENCE_TYPES = {
+  project: "Project",
+  certificate: "Certificate",
+  course: "Course Completed",
+};
+
+/**
+ * Read the skill tracker with every entry in the proficiency shape
+ * @returns {Array} Skill records
+ */
+export function getSkillRecords() {
+  return collections.skills.get();
+}
+
+/**
+ * Set a skill's proficiency level and stamp it as practiced today
+ * @param {Object} record - Skill record
+ * @param {number} level - New level from 0 to 5
+ * @returns {Object} Updated record
+ */
+export function withLevel(record, level) {
+  return { ...record, level, learned: level >= LEARNED_LEVEL, lastPracticed: new Date().toISOString() };
+}
+
+/**
+ * Raise the named skills to at least the learned level, adding any that are not tracked yet
+ * Used when skills are confirmed by an outside source such as an uploaded resume
+ * @param {string[]} names - Skill names
+ */
+export function markSkillsLearned(names) {
+  const records = getSkillRecords();
+  names.forEach(name => {
+    const index = records.findIndex(r => r.name.toLowerCase() === name.toLowerCase());
+    if (index === -1) records.push(toSkillRecord({ name, level: LEARNED_LEVEL }));
+    else if (records[index].level < LEARNED_LEVEL) records[index] = { ...records[index], level: LEARNED_LEVEL, learned: true };
+  });
+  collections.skills.set(records);
+}
+
+/**
+ * Label for a proficiency level
+ * @param {number} level - Level from 0 to 5
+ * @returns {string}
+ */
+export function getLevelLabel(level) {
+  return PROFICIENCY_LEVELS[level]?.label || PROFICIENCY_LEVELS[0].label;
+}
+
+/**
+ * Track the named skills at level 0, skipping any already tracked under any casing
+ * @param {string[]} names - Skill names
+ */
+export function addSkills(names) {
+  const records = getSkillRecords();
+  names.forEach(name => {
+    if (!records.some(r => r.name.toLowerCase() === name.toLowerCase())) records.push(toSkillRecord({ name, level: 0 }));
+  });
+  collections.skills.set(records);
+}
@@ -0,0 +1,189 @@
+import { normalizeSkill } from "./resources";
+
+export const QUESTION_TYPES = {
+  technical: "Technical",
+  behavioral: "Behavioral",
+  "system-design": "System Design",
+};
+
+// Interview questions keyed by the same skill names as skillResources
+export const questionBank = {
+  "JavaScript": [
+    { id: "js-1", type: "technical", question: "Explain closures and give a practical use case where you relied on one." },
+    { id: "js-2", type: "technical", question: "How does the event loop decide between microtasks and macrotasks? What does this log: setTimeout, Promise.resolve().then, console.log?" },
+    { id: "js-3", type: "technical", question: "What is the difference between == and ===, and when (if ever) would you use ==?" },
+    { id: "js-4", type: "technical", question: "Explain how `this` is bound in regular functions, arrow functions and class methods." },
+  ],
+  "TypeScript": [
+    { id: "ts-1", type: "technical", question: "When would you use `unknown` instead of `any`, and how do you narrow it?" },
+    { id: "ts-2", type: "technical", question: "Explain generics with constraints using a function that picks keys from an object." },
+    { id: "ts-3", type: "technical", question: "What are discriminated unions and how do they help with exhaustive checks?" },
+  ],
+  "React": [
+    { id: "react-1", type: "technical", question: "What triggers a re-render in React, and how would you prevent unnecessary ones?" },
+    { id: "react-2", type: "technical", question: "Explain the rules of hooks and why they exist." },
+    { id: "react-3", type: "technical", question: "When is useEffect the wrong tool? Give an example of state you should derive instead." },
+    { id: "react-4", type: "technical", question: "How do keys work in lists, and what goes wrong when you use the array index?" },
+  ],
+  "HTML": [
+    { id: "html-1", type: "technical", question: "Why does semantic HTML matter for accessibility and SEO? Give three examples." },
+    { id: "html-2", type: "technical", question: "What is the difference between async and defer on a script tag?" },
+  ],
+  "CSS": [
+    { id: "css-1", type: "technical", question: "Explain specificity and how you would debug a style that is not being applied." },
+    { id: "css-2", type: "technical", question: "When would you choose Grid over Flexbox? Sketch a layout that needs Grid." },
+    { id: "css-3", type: "technical", question: "What creates a new stacking context, and why does z-index sometimes appear to do nothing?" },
+  ],
+  "Node.js": [
+    { id: "node-1", type: "technical", question: "Why is Node.js single-threaded yet able to handle many concurrent connections?" },
+    { id: "node-2", type: "technical", question: "How would you handle a CPU-heavy task in a Node.js server without blocking requests?" },
+    { id: "node-3", type: "technical", question: "Explain streams and backpressure with an example of piping a large file." },
+  ],
+  "Python": [
+    { id: "py-1", type: "technical", question: "What is the difference between a list and a tuple, and when does it matter?" },
+    { id: "py-2", type: "technical", question: "Explain generators and when you would use one instead of returning a list." },
+    { id: "py-3", type: "technical", question: "How does the GIL affect multithreaded Python code, and what are the alternatives?" },
+  ],
+  "Java": [
+    { id: "java-1", type: "technical", question: "Explain the contract between equals() and hashCode() and what breaks if you violate it." },
+    { id: "java-2", type: "technical", question: "What is the difference between checked and unchecked exceptions?" },
+    { id: "java-3", type: "technical", question: "How does garbage collection work in the JVM at a high level?" },
+  ],
+  "C++": [
+    { id: "cpp-1", type: "technical", question: "Explain RAII and how smart pointers implement it." },
+    { id: "cpp-2", type: "technical", question: "What is the difference between a reference and a pointer?" },
+  ],
+  "SQL": [
+    { id: "sql-1", type: "technical", question: "Write a query to find the second highest salary per department." },
+    { id: "sql-2", type: "technical", question: "Explain the difference between INNER, LEFT and FULL OUTER joins with an example." },
+    { id: "sql-3", type: "technical", question: "How do indexes speed up reads, and what do they cost on writes?" },
+  ],
+  "MongoDB": [
+    { id: "mongo-1", type: "technical", question: "When would you embed documents versus reference them?" },
+    { id: "mongo-2", type: "technical", question: "How do you design indexes for a query that filters on one field and sorts on another?" },
+  ],
+  "REST APIs": [
+    { id: "rest-1", type: "technical", question: "Which HTTP methods are idempotent, and why does that matter for retries?" },
+    { id: "rest-2", type: "technical", question: "How would you version a public REST API?" },
+    { id: "rest-3", type: "technical", question: "Design the endpoints for a paginated list of orders with filters." },
+  ],
+  "Git": [
+    { id: "git-1", type: "technical", question: "Explain merge versus rebase, and when you would avoid rebasing." },
+    { id: "git-2", type: "technical", question: "You committed a secret to a pushed branch. What do you do?" },
+  ],
+  "Docker": [
+    { id: "docker-1", type: "technical", question: "What is the difference between an image and a container?" },
+    { id: "docker-2", type: "technical", question: "How do you keep image sizes small? Explain multi-stage builds." },
+  ],
+  "Kubernetes": [
+    { id: "k8s-1", type: "technical", question: "Explain Pods, Deployments and Services and how traffic reaches a container." },
+    { id: "k8s-2", type: "technical", question: "What are liveness and readiness probes, and what happens when each fails?" },
+  ],
+  "AWS": [
+    { id: "aws-1", type: "technical", question: "How would you host a static site with a CDN and HTTPS on AWS?" },
+    { id: "aws-2", type: "technical", question: "Explain IAM roles versus users and the principle of least privilege." },
+  ],
+  "Data Structures": [
+    { id: "ds-1", type: "technical", question: "How does a hash map handle collisions, and what is its worst-case lookup time?" },
+    { id: "ds-2", type: "technical", question: "When would you use a heap? Walk through finding the k largest elements in a stream." },
+    { id: "ds-3", type: "technical", question: "Implement an LRU cache. Which data structures do you combine and why?" },
+  ],
+  "Algorithms": [
+    { id: "algo-1", type: "technical", question: "Explain how you recognise a dynamic programming problem, using longest increasing subsequence." },
+    { id: "algo-2", type: "technical", question: "Compare BFS and DFS. When is BFS required for correctness?" },
+    { id: "algo-3", type: "technical", question: "How does binary search generalise to 'search on the answer' problems?" },
+  ],
+  "Operating Systems": [
+    { id: "os-1", type: "technical", question: "What is the difference between a process and a thread?" },
+    { id: "os-2", type: "technical", question: "Explain deadlock and the four conditions required for it." },
+  ],
+  "Computer Networks": [
+    { id: "net-1", type: "technical", question: "What happens when you type a URL into the browser and press enter?" },
+    { id: "net-2", type: "technical", question: "Compare TCP and UDP and name a use case for each." },
+  ],
+  "Database Management Systems": [
+    { id: "dbms-1", type: "technical", question: "Explain ACID properties and transaction isolation levels." },
+    { id: "dbms-2", type: "technical", question: "What is normalization, and when would you denormalize on purpose?" },
+  ],
+  "Machine Learning": [
+    { id: "ml-1", type: "technical", question: "Explain the bias-variance trade-off and how you detect overfitting." },
+    { id: "ml-2", type: "technical", question: "How would you handle a heavily imbalanced classification dataset?" },
+    { id: "ml-3", type: "technical", question: "Which metric would you pick for a fraud detection model, and why not accuracy?" },
+  ],
+  "Deep Learning": [
+    { id: "dl-1", type: "technical", question: "Why do we need non-linear activation functions?" },
+    { id: "dl-2", type: "technical", question: "Explain vanishing gradients and two techniques that mitigate them." },
+  ],
+  "Data Analysis": [
+    { id: "da-1", type: "technical", question: "How would you investigate a sudden 20% drop in daily active users?" },
+    { id: "da-2", type: "technical", question: "How do you deal with missing values and outliers before analysis?" },
+  ],
+  "System Design": [
+    { id: "sd-1", type: "system-design", question: "Design a URL shortener. Cover the API, storage, ID generation and scaling reads." },
+    { id: "sd-2", type: "system-design", question: "Design a rate limiter for a public API." },
+    { id: "sd-3", type: "system-design", question: "Design a news feed for a social network with millions of users." },
+  ],
+  "System Design Interviews": [
+    { id: "sdi-1", type: "system-design", question: "Design a chat application that supports one-to-one and group messages." },
+    { id: "sdi-2", type: "system-design", question: "Design a notification service that sends email, SMS and push notifications." },
+    { id: "sdi-3", type: "system-design", question: "Design a file storage service like Dropbox, including sync across devices." },
+  ],
+  "Caching Strategies": [
+    { id: "cache-1", type: "system-design", question: "Compare cache-aside, write-through and write-back. How do you handle invalidation?" },
+  ],
+  "Message Queues": [
+    { id: "mq-1", type: "system-design", question: "How do you guarantee a message is processed exactly once, or why is that hard?" },
+  ],
+  "Behavioral Interviews": [
+    { id: "beh-1", type: "behavioral", question: "Tell me about a time you disagreed with a teammate. How did you resolve it?" },
+    { id: "beh-2", type: "behavioral", question: "Describe a project that failed or missed its deadline. What did you learn?" },
+    { id: "beh-3", type: "behavioral", question: "Tell me about the most technically challenging problem you have solved." },
+    { id: "beh-4", type: "behavioral", question: "Describe a time you had to learn a new technology quickly." },
+    { id: "beh-5", type: "behavioral", question: "Tell me about a time you received critical feedback. What did you change?" },
+    { id: "beh-6", type: "behavioral", question: "Why do you want to work at this company, and why this role?" },
+  ],
+  "Communication": [
+    { id: "comm-1", type: "behavioral", question: "Explain a complex technical concept from your work to a non-technical stakeholder." },
+  ],
+  "Team Collaboration": [
+    { id: "team-1", type: "behavioral", question: "Describe a time you helped a teammate who was blocked." },
+  ],
+};
+
+const shuffle = (list) => {
+  const copy = [...list];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+};
+
+/**
+ * Draw a random interview set for a list of skills
+ * Questions are spread across skills first so one skill doesn't dominate the session
+ * @param {string[]} skills - Skill names, normalized to question bank keys
+ * @param {Object} options
+ * @param {number} options.count - Number of questions to draw
+ * @param {string[]} options.types - Keys of QUESTION_TYPES to include
+ * @returns {Array<{id: string, skill: string, type: string, question: string}>}
+ */
+export function drawQuestions(skills, { count = 5, types = Object.keys(QUESTION_TYPES) } = {}) {
+  const keys = [...new Set(skills.map(s => (questionBank[s] ? s : normalizeSkill(s))))].filter(key => questionBank[key]);
+  // Behavioral and system design rounds apply to every role, so include them when asked for
+  if (types.includes("behavioral")) keys.push("Behavioral Interviews");
+  if (types.includes("system-design")) keys.push("System Design Interviews");
+
+  const pools = [...new Set(keys)].map(key => shuffle(
+    questionBank[key].filter(q => types.includes(q.type)).map(q => ({ ...q, skill: key }))
+  )).filter(pool => pool.length > 0);
+
+  const drawn = [];
+  const order = shuffle(pools);
+  while (drawn.length < count && order.some(pool => pool.length > 0)) {
+    order.forEach(pool => {
+      if (drawn.length < count && pool.length > 0) drawn.push(pool.pop());
+    });
+  }
+  return drawn;
+}
@@ -0,0 +1,38 @@
+import { toSkillRecord, DEFAULT_REQUIRED_LEVEL } from "./proficiency";
+import { isOverdue, OVERDUE_FACTOR } from "./review";
+
+/**
+ * Weighted readiness of a company's mapped skills against the levels it requires
+ * Each skill contributes its level (capped at the requirement), weighted by how much the company needs it;
+ * skills overdue for spaced-repetition review only count partially
+ * @param {string[]} companySkills - Skill names mapped to the company
+ * @param {Array} skills - skillTracker records
+ * @param {Object} requiredLevels - { skillName: level } per-company requirements, defaults to Intermediate
+ * @returns {number} Readiness from 0 to 100
+ */
+export function calculateReadiness(companySkills, skills, requiredLevels = {}) {
+  if (!companySkills || companySkills.length === 0) return 0;
+  let earned = 0;
+  let required = 0;
+  companySkills.forEach(name => {
+    const target = requiredLevels[name] || DEFAULT_REQUIRED_LEVEL;
+    const s = skills.find(obj => obj.name === name);
+    if (s) {
+      const level = Math.min(toSkillRecord(s).level, target);
+      earned += isOverdue(s) ? level * OVERDUE_FACTOR : level;
+    }
+    required += target;
+  });
+  return Math.round((earned / required) * 100);
+}
+
+/**
+ * Status label and color for a readiness percentage
+ * @param {number} ready - Readiness from 0 to 100
+ * @returns {{label: string, color: string}}
+ */
+export function getStatusInfo(ready) {
+  if (ready >= 80) return { label: "Deployment Ready", color: "hsl(var(--success))" };
+  if (ready >= 50) return { label: "Developing", color: "hsl(var(--warning))" };
+  return { label: "High Gap", color: "hsl(var(--danger))" };
+}
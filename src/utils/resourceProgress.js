@@ -0,0 +1,87 @@
+import { collections } from "./storage";
+import { getResourcesForSkill } from "./resources";
+
+export const RESOURCE_STATUSES = {
+  "not-started": "Not Started",
+  "in-progress": "In Progress",
+  completed: "Completed",
+};
+
+const EMPTY_PROGRESS = { status: "not-started", rating: 0, notes: "", bookmarked: false };
+
+/**
+ * Per-resource progress keyed by resource URL, the only stable identifier resources have
+ * @returns {Object<string, {skill: string, status: string, rating: number, notes: string, bookmarked: boolean, updatedAt: string}>}
+ */
+export function getResourceProgress() {
+  return collections.resourceProgress.get();
+}
+
+/**
+ * Progress for one resource, with defaults when it hasn't been touched
+ * @param {Object} progress - Output of getResourceProgress
+ * @param {string} url - Resource URL
+ * @returns {Object}
+ */
+export function getProgressFor(progress, url) {
+  return { ...EMPTY_PROGRESS, ...progress[url] };
+}
+
+/**
+ * Update one resource's progress and persist the whole map
+ * @param {Object} progress - Current progress map
+ * @param {string} skill - Skill the resource was opened under
+ * @param {string} url - Resource URL
+ * @param {Object} changes - Fields to change
+ * @returns {Object} Updated progress map
+ */
+export function updateResourceProgress(progress, skill, url, changes) {
+  const updated = {
+    ...progress,
+    [url]: { ...getProgressFor(progress, url), ...changes, skill, updatedAt: new Date().toISOString() },
+  };
+  collections.resourceProgress.set(updated);
+  return updated;
+}
+
+/**
+ * Whether every curated resource for a skill is completed
+ * @param {Object} progress - Progress map
+ * @param {string} skill - Skill name
+ * @returns {boolean}
+ */
+export function isSkillCompleted(progress, skill) {
+  const resources = getResourcesForSkill(skill);
+  return resources.length > 0 && resources.every(res => progress[res.url]?.status === "completed");
+}
+
+// Resources whose progress entry matches, joined back to their curated entry, most recently updated first
+function collectResources(progress, predicate) {
+  return Object.entries(progress)
+    .filter(([, entry]) => predicate(entry))
+    .sort((a, b) => b[1].updatedAt.localeCompare(a[1].updatedAt))
+    .map(([url, entry]) => ({
+      skill: entry.skill,
+      resource: getResourcesForSkill(entry.skill).find(res => res.url === url),
+      progress: getProgressFor(progress, url),
+    }))
+    .filter(item => item.resource);
+}
+
+/**
+ * Resources in progress, most recently touched first
+ * @param {Object} progress - Progress map
+ * @returns {Array<{skill: string, resource: Object, progress: Object}>}
+ */
+export function getContinueLearning(progress) {
+  return collectResources(progress, entry => entry.status === "in-progress");
+}
+
+/**
+ * Bookmarked resources, most recently touched first
+ * @param {Object} progress - Progress map
+ * @returns {Array<{skill: string, resource: Object, progress: Object}>}
+ */
+export function getBookmarked(progress) {
+  return collectResources(progress, entry => entry.bookmarked);
+}
@@ -0,0 +1,119 @@
+import { extractSkillsOffline, tokenize, containsPhrase, resolveSkillAlias } from "./skillExtractor";
+
+// Read the pages of a PDF through pdf.js, loaded on demand to keep it out of the main bundle
+async function extractPdfText(file) {
+  const [pdfjs, { default: workerUrl }] = await Promise.all([
+    import("pdfjs-dist"),
+    import("pdfjs-dist/build/pdf.worker.min.mjs?url"),
+  ]);
+  pdfjs.GlobalWorkerOptions.workerSrc = workerUrl;
+
+  const pdf = await pdfjs.getDocument({ data: await file.arrayBuffer() }).promise;
+  const pages = [];
+  for (let i = 1; i <= pdf.numPages; i++) {
+    const page = await pdf.getPage(i);
+    const content = await page.getTextContent();
+    pages.push(content.items.map(item => item.str + (item.hasEOL ? "\n" : " ")).join(""));
+  }
+  return pages.join("\n");
+}
+
+// A .docx is a zip archive; find word/document.xml through the central directory and inflate it
+async function extractDocxText(file) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const view = new DataView(bytes.buffer);
+
+  let eocd = bytes.length - 22;
+  while (eocd >= 0 && view.getUint32(eocd, true) !== 0x06054b50) eocd--;
+  if (eocd < 0) throw new Error("This DOCX file appears to be damaged.");
+
+  const entryCount = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  const decoder = new TextDecoder();
+
+  for (let i = 0; i < entryCount; i++) {
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+    if (name === "word/document.xml") {
+      const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+      const data = bytes.subarray(dataStart, dataStart + compressedSize);
+      const xml = method === 0
+        ? decoder.decode(data)
+        : await new Response(new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate-raw"))).text();
+
+      const doc = new DOMParser().parseFromString(xml, "application/xml");
+      return [...doc.getElementsByTagName("w:p")]
+        .map(p => [...p.getElementsByTagName("w:t")].map(t => t.textContent).join(""))
+        .join("\n");
+    }
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  throw new Error("No document text found in this DOCX file.");
+}
+
+/**
+ * Extract plain text from an uploaded resume, entirely in the browser
+ * @param {File} file - PDF, DOCX or plain text file
+ * @returns {Promise<string>} The resume text
+ */
+export async function extractResumeText(file) {
+  const name = file.name.toLowerCase();
+  if (file.type === "application/pdf" || name.endsWith(".pdf")) return extractPdfText(file);
+  if (name.endsWith(".docx")) return extractDocxText(file);
+  if (file.type.startsWith("text/") || name.endsWith(".txt") || name.endsWith(".md")) return file.text();
+  throw new Error("Unsupported file type. Upload a PDF, DOCX or plain text resume.");
+}
+
+/**
+ * Detect skills in resume text via the alias dictionary
+ * @param {string} text - Resume text
+ * @returns {Object} { category: [skills] }
+ */
+export function detectResumeSkills(text) {
+  return extractSkillsOffline(text);
+}
+
+/**
+ * Compare JD skills against resume skills
+ * Exact or alias-equivalent skills count as matched; a related skill on the resume that shares whole words
+ * (e.g. "AWS Lambda" for "AWS") or a passing mention in the text counts as partial
+ * @param {string[]} jdSkills - Skill names extracted from the JD
+ * @param {string[]} resumeSkills - Skill names detected on the resume
+ * @param {string} resumeText - Raw resume text for mention checks
+ * @returns {{matched: string[], partial: Array<{skill: string, via: string}>, missing: string[], percentage: number}}
+ */
+export function compareSkills(jdSkills, resumeSkills, resumeText = "") {
+  const canonical = (name) => resolveSkillAlias(name).toLowerCase();
+  const resumeCanonical = new Set(resumeSkills.map(canonical));
+  const textTokens = tokenize(resumeText.toLowerCase());
+
+  const matched = [];
+  const partial = [];
+  const missing = [];
+
+  [...new Set(jdSkills)].forEach(skill => {
+    const lowerSkill = skill.toLowerCase();
+    if (resumeCanonical.has(canonical(skill))) {
+      matched.push(skill);
+      return;
+    }
+
+    const related = resumeSkills.find(r => {
+      const lowerResume = r.toLowerCase();
+      return containsPhrase(tokenize(lowerResume), lowerSkill) || containsPhrase(tokenize(lowerSkill), lowerResume);
+    });
+    if (related) partial.push({ skill, via: related });
+    else if (lowerSkill.length > 2 && containsPhrase(textTokens, lowerSkill)) partial.push({ skill, via: "mentioned in text" });
+    else missing.push(skill);
+  });
+
+  const total = matched.length + partial.length + missing.length;
+  const percentage = total > 0 ? Math.round(((matched.length + partial.length * 0.5) / total) * 100) : 0;
+  return { matched, partial, missing, percentage };
+}
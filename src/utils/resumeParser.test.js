@@ -0,0 +1,28 @@
+import { describe, it, expect } from "vitest";
+import { compareSkills } from "./resumeParser";
+
+describe("compareSkills", () => {
+  it("doesn't match skills that only appear inside other skill names or words", () => {
+    expect(compareSkills(["Go", "Java", "C", "R"], ["MongoDB", "JavaScript", "CSS", "React"], "Built Google-scale JavaScript apps")).toEqual({
+      matched: [],
+      partial: [],
+      missing: ["Go", "Java", "C", "R"],
+      percentage: 0,
+    });
+  });
+
+  it("matches aliases exactly and related skills or mentions by whole words", () => {
+    const result = compareSkills(
+      ["React", "AWS", "Kubernetes", "Terraform"],
+      ["ReactJS", "AWS Lambda"],
+      "Deployed services to Kubernetes clusters."
+    );
+    expect(result.matched).toEqual(["React"]);
+    expect(result.partial).toEqual([
+      { skill: "AWS", via: "AWS Lambda" },
+      { skill: "Kubernetes", via: "mentioned in text" },
+    ]);
+    expect(result.missing).toEqual(["Terraform"]);
+    expect(result.percentage).toBe(50);
+  });
+});
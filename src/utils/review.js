@@ -0,0 +1,89 @@
+import { LEARNED_LEVEL } from "./schema";
+import { dayKey } from "./dates";
+
+// Button ratings mapped to SM-2 response quality (0–5); anything below 3 restarts the schedule
+export const REVIEW_RATINGS = {
+  again: { label: "Again", quality: 1 },
+  hard: { label: "Hard", quality: 3 },
+  good: { label: "Good", quality: 4 },
+  easy: { label: "Easy", quality: 5 },
+};
+
+export const INITIAL_EASE = 2.5;
+const MIN_EASE = 1.3;
+
+// Overdue skills count at this fraction of their level in readiness
+export const OVERDUE_FACTOR = 0.5;
+
+const addDays = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  return dayKey(date);
+};
+
+/**
+ * Next review state after rating a skill, following the SM-2 algorithm
+ * @param {Object|undefined} review - Current { ease, interval, repetitions, due }, absent for a first review
+ * @param {string} rating - Key of REVIEW_RATINGS
+ * @returns {{ease: number, interval: number, repetitions: number, due: string, lastReviewed: string}}
+ */
+export function scheduleReview(review, rating) {
+  const { quality } = REVIEW_RATINGS[rating];
+  const ease = review?.ease || INITIAL_EASE;
+  let repetitions = review?.repetitions || 0;
+  let interval;
+
+  if (quality < 3) {
+    repetitions = 0;
+    interval = 1;
+  } else {
+    repetitions += 1;
+    if (repetitions === 1) interval = 1;
+    else if (repetitions === 2) interval = 6;
+    else interval = Math.round((review?.interval || 1) * ease);
+  }
+
+  const nextEase = Math.max(MIN_EASE, ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+  return {
+    ease: Math.round(nextEase * 100) / 100,
+    interval,
+    repetitions,
+    due: addDays(interval),
+    lastReviewed: new Date().toISOString(),
+  };
+}
+
+/**
+ * Due date of a skill's next review; mastered skills that were never reviewed are due today
+ * @param {Object} skill - Skill record
+ * @returns {string|null} YYYY-MM-DD, or null if the skill is not mastered
+ */
+export function getDueDate(skill) {
+  if ((skill.level ?? (skill.learned ? LEARNED_LEVEL : 0)) < LEARNED_LEVEL) return null;
+  return skill.review?.due || dayKey(new Date());
+}
+
+/**
+ * Whether a mastered skill has passed its review date without being reviewed
+ * @param {Object} skill - Skill record
+ * @returns {boolean}
+ */
+export function isOverdue(skill) {
+  const due = getDueDate(skill);
+  return Boolean(due && skill.review && due < dayKey(new Date()));
+}
+
+/**
+ * Mastered skills due for review today or earlier, most overdue first
+ * @param {Array} skills - Skill records
+ * @returns {Array} Skills in review order
+ */
+export function getReviewQueue(skills) {
+  const today = dayKey(new Date());
+  return skills
+    .filter(skill => {
+      const due = getDueDate(skill);
+      return due && due <= today;
+    })
+    .sort((a, b) => getDueDate(a).localeCompare(getDueDate(b)));
+}
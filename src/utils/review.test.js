@@ -0,0 +1,27 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { scheduleReview, getDueDate, getReviewQueue } from "./review";
+
+describe("review scheduling", () => {
+  // Late in the evening local time, when a UTC date would already be tomorrow east of Greenwich
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date(2024, 2, 10, 23, 30));
+  });
+  afterEach(() => vi.useRealTimers());
+
+  it("dates reviews by the local calendar day", () => {
+    expect(scheduleReview(undefined, "good").due).toBe("2024-03-11");
+    expect(scheduleReview({ ease: 2.5, interval: 1, repetitions: 1 }, "good").due).toBe("2024-03-16");
+    expect(getDueDate({ name: "Go", level: 3 })).toBe("2024-03-10");
+  });
+
+  it("queues mastered skills due today or earlier, most overdue first", () => {
+    const skills = [
+      { name: "Go", level: 4, review: { due: "2024-03-10" } },
+      { name: "SQL", level: 3, review: { due: "2024-03-11" } },
+      { name: "Rust", level: 1 },
+      { name: "Java", level: 5, review: { due: "2024-03-02" } },
+    ];
+    expect(getReviewQueue(skills).map(s => s.name)).toEqual(["Java", "Go"]);
+  });
+});
@@ -0,0 +1,118 @@
+import { collections } from "./storage";
+
+// Built-in role templates; every skill is a skillResources key so resources and the prerequisite graph apply
+export const ROLE_TEMPLATES = [
+  {
+    id: "frontend-intern",
+    name: "Frontend Intern",
+    skills: ["HTML", "CSS", "JavaScript", "React", "Git", "REST APIs", "Web Accessibility", "Data Structures"],
+  },
+  {
+    id: "frontend-engineer",
+    name: "Frontend Engineer",
+    skills: ["TypeScript", "React", "Next.js", "State Management", "Web Performance Optimization", "Testing Frameworks", "Build Tools", "Web Accessibility"],
+  },
+  {
+    id: "backend-sde",
+    name: "Backend SDE",
+    skills: ["Java", "Node.js", "SQL", "PostgreSQL", "REST APIs", "API Design", "Redis", "Docker", "System Design", "Data Structures", "Algorithms"],
+  },
+  {
+    id: "full-stack",
+    name: "Full Stack Developer",
+    skills: ["JavaScript", "TypeScript", "React", "Node.js", "Express.js", "MongoDB", "SQL", "REST APIs", "Git", "Docker"],
+  },
+  {
+    id: "data-analyst",
+    name: "Data Analyst",
+    skills: ["SQL", "Excel", "Python", "Pandas", "Data Analysis", "Data Visualization", "Business Analytics", "A/B Testing", "Communication"],
+  },
+  {
+    id: "ml-engineer",
+    name: "ML Engineer",
+    skills: ["Python", "NumPy", "Pandas", "Machine Learning", "Scikit-learn", "Deep Learning", "TensorFlow", "Model Evaluation", "MLOps", "SQL"],
+  },
+  {
+    id: "genai-engineer",
+    name: "GenAI Engineer",
+    skills: ["Python", "Generative AI", "Prompt Engineering", "Embeddings", "Vector Databases", "RAG", "LangChain", "AI Agents", "Model Evaluation"],
+  },
+  {
+    id: "devops",
+    name: "DevOps Engineer",
+    skills: ["Linux", "Bash / Shell Scripting", "Git", "Docker", "Kubernetes", "CI/CD", "AWS", "Infrastructure as Code", "Observability", "Secrets Management"],
+  },
+  {
+    id: "android",
+    name: "Android Developer",
+    skills: ["Java", "Android Development", "REST APIs", "Firebase", "Git", "Unit Testing", "Data Structures"],
+  },
+  {
+    id: "data-engineer",
+    name: "Data Engineer",
+    skills: ["Python", "SQL", "Data Modeling", "Data Engineering", "ETL Pipelines", "Data Warehousing", "Streaming Systems", "Google Cloud Platform"],
+  },
+];
+
+/**
+ * Custom templates the user created or imported
+ * @returns {Array<{id: string, name: string, skills: string[], custom: true}>}
+ */
+export function getCustomTemplates() {
+  return collections.roleTemplates.get();
+}
+
+/**
+ * Persist the user's custom templates
+ * @param {Array} templates - Custom templates
+ */
+export function saveCustomTemplates(templates) {
+  collections.roleTemplates.set(templates);
+}
+
+/**
+ * Built-in templates followed by the user's own
+ * @returns {Array}
+ */
+export function getAllTemplates() {
+  return [...ROLE_TEMPLATES, ...getCustomTemplates()];
+}
+
+/**
+ * Build a new custom template with a unique id
+ * @param {string} name - Template name
+ * @param {string[]} skills - Skill names, deduplicated
+ * @returns {{id: string, name: string, skills: string[], custom: true}}
+ */
+export function createTemplate(name, skills) {
+  return { id: `custom-${Date.now()}`, name, skills: [...new Set(skills)], custom: true };
+}
+
+/**
+ * Encode a template as a URL-safe share code
+ * @param {{name: string, skills: string[]}} template
+ * @returns {string}
+ */
+export function encodeTemplate({ name, skills }) {
+  const bytes = new TextEncoder().encode(JSON.stringify({ name, skills }));
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+/**
+ * Decode a share code back into a custom template
+ * @param {string} code - Output of encodeTemplate
+ * @returns {{id: string, name: string, skills: string[], custom: true}}
+ */
+export function decodeTemplate(code) {
+  try {
+    const binary = atob(code.trim().replace(/-/g, "+").replace(/_/g, "/"));
+    const parsed = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0))));
+    if (typeof parsed.name !== "string" || !Array.isArray(parsed.skills)) throw new Error();
+    return createTemplate(
+      parsed.name.trim() || "Imported Template",
+      parsed.skills.filter(s => typeof s === "string" && s.trim()).map(s => s.trim())
+    );
+  } catch {
+    throw new Error("This template code is not valid.");
+  }
+}
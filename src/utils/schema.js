@@ -0,0 +1,247 @@
+// Record shapes and migrations for the stored collections.
+// Everything here is pure so migrations can run on any snapshot: localStorage on startup or an imported backup.
+
+/**
+ * @typedef {Object} SkillRecord
+ * @property {string} name
+ * @property {number} level - Proficiency from 0 (Unaware) to 5 (Expert)
+ * @property {boolean} learned - level >= LEARNED_LEVEL
+ * @property {Array<{id: string, type: string, title: string, url: string, addedDate: string}>} evidence
+ * @property {string|null} lastPracticed
+ * @property {Object} [review] - Spaced repetition state, see review.js
+ */
+
+/**
+ * @typedef {Object} CompanyRecord
+ * @property {string} name
+ * @property {string} role
+ * @property {string[]} skills
+ * @property {string} [jd]
+ * @property {string|null} addedDate
+ * @property {Object<string, number>} [requiredLevels]
+ * @property {string} [deadline]
+ * @property {string} [oaDate]
+ * @property {Array} [rounds]
+ */
+
+/**
+ * @typedef {Object} JobRecord
+ * @property {string} id
+ * @property {string} title
+ * @property {string} company
+ * @property {string} stage - Pipeline stage, "Saved" by default
+ * @property {string} notes
+ * @property {Array<{stage: string, date: string|null}>} history
+ */
+
+/**
+ * @typedef {Object} AnalysisRecord
+ * @property {string} id
+ * @property {string} jdText
+ * @property {string} sourceUrl - Where the JD was posted, may be empty
+ * @property {string} company
+ * @property {string} role
+ * @property {Object<string, string[]>} skills - Extracted skills by category
+ * @property {string[]} unsupported - AI-extracted skills with no support in the JD text
+ * @property {"llm"|"offline"|null} source - Extractor that produced the skills, null when unknown
+ * @property {string} model - Model name, "offline" for the built-in dictionary, empty when unknown
+ * @property {string|null} rerunOf - Id of the analysis this one re-ran
+ * @property {string|null} createdAt
+ */
+
+export const LEARNED_LEVEL = 3;
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Bring a skillTracker entry up to the proficiency shape
+ * Legacy strings and { name, learned } records map learned to Intermediate and everything else to Unaware
+ * @param {string|Object} skill - Stored skill entry
+ * @returns {SkillRecord}
+ */
+export function toSkillRecord(skill) {
+  const record = typeof skill === "string" ? { name: skill } : skill;
+  const level = Number.isInteger(record.level) ? record.level : record.learned ? LEARNED_LEVEL : 0;
+  return {
+    ...record,
+    level,
+    learned: level >= LEARNED_LEVEL,
+    evidence: record.evidence || [],
+    lastPracticed: record.lastPracticed || null,
+  };
+}
+
+/**
+ * Fill in defaults for a company tracker and clean up its skill list
+ * @param {Object} company - Stored tracker
+ * @param {string} key - Its key in companyTrackers, used as the name of last resort
+ * @returns {CompanyRecord}
+ */
+export function toCompanyRecord(company, key) {
+  const skills = (company.skills || []).map(s => (typeof s === "string" ? s : s?.name)).filter(Boolean);
+  return {
+    ...company,
+    name: company.name || key,
+    role: company.role || "",
+    skills: [...new Set(skills)],
+    addedDate: company.addedDate || null,
+  };
+}
+
+/**
+ * Default the pipeline fields older saved jobs don't have
+ * @param {Object} job - Stored job
+ * @returns {JobRecord}
+ */
+export function toJobRecord(job) {
+  return {
+    ...job,
+    stage: job.stage || "Saved",
+    notes: job.notes || "",
+    history: job.history || [{ stage: "Saved", date: job.savedDate || null }],
+  };
+}
+
+/**
+ * Key for a new company tracker; trackers for the same company and different roles get distinct keys
+ * @param {string} name - Company name
+ * @param {number} [timestamp] - Creation time in ms
+ * @returns {string}
+ */
+export function createCompanyKey(name, timestamp = Date.now()) {
+  return `${name.trim()}-${timestamp}`;
+}
+
+/**
+ * Key of the earliest tracker for a company and role, matching both case-insensitively
+ * @param {Object} companies - companyTrackers map
+ * @param {string} name - Company name
+ * @param {string} role - Role the tracker is for
+ * @returns {string|null}
+ */
+export function findCompanyKey(companies, name, role) {
+  const same = (a, b) => (a || "").trim().toLowerCase() === (b || "").trim().toLowerCase();
+  const matches = Object.entries(companies)
+    .filter(([, c]) => same(c.name, name) && same(c.role, role))
+    .sort((a, b) => (a[1].addedDate || "").localeCompare(b[1].addedDate || ""));
+  return matches[0]?.[0] || null;
+}
+
+// Skills become proficiency records, and case-insensitive duplicates collapse into the highest level.
+// The merged record keeps the first-seen spelling, since company trackers refer to skills by exact name.
+const migrateSkills = (data) => {
+  if (!Array.isArray(data.skillTracker)) return data;
+  const byName = new Map();
+  data.skillTracker.filter(s => typeof s === "string" || typeof s?.name === "string").forEach(skill => {
+    const record = toSkillRecord(skill);
+    const key = record.name.trim().toLowerCase();
+    const existing = byName.get(key);
+    if (!existing) {
+      byName.set(key, record);
+    } else if (record.level > existing.level) {
+      byName.set(key, { ...record, name: existing.name, evidence: [...existing.evidence, ...record.evidence] });
+    } else {
+      byName.set(key, { ...existing, evidence: [...existing.evidence, ...record.evidence] });
+    }
+  });
+  return { ...data, skillTracker: [...byName.values()] };
+};
+
+// The JD Analyzer used to key trackers by the raw company name while the Company Tracker used
+// name-timestamp keys, so one company and role could have two trackers. Name-keyed trackers are folded
+// into an existing tracker for the same company and role, or re-keyed when there isn't one, and every
+// reference to the old key follows.
+const migrateCompanyKeys = (data) => {
+  if (!isPlainObject(data.companyTrackers)) return data;
+
+  const entries = Object.entries(data.companyTrackers)
+    .filter(([, c]) => isPlainObject(c))
+    .map(([key, c]) => [key, toCompanyRecord(c, key)]);
+  const isLegacy = ([key, c]) => key === c.name;
+  const companies = Object.fromEntries(entries.filter(e => !isLegacy(e)));
+  const renamed = {};
+
+  entries.filter(isLegacy).forEach(([key, company]) => {
+    const target = findCompanyKey(companies, company.name, company.role);
+    if (target) {
+      const existing = companies[target];
+      companies[target] = {
+        ...company,
+        ...existing,
+        skills: [...new Set([...existing.skills, ...company.skills])],
+        requiredLevels: { ...company.requiredLevels, ...existing.requiredLevels },
+        jd: existing.jd || company.jd || "",
+        rounds: [...(existing.rounds || []), ...(company.rounds || [])],
+      };
+      renamed[key] = target;
+    } else {
+      let newKey = createCompanyKey(company.name, Date.parse(company.addedDate) || 0);
+      while (companies[newKey]) newKey += "0";
+      companies[newKey] = company;
+      renamed[key] = newKey;
+    }
+  });
+
+  const result = { ...data, companyTrackers: companies };
+  if (Object.keys(renamed).length === 0) return result;
+
+  if (isPlainObject(data.tailoredVersions)) {
+    const versions = {};
+    Object.entries(data.tailoredVersions).forEach(([key, list]) => {
+      const newKey = renamed[key] || key;
+      versions[newKey] = [...(versions[newKey] || []), ...list];
+    });
+    result.tailoredVersions = versions;
+  }
+  if (isPlainObject(data.roadmapPlan) && data.roadmapPlan.targetType === "company" && renamed[data.roadmapPlan.targetId]) {
+    result.roadmapPlan = { ...data.roadmapPlan, targetId: renamed[data.roadmapPlan.targetId] };
+  }
+  if (Array.isArray(data.mockSessions)) {
+    result.mockSessions = data.mockSessions.map(s => (renamed[s.companyKey] ? { ...s, companyKey: renamed[s.companyKey] } : s));
+  }
+  return result;
+};
+
+const migrateJobs = (data) => (
+  Array.isArray(data.savedJobs) ? { ...data, savedJobs: data.savedJobs.filter(isPlainObject).map(toJobRecord) } : data
+);
+
+// Before the analysis history the JD Analyzer only kept the latest JD and its skills; they become the first record
+const seedAnalysisHistory = (data) => {
+  if (Array.isArray(data.jdAnalyses) || typeof data.lastJD !== "string" || !data.lastJD.trim()) return data;
+  if (!isPlainObject(data.extractedSkills) || Object.keys(data.extractedSkills).length === 0) return data;
+  return {
+    ...data,
+    jdAnalyses: [{
+      id: "analysis-legacy",
+      jdText: data.lastJD,
+      sourceUrl: "",
+      company: "",
+      role: "",
+      skills: data.extractedSkills,
+      unsupported: [],
+      source: null,
+      model: "",
+      rerunOf: null,
+      createdAt: null,
+    }],
+  };
+};
+
+// Ordered migrations over a { key: value } snapshot; each must leave already-migrated data unchanged
+export const MIGRATIONS = [
+  { version: 1, description: "Skill tracker entries become proficiency records, one per skill", up: migrateSkills },
+  { version: 2, description: "One tracker per company under name-timestamp keys", up: migrateCompanyKeys },
+  { version: 3, description: "Saved jobs carry pipeline stage, notes and history", up: migrateJobs },
+  { version: 4, description: "The last JD analysis becomes the first analysis history record", up: seedAnalysisHistory },
+];
+
+/**
+ * Apply every migration newer than a snapshot's version
+ * @param {Object} data - { key: value } snapshot, values null when a key isn't stored
+ * @param {number} fromVersion - Version the snapshot was written at
+ * @returns {Object} Migrated snapshot
+ */
+export function migrateData(data, fromVersion) {
+  return MIGRATIONS.filter(m => m.version > fromVersion).reduce((snapshot, m) => m.up(snapshot), data);
+}
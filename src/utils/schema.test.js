@@ -0,0 +1,148 @@
+import { describe, it, expect } from "vitest";
+import { MIGRATIONS, migrateData } from "./schema";
+
+const migration = (version) => MIGRATIONS.find(m => m.version === version).up;
+
+// Every migration has to be safe to run again on data it already migrated
+const expectIdempotent = (up, input) => {
+  const once = up(input);
+  expect(up(once)).toEqual(once);
+};
+
+describe("migrateSkills (v1)", () => {
+  const up = migration(1);
+  const legacy = {
+    skillTracker: [
+      "React",
+      { name: "react", learned: true },
+      { name: "SQL", level: 4, evidence: [{ id: "e1", type: "project", title: "Reports", url: "", addedDate: "2024-01-01" }] },
+      { name: "Docker", learned: false },
+      42,
+    ],
+  };
+
+  it("turns legacy entries into proficiency records and merges case-insensitive duplicates", () => {
+    expect(up(legacy).skillTracker).toEqual([
+      { name: "React", learned: true, level: 3, evidence: [], lastPracticed: null },
+      {
+        name: "SQL",
+        level: 4,
+        learned: true,
+        evidence: [{ id: "e1", type: "project", title: "Reports", url: "", addedDate: "2024-01-01" }],
+        lastPracticed: null,
+      },
+      { name: "Docker", learned: false, level: 0, evidence: [], lastPracticed: null },
+    ]);
+  });
+
+  it("leaves data without a skill tracker alone", () => {
+    expect(up({ lastJD: "x" })).toEqual({ lastJD: "x" });
+  });
+
+  it("is idempotent", () => expectIdempotent(up, legacy));
+});
+
+describe("migrateCompanyKeys (v2)", () => {
+  const up = migration(2);
+  const legacy = {
+    companyTrackers: {
+      "Google-100": { name: "Google", role: "SWE", skills: ["React"], addedDate: "2023-01-01T00:00:00.000Z" },
+      Google: { name: "Google", role: "swe", skills: ["Go", { name: "React" }], jd: "Build things", addedDate: "2024-01-01T00:00:00.000Z" },
+      Meta: { name: "Meta", role: "AI Analyzed Position", skills: ["PHP"], addedDate: "2024-02-01T00:00:00.000Z" },
+      "Meta-200": { name: "Meta", role: "Intern", skills: [], addedDate: "2023-06-01T00:00:00.000Z" },
+    },
+    tailoredVersions: { Google: [{ id: "t1" }], "Google-100": [{ id: "t0" }], Meta: [{ id: "t2" }] },
+    roadmapPlan: { targetType: "company", targetId: "Meta" },
+    mockSessions: [{ id: "m1", companyKey: "Google" }, { id: "m2", companyKey: null }],
+  };
+
+  it("folds name-keyed trackers into the tracker for the same company and role, and re-keys the rest", () => {
+    const result = up(legacy);
+    const metaKey = `Meta-${Date.parse("2024-02-01T00:00:00.000Z")}`;
+
+    expect(result.companyTrackers).toEqual({
+      "Google-100": {
+        name: "Google",
+        role: "SWE",
+        skills: ["React", "Go"],
+        addedDate: "2023-01-01T00:00:00.000Z",
+        jd: "Build things",
+        requiredLevels: {},
+        rounds: [],
+      },
+      "Meta-200": { name: "Meta", role: "Intern", skills: [], addedDate: "2023-06-01T00:00:00.000Z" },
+      [metaKey]: { name: "Meta", role: "AI Analyzed Position", skills: ["PHP"], addedDate: "2024-02-01T00:00:00.000Z" },
+    });
+    expect(result.tailoredVersions).toEqual({ "Google-100": [{ id: "t1" }, { id: "t0" }], [metaKey]: [{ id: "t2" }] });
+    expect(result.roadmapPlan).toEqual({ targetType: "company", targetId: metaKey });
+    expect(result.mockSessions).toEqual([{ id: "m1", companyKey: "Google-100" }, { id: "m2", companyKey: null }]);
+  });
+
+  it("is idempotent", () => expectIdempotent(up, legacy));
+});
+
+describe("migrateJobs (v3)", () => {
+  const up = migration(3);
+  const legacy = {
+    savedJobs: [
+      { id: 1, title: "Frontend Engineer", company: "Acme", savedDate: "2024-03-01T00:00:00.000Z" },
+      { id: 2, title: "Backend Engineer", stage: "Interview", notes: "Call Tuesday", history: [{ stage: "Saved", date: null }] },
+      null,
+    ],
+  };
+
+  it("adds pipeline stage, notes and history to saved jobs", () => {
+    expect(up(legacy).savedJobs).toEqual([
+      {
+        id: 1,
+        title: "Frontend Engineer",
+        company: "Acme",
+        savedDate: "2024-03-01T00:00:00.000Z",
+        stage: "Saved",
+        notes: "",
+        history: [{ stage: "Saved", date: "2024-03-01T00:00:00.000Z" }],
+      },
+      { id: 2, title: "Backend Engineer", stage: "Interview", notes: "Call Tuesday", history: [{ stage: "Saved", date: null }] },
+    ]);
+  });
+
+  it("is idempotent", () => expectIdempotent(up, legacy));
+});
+
+describe("seedAnalysisHistory (v4)", () => {
+  const up = migration(4);
+  const legacy = { lastJD: "Senior Go engineer", extractedSkills: { Backend: ["Go", "SQL"] }, jdAnalyses: null };
+
+  it("turns the last analysis into the first history record", () => {
+    expect(up(legacy).jdAnalyses).toEqual([{
+      id: "analysis-legacy",
+      jdText: "Senior Go engineer",
+      sourceUrl: "",
+      company: "",
+      role: "",
+      skills: { Backend: ["Go", "SQL"] },
+      unsupported: [],
+      source: null,
+      model: "",
+      rerunOf: null,
+      createdAt: null,
+    }]);
+  });
+
+  it("does nothing without a previous analysis or when a history already exists", () => {
+    expect(up({ lastJD: "", extractedSkills: {} })).toEqual({ lastJD: "", extractedSkills: {} });
+    const existing = { ...legacy, jdAnalyses: [] };
+    expect(up(existing)).toBe(existing);
+  });
+
+  it("is idempotent", () => expectIdempotent(up, legacy));
+});
+
+describe("migrateData", () => {
+  it("only applies migrations newer than the snapshot's version", () => {
+    const data = { skillTracker: ["React"], savedJobs: [{ id: 1 }] };
+    const result = migrateData(data, 2);
+    expect(result.skillTracker).toEqual(["React"]);
+    expect(result.savedJobs[0].stage).toBe("Saved");
+  });
+});
@@ -0,0 +1,213 @@
+import { skillAliases, normalizeSkill } from "./resources";
+
+// Categories mirror the ones the LLM prompt asks for, so both extractors return comparable groups
+export const skillCategories = {
+  "Languages": ["JavaScript", "Python", "Java", "C++", "C", "TypeScript", "Go", "Rust", "SQL", "Bash / Shell Scripting"],
+  "Web": [
+    "React", "HTML", "CSS", "Angular", "Vue.js", "Next.js", "Progressive Web Apps", "Web Performance Optimization",
+    "Web Accessibility", "State Management", "SSR / SSG", "Web Animations", "Browser Internals", "SEO Fundamentals", "Build Tools",
+  ],
+  "Backend": [
+    "Node.js", "Express.js", "REST APIs", "GraphQL", "MongoDB", "MySQL", "PostgreSQL", "Firebase", "Redis", "WebSockets",
+    "Microservices Architecture", "Serverless Architecture", "System Design", "API Design", "Caching Strategies",
+    "Load Balancing", "Message Queues", "Rate Limiting", "Background Jobs", "File Storage Systems", "Clean Architecture",
+    "Domain-Driven Design", "Event-Driven Architecture", "OAuth / JWT Authentication",
+  ],
+  "Mobile": ["Android Development", "iOS Development", "Flutter", "React Native"],
+  "AIML": [
+    "Machine Learning", "Deep Learning", "TensorFlow", "Scikit-learn", "Natural Language Processing", "Computer Vision",
+    "Generative AI", "Prompt Engineering", "MLOps", "LLM Integration", "AI Agents", "RAG", "Vector Databases", "LangChain",
+    "Prompt Optimization", "Fine-tuning LLMs", "Embeddings", "Model Evaluation", "AI Safety", "Multimodal AI",
+  ],
+  "Cloud/DevOps": [
+    "AWS", "Docker", "Kubernetes", "Microsoft Azure", "Google Cloud Platform", "CI/CD", "Jenkins", "Linux", "Edge Computing",
+    "Observability", "Infrastructure as Code", "Service Mesh", "Secrets Management", "Monitoring Tools",
+  ],
+  "Data Science": [
+    "Data Analysis", "Data Visualization", "Pandas", "NumPy", "Business Analytics", "Excel", "A/B Testing",
+    "Data Engineering", "ETL Pipelines", "Data Warehousing", "Streaming Systems", "Data Modeling",
+  ],
+  "CS Fundamentals": [
+    "Data Structures", "Algorithms", "Operating Systems", "Computer Networks", "Database Management Systems",
+    "Cybersecurity Fundamentals", "Web Security", "Encryption Basics", "Zero Trust Security",
+  ],
+  "Soft Skills": ["Communication", "Problem Solving", "Team Collaboration", "Product Thinking", "Agile / Scrum"],
+};
+
+// Aliases that are ordinary English words or too generic to count on their own.
+// A string value means the alias only counts when it appears with exactly that casing.
+const AMBIGUOUS_ALIASES = {
+  "go": "Go",
+  "node": "Node",
+  "rest": "REST",
+  "os": "OS",
+  "ml": "ML",
+  "express": "Express",
+  "c language": null,
+  "next": null,
+  "ts": null,
+  "py": null,
+  "edge": null,
+  "analytics": null,
+  "balancing": null,
+  "optimization": null,
+  "scripting": null,
+  "caching": null,
+  "containers": null,
+  "streaming": null,
+  "visualization": null,
+  "animations": null,
+  "monitoring": null,
+  "authentication": null,
+  "collaboration": null,
+  "styling": null,
+  "debug": null,
+  "sprint": null,
+  "resume": null,
+  "cv": null,
+  "vault": null,
+  "operating system": null,
+  "relational database": null,
+  "query language": null,
+  "mobile development": null,
+  "soft skills": null,
+  "data pipelines": null,
+  "database query": null,
+  "markup language": null,
+  "stylesheet": null,
+  "software architecture": null,
+  "performance metrics": null,
+  "model design": null,
+  "interview preparation": null,
+  "automated testing": null,
+  "api testing": null,
+  "machine learning framework": null,
+  "machine learning library": null,
+  "numerical computing": null,
+  "data manipulation": null,
+  "in-memory cache": null,
+  "version control platform": null,
+  "git repository": null,
+  "continuous integration server": null,
+};
+
+const MAX_NGRAM = 4;
+
+/**
+ * Category a canonical skill name belongs to
+ * @param {string} skill - Skill name
+ * @returns {string} One of the skillCategories keys, or "Tools/Other"
+ */
+export function getSkillCategory(skill) {
+  return Object.keys(skillCategories).find(category => skillCategories[category].includes(skill)) || "Tools/Other";
+}
+
+// alias -> base skill, first declaration wins for aliases shared between skills
+const aliasIndex = (() => {
+  const index = new Map();
+  Object.entries(skillAliases).forEach(([baseSkill, aliases]) => {
+    aliases.forEach(alias => {
+      if (!index.has(alias)) index.set(alias, baseSkill);
+    });
+  });
+  return index;
+})();
+
+/**
+ * Split into word tokens, keeping symbols that belong to skill names (c++, c#, node.js, ci/cd, a/b)
+ * @param {string} text
+ * @returns {string[]} Tokens in their original case
+ */
+export function tokenize(text) {
+  return text
+    .split(/[\s,;:()[\]{}<>"'!?|•·]+/)
+    .map(token => token.replace(/^[.\-/]+|[.\-/]+$/g, ""))
+    .filter(Boolean);
+}
+
+/**
+ * Base skill for an exact alias match, without the partial and fuzzy matching of normalizeSkill
+ * @param {string} name - Skill name
+ * @returns {string} Base skill key, or the trimmed name when it isn't a known alias
+ */
+export function resolveSkillAlias(name) {
+  return aliasIndex.get(name.toLowerCase().trim()) || name.trim();
+}
+
+/**
+ * Rule-based skill extraction that needs no network access
+ * Matches 1-4 word n-grams of the text against the skill alias table
+ * @param {string} text - Job description or resume text
+ * @returns {Object} { category: [skills] }, same shape as the LLM extractor
+ */
+export function extractSkillsOffline(text) {
+  if (!text || typeof text !== "string") return {};
+
+  const tokens = tokenize(text);
+  const found = new Set();
+
+  const match = (original) => {
+    const phrase = original.toLowerCase();
+    const baseSkill = aliasIndex.get(phrase);
+    if (!baseSkill) return null;
+    if (phrase in AMBIGUOUS_ALIASES && AMBIGUOUS_ALIASES[phrase] !== original) return null;
+    return baseSkill;
+  };
+
+  for (let i = 0; i < tokens.length; i++) {
+    let matched = false;
+    for (let n = Math.min(MAX_NGRAM, tokens.length - i); n >= 1; n--) {
+      const baseSkill = match(tokens.slice(i, i + n).join(" "));
+      if (!baseSkill) continue;
+      found.add(baseSkill);
+      i += n - 1;
+      matched = true;
+      break;
+    }
+
+    // "Docker/Kubernetes" style lists that aren't a skill name themselves
+    if (!matched && tokens[i].includes("/")) {
+      tokens[i].split("/").map(match).filter(Boolean).forEach(skill => found.add(skill));
+    }
+  }
+
+  const categorized = {};
+  found.forEach(skill => {
+    const category = getSkillCategory(skill);
+    categorized[category] = [...(categorized[category] || []), skill];
+  });
+  return categorized;
+}
+
+/**
+ * Whether the words of a phrase appear in a row among the tokens, so "Go" doesn't match inside "Google"
+ * Case-sensitive; lowercase both sides to compare case-insensitively
+ * @param {string[]} tokens - Output of tokenize
+ * @param {string} phrase
+ * @returns {boolean}
+ */
+export function containsPhrase(tokens, phrase) {
+  const words = tokenize(phrase);
+  if (words.length === 0) return false;
+  return tokens.some((_, i) => words.every((word, j) => tokens[i + j] === word));
+}
+
+/**
+ * Compare LLM-extracted skills against the source text
+ * A skill is verified when its name appears in the text as whole words or it maps to a skill the offline extractor found
+ * @param {Object} skills - { category: [skills] } from the LLM
+ * @param {string} text - The text the skills were extracted from
+ * @returns {string[]} Skill names with no support in the text (likely hallucinated)
+ */
+export function findUnsupportedSkills(skills, text) {
+  const tokens = tokenize(text.toLowerCase());
+  // "Docker/Kubernetes" style lists name each of their parts
+  const listParts = new Set(tokens.filter(token => token.includes("/")).flatMap(token => token.split("/")));
+  const offline = new Set(Object.values(extractSkillsOffline(text)).flat());
+
+  return Object.values(skills).flat().filter(skill => {
+    const name = String(skill).toLowerCase().trim();
+    if (containsPhrase(tokens, name) || listParts.has(name)) return false;
+    return !offline.has(normalizeSkill(skill));
+  });
+}
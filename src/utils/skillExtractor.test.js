@@ -0,0 +1,18 @@
+import { describe, it, expect } from "vitest";
+import { findUnsupportedSkills } from "./skillExtractor";
+
+describe("findUnsupportedSkills", () => {
+  it("accepts skills named in the text as whole words", () => {
+    const text = "We build services in C++ and Node.js, deploy with Docker/Kubernetes and run CI/CD on GitHub Actions.";
+    expect(findUnsupportedSkills({ Languages: ["C++", "Node.js"], DevOps: ["Kubernetes", "CI/CD", "GitHub Actions"] }, text)).toEqual([]);
+  });
+
+  it("flags skills that only appear inside other words", () => {
+    const text = "Join Google's ads team to improve our scalable JavaScript frontends.";
+    expect(findUnsupportedSkills({ Languages: ["Go", "Java", "Scala"] }, text)).toEqual(["Go", "Java", "Scala"]);
+  });
+
+  it("accepts skills the offline extractor found under an alias", () => {
+    expect(findUnsupportedSkills({ Web: ["React"] }, "Experience with ReactJS required.")).toEqual([]);
+  });
+});
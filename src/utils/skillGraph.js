@@ -0,0 +1,233 @@
+import { normalizeSkill, skillResources } from "./resources";
+import { dayKey } from "./dates";
+
+// Prerequisite edges between skillResources keys: each skill lists what should be learned before it
+export const skillPrerequisites = {
+  "TypeScript": ["JavaScript"],
+  "React": ["JavaScript", "HTML", "CSS"],
+  "Angular": ["TypeScript", "HTML", "CSS"],
+  "Vue.js": ["JavaScript", "HTML", "CSS"],
+  "Next.js": ["React", "SSR / SSG"],
+  "React Native": ["React"],
+  "State Management": ["React"],
+  "SSR / SSG": ["JavaScript", "HTML"],
+  "Web Animations": ["CSS", "JavaScript"],
+  "Web Accessibility": ["HTML", "CSS"],
+  "Web Performance Optimization": ["JavaScript", "Browser Internals"],
+  "Progressive Web Apps": ["JavaScript", "Web Performance Optimization"],
+  "Browser Internals": ["HTML", "JavaScript"],
+  "SEO Fundamentals": ["HTML"],
+  "Build Tools": ["JavaScript"],
+  "Monorepo": ["Build Tools", "Git"],
+  "Node.js": ["JavaScript"],
+  "Express.js": ["Node.js", "REST APIs"],
+  "REST APIs": ["JavaScript"],
+  "GraphQL": ["REST APIs"],
+  "API Design": ["REST APIs"],
+  "Postman": ["REST APIs"],
+  "OAuth / JWT Authentication": ["REST APIs", "Web Security"],
+  "Web Security": ["HTML", "REST APIs"],
+  "Rate Limiting": ["API Design", "Redis"],
+  "Background Jobs": ["Message Queues"],
+  "MySQL": ["SQL"],
+  "PostgreSQL": ["SQL"],
+  "Database Management Systems": ["SQL"],
+  "Data Modeling": ["SQL"],
+  "Redis": ["Database Management Systems"],
+  "Caching Strategies": ["Redis"],
+  "Message Queues": ["Operating Systems"],
+  "Load Balancing": ["Computer Networks"],
+  "System Design": ["Database Management Systems", "Caching Strategies", "Load Balancing", "Message Queues", "API Design"],
+  "System Design Interviews": ["System Design"],
+  "Microservices Architecture": ["System Design", "Docker"],
+  "Event-Driven Architecture": ["Message Queues", "Microservices Architecture"],
+  "Serverless Architecture": ["AWS"],
+  "Service Mesh": ["Kubernetes", "Microservices Architecture"],
+  "Clean Architecture": ["Data Structures"],
+  "Domain-Driven Design": ["Clean Architecture"],
+  "GitHub": ["Git"],
+  "Bash / Shell Scripting": ["Linux"],
+  "Docker": ["Linux"],
+  "Kubernetes": ["Docker"],
+  "CI/CD": ["Git", "Docker"],
+  "Jenkins": ["CI/CD"],
+  "Infrastructure as Code": ["AWS"],
+  "AWS": ["Linux", "Computer Networks"],
+  "Microsoft Azure": ["Linux", "Computer Networks"],
+  "Google Cloud Platform": ["Linux", "Computer Networks"],
+  "Observability": ["Monitoring Tools"],
+  "Monitoring Tools": ["Linux"],
+  "Secrets Management": ["CI/CD"],
+  "Zero Trust Security": ["Web Security", "Computer Networks"],
+  "Encryption Basics": ["Cybersecurity Fundamentals"],
+  "Cybersecurity Fundamentals": ["Computer Networks"],
+  "Edge Computing": ["Computer Networks"],
+  "Algorithms": ["Data Structures"],
+  "Code Optimization": ["Algorithms"],
+  "NumPy": ["Python"],
+  "Pandas": ["Python", "NumPy"],
+  "Data Analysis": ["Pandas", "SQL"],
+  "Data Visualization": ["Data Analysis"],
+  "Business Analytics": ["Data Analysis", "Excel"],
+  "A/B Testing": ["Data Analysis"],
+  "Machine Learning": ["Python", "NumPy", "Pandas"],
+  "Scikit-learn": ["Machine Learning"],
+  "Deep Learning": ["Machine Learning"],
+  "TensorFlow": ["Deep Learning"],
+  "Natural Language Processing": ["Deep Learning"],
+  "Computer Vision": ["Deep Learning"],
+  "Model Evaluation": ["Machine Learning"],
+  "MLOps": ["Machine Learning", "Docker", "CI/CD"],
+  "Generative AI": ["Deep Learning"],
+  "Embeddings": ["Natural Language Processing"],
+  "Vector Databases": ["Embeddings"],
+  "RAG": ["Vector Databases", "Prompt Engineering"],
+  "LangChain": ["Python", "Prompt Engineering"],
+  "AI Agents": ["LangChain"],
+  "Prompt Optimization": ["Prompt Engineering"],
+  "Multimodal AI": ["Generative AI"],
+  "AI Safety": ["Generative AI"],
+  "Data Engineering": ["SQL", "Python"],
+  "ETL Pipelines": ["Data Engineering"],
+  "Data Warehousing": ["Data Modeling", "ETL Pipelines"],
+  "Streaming Systems": ["Message Queues", "Data Engineering"],
+  "Android Development": ["Java"],
+  "Flutter": ["Data Structures"],
+  "Unit Testing": ["Testing Frameworks"],
+  "Integration Testing": ["Unit Testing"],
+  "Selenium Testing": ["Integration Testing"],
+};
+
+// Rough study-time estimates in hours; skills not listed use DEFAULT_HOURS
+export const DEFAULT_HOURS = 15;
+
+export const skillHours = {
+  "HTML": 8,
+  "CSS": 12,
+  "JavaScript": 30,
+  "TypeScript": 12,
+  "React": 25,
+  "Node.js": 20,
+  "Python": 25,
+  "Java": 30,
+  "C++": 35,
+  "SQL": 15,
+  "Git": 5,
+  "GitHub": 3,
+  "Linux": 12,
+  "Docker": 10,
+  "Kubernetes": 20,
+  "Data Structures": 40,
+  "Algorithms": 50,
+  "System Design": 40,
+  "System Design Interviews": 20,
+  "Machine Learning": 40,
+  "Deep Learning": 40,
+  "Postman": 3,
+  "Excel": 8,
+  "Communication": 6,
+  "Behavioral Interviews": 8,
+  "Resume Building": 4,
+};
+
+// Resolve a free-text skill to its graph key, or keep it as-is when it has no resources entry
+const toGraphKey = (skill) => {
+  if (skillResources[skill]) return skill;
+  const key = normalizeSkill(skill);
+  return skillResources[key] ? key : skill;
+};
+
+/**
+ * Estimated hours to learn a skill, honouring per-user overrides
+ * @param {string} skill - Graph key
+ * @param {Object} overrides - { skill: hours }
+ * @returns {number}
+ */
+export function getSkillHours(skill, overrides = {}) {
+  return overrides[skill] ?? skillHours[skill] ?? DEFAULT_HOURS;
+}
+
+/**
+ * Build a topologically sorted roadmap covering the target skills and all of their prerequisites
+ * Prerequisites always come before the skills that need them; ties keep the target order
+ * @param {string[]} targets - Skill names, normalized to graph keys
+ * @param {Array} trackedSkills - skillTracker records, used to mark learned nodes
+ * @param {Object} hourOverrides - { skill: hours }
+ * @returns {Array<{skill: string, prerequisites: string[], depth: number, hours: number, learned: boolean, isTarget: boolean}>}
+ */
+export function buildRoadmap(targets, trackedSkills = [], hourOverrides = {}) {
+  const targetKeys = [...new Set(targets.map(toGraphKey))];
+  const nodes = new Map();
+
+  const visit = (skill) => {
+    if (nodes.has(skill)) return;
+    const prerequisites = skillPrerequisites[skill] || [];
+    nodes.set(skill, prerequisites);
+    prerequisites.forEach(visit);
+  };
+  targetKeys.forEach(visit);
+
+  // Kahn's algorithm; depth is the longest prerequisite chain below a node
+  const indegree = new Map([...nodes.keys()].map(skill => [skill, nodes.get(skill).length]));
+  const dependents = new Map([...nodes.keys()].map(skill => [skill, []]));
+  nodes.forEach((prerequisites, skill) => prerequisites.forEach(p => dependents.get(p).push(skill)));
+
+  const depth = new Map();
+  const queue = [...nodes.keys()].filter(skill => indegree.get(skill) === 0);
+  const order = [];
+  while (queue.length > 0) {
+    const skill = queue.shift();
+    order.push(skill);
+    depth.set(skill, Math.max(0, ...nodes.get(skill).map(p => depth.get(p) + 1)));
+    dependents.get(skill).forEach(next => {
+      indegree.set(next, indegree.get(next) - 1);
+      if (indegree.get(next) === 0) queue.push(next);
+    });
+  }
+
+  const learnedNames = new Set(trackedSkills.filter(s => s.learned).map(s => toGraphKey(s.name)));
+  return order.map(skill => ({
+    skill,
+    prerequisites: nodes.get(skill),
+    depth: depth.get(skill),
+    hours: getSkillHours(skill, hourOverrides),
+    learned: learnedNames.has(skill),
+    isTarget: targetKeys.includes(skill),
+  }));
+}
+
+/**
+ * Schedule the unlearned roadmap nodes backwards from an interview date
+ * The last node finishes the day before the interview and each earlier node ends the day before the next one starts
+ * @param {Array} roadmap - Output of buildRoadmap
+ * @param {string} interviewDate - YYYY-MM-DD
+ * @param {number} hoursPerDay - Study hours available each day
+ * @returns {{items: Array<{skill: string, hours: number, start: string, end: string}>, totalHours: number, daysAvailable: number, requiredHoursPerDay: number, feasible: boolean}}
+ */
+export function planSchedule(roadmap, interviewDate, hoursPerDay) {
+  const remaining = roadmap.filter(node => !node.learned);
+  const totalHours = remaining.reduce((sum, node) => sum + node.hours, 0);
+  // Local day, parsed like interviewDate so both are midnight UTC of the same calendar day
+  const today = new Date(dayKey(new Date()));
+  const interview = new Date(interviewDate);
+  const daysAvailable = Math.max(0, Math.round((interview - today) / 86400000));
+
+  // Start and end are both study days; the cursor walks back from the day before the interview
+  const items = [];
+  const cursor = new Date(interview);
+  cursor.setUTCDate(cursor.getUTCDate() - 1);
+  [...remaining].reverse().forEach(node => {
+    const end = new Date(cursor);
+    cursor.setUTCDate(cursor.getUTCDate() - Math.ceil(node.hours / hoursPerDay) + 1);
+    items.unshift({ skill: node.skill, hours: node.hours, start: cursor.toISOString().slice(0, 10), end: end.toISOString().slice(0, 10) });
+    cursor.setUTCDate(cursor.getUTCDate() - 1);
+  });
+
+  return {
+    items,
+    totalHours,
+    daysAvailable,
+    requiredHoursPerDay: daysAvailable > 0 ? Math.round((totalHours / daysAvailable) * 10) / 10 : totalHours,
+    feasible: items.length === 0 || new Date(items[0].start) >= today,
+  };
+}
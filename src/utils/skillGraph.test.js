@@ -0,0 +1,47 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { planSchedule } from "./skillGraph";
+
+describe("planSchedule", () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date("2024-05-01T12:00:00Z"));
+  });
+  afterEach(() => vi.useRealTimers());
+
+  const roadmap = [
+    { skill: "JavaScript", hours: 20, learned: true },
+    { skill: "React", hours: 6, learned: false },
+    { skill: "Next.js", hours: 4, learned: false },
+  ];
+
+  it("ends the last node the day before the interview without overlapping days", () => {
+    const schedule = planSchedule(roadmap, "2024-05-10", 2);
+    expect(schedule.items).toEqual([
+      { skill: "React", hours: 6, start: "2024-05-05", end: "2024-05-07" },
+      { skill: "Next.js", hours: 4, start: "2024-05-08", end: "2024-05-09" },
+    ]);
+    expect(schedule).toMatchObject({ totalHours: 10, daysAvailable: 9, feasible: true });
+  });
+
+  it("is infeasible when the first node would have to start before today", () => {
+    const schedule = planSchedule(roadmap, "2024-05-04", 2);
+    expect(schedule.items[0].start).toBe("2024-04-29");
+    expect(schedule.feasible).toBe(false);
+    expect(schedule.requiredHoursPerDay).toBe(3.3);
+  });
+
+  it("counts days from the local date when it is already tomorrow east of UTC", () => {
+    const tz = process.env.TZ;
+    process.env.TZ = "Asia/Kolkata";
+    // 01:30 on May 2 in India, still May 1 in UTC
+    vi.setSystemTime(new Date("2024-05-01T20:00:00Z"));
+    try {
+      expect(planSchedule(roadmap, "2024-05-10", 2).daysAvailable).toBe(8);
+      const schedule = planSchedule(roadmap, "2024-05-06", 2);
+      expect(schedule.items[0].start).toBe("2024-05-01");
+      expect(schedule.feasible).toBe(false);
+    } finally {
+      process.env.TZ = tz;
+    }
+  });
+});
@@ -1,3 +1,28 @@
+import { doc, collection as firestoreCollection, getDocs, writeBatch, onSnapshot } from "firebase/firestore";
+import { db } from "../firebase";
+import { MIGRATIONS, migrateData, toSkillRecord, toCompanyRecord, toJobRecord } from "./schema";
+
+// Keys mirrored to the signed-in user's Firestore documents, one document per key
+export const SYNCED_KEYS = ["skillTracker", "companyTrackers", "savedJobs", "extractedSkills", "lastJD", "jobAnalyses", "resume", "resumeBuilder", "tailoredVersions", "roadmapPlan", "roleTemplates", "mockSessions", "practiceLog", "studySessions", "resourceProgress", "jdAnalyses"];
+
+const META_KEY = "syncMeta";
+const PENDING_KEY = "syncPending";
+const OWNER_KEY = "syncOwner";
+// Edits within this window (typing, dragging cards) go to Firestore as one write
+const FLUSH_DELAY_MS = 500;
+// Firestore rejects documents over 1 MiB and commits over 10 MiB; leave room for names and metadata
+const MAX_DOC_BYTES = 1000 * 1000;
+const MAX_BATCH_BYTES = 9 * 1000 * 1000;
+// Local backups (backup.js) are copies of the synced keys, so they're given up first when storage runs out
+const EXPENDABLE_KEYS = ["backups"];
+
+let currentUid = null;
+let unsubscribeRemote = null;
+let flushTimer = null;
+let syncStatus = "idle";
+const statusListeners = new Set();
+const dataListeners = new Set();
+
 // Get data from localStorage
 export function getData(key) {
   const data = localStorage.getItem(key);
@@ -6,10 +31,350 @@ export function getData(key) {
 
 // Save data to localStorage
 export function saveData(key, value) {
-  localStorage.setItem(key, JSON.stringify(value));
+  setItem(key, JSON.stringify(value));
+  if (SYNCED_KEYS.includes(key)) markDirty(key);
+  notifyData(key);
 }
 
 // Delete data from localStorage
 export function deleteData(key) {
   localStorage.removeItem(key);
-}
\ No newline at end of file
+  if (SYNCED_KEYS.includes(key)) markDirty(key);
+  notifyData(key);
+}
+
+/**
+ * Listen for changes to stored data, whether made in this tab, another tab or pulled from the cloud
+ * @param {(key: string|null) => void} listener - Called with the changed key, or null when storage was cleared
+ * @returns {() => void} Unsubscribe
+ */
+export function subscribeData(listener) {
+  dataListeners.add(listener);
+  return () => dataListeners.delete(listener);
+}
+
+function notifyData(key) {
+  dataListeners.forEach(listener => listener(key));
+}
+
+const isQuotaError = (error) => error instanceof DOMException
+  && (error.name === "QuotaExceededError" || error.name === "NS_ERROR_DOM_QUOTA_REACHED");
+
+// When storage is full, delete the expendable keys and try once more; writing an expendable key
+// itself still throws, so its owner can decide what to drop
+function setItem(key, raw) {
+  try {
+    localStorage.setItem(key, raw);
+  } catch (error) {
+    if (!isQuotaError(error) || EXPENDABLE_KEYS.includes(key)) throw error;
+    console.warn(`Storage is full; deleting ${EXPENDABLE_KEYS.join(", ")} to save ${key}`);
+    EXPENDABLE_KEYS.forEach(expendable => {
+      localStorage.removeItem(expendable);
+      notifyData(expendable);
+    });
+    localStorage.setItem(key, raw);
+  }
+}
+
+// Store a migrated value without marking it as a local edit, so its sync timestamp stays as it was
+function writeMigrated(key, value) {
+  if (value == null) localStorage.removeItem(key);
+  else localStorage.setItem(key, JSON.stringify(value));
+}
+
+// Run migrateData over the synced keys and store the ones it changed; returns those keys
+function migrateSynced(fromVersion) {
+  const before = Object.fromEntries(SYNCED_KEYS.map(key => [key, getData(key)]));
+  const after = migrateData(before, fromVersion);
+  const changed = SYNCED_KEYS.filter(key => JSON.stringify(after[key]) !== JSON.stringify(before[key]));
+  changed.forEach(key => writeMigrated(key, after[key]));
+  return changed;
+}
+
+// Other tabs write straight to localStorage; the browser tells this tab through a storage event
+window.addEventListener("storage", (e) => {
+  if (e.storageArea === localStorage) notifyData(e.key);
+});
+
+// Bumped by adding a migration to schema.js
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+const VERSION_KEY = "schemaVersion";
+
+// Version the local data was last migrated to; 0 for data written before versioning
+export function getSchemaVersion() {
+  return getData(VERSION_KEY) || 0;
+}
+
+// Migrate the synced keys up to SCHEMA_VERSION, writing only the keys that changed.
+// Migrated keys keep their sync timestamps, so a newer copy in the cloud still wins over them.
+// Runs before the app renders; returns the migrations that were applied.
+export function runMigrations() {
+  const from = getSchemaVersion();
+  if (from >= SCHEMA_VERSION) return [];
+
+  migrateSynced(from).forEach(notifyData);
+  localStorage.setItem(VERSION_KEY, JSON.stringify(SCHEMA_VERSION));
+  return MIGRATIONS.filter(m => m.version > from);
+}
+
+// Typed accessor for one key: reads return the current record shape, or a fresh empty value.
+// snapshot() returns the same object until the stored value changes, which is what React needs to
+// render from it; treat it as read-only and build updates from get().
+const collection = (key, empty, normalize = (value) => value) => {
+  const get = () => {
+    const value = getData(key);
+    return value === null ? empty() : normalize(value);
+  };
+  let cached = { raw: undefined, value: undefined };
+  return {
+    key,
+    get,
+    set: (value) => saveData(key, value),
+    snapshot: () => {
+      const raw = localStorage.getItem(key);
+      if (raw !== cached.raw) cached = { raw, value: get() };
+      return cached.value;
+    },
+  };
+};
+
+/**
+ * Accessors for the stored collections; each also has snapshot(), a memoized read-only get()
+ * @type {{
+ *   skills: {key: string, get: () => import("./schema").SkillRecord[], set: (skills: import("./schema").SkillRecord[]) => void},
+ *   companies: {key: string, get: () => Object<string, import("./schema").CompanyRecord>, set: (companies: Object) => void},
+ *   savedJobs: {key: string, get: () => import("./schema").JobRecord[], set: (jobs: import("./schema").JobRecord[]) => void},
+ *   extractedSkills: {key: string, get: () => Object<string, string[]>, set: (skills: Object) => void},
+ *   lastJD: {key: string, get: () => string, set: (text: string) => void},
+ *   resume: {key: string, get: () => Object|null, set: (resume: Object) => void},
+ *   resumeBuilder: {key: string, get: () => Object|null, set: (resume: Object) => void},
+ *   tailoredVersions: {key: string, get: () => Object<string, Object[]>, set: (versions: Object) => void},
+ *   roleTemplates: {key: string, get: () => Object[], set: (templates: Object[]) => void},
+ *   roadmapPlan: {key: string, get: () => Object, set: (plan: Object) => void},
+ *   jobAnalyses: {key: string, get: () => Object<string, Object>, set: (analyses: Object) => void},
+ *   mockSessions: {key: string, get: () => Object[], set: (sessions: Object[]) => void},
+ *   practiceLog: {key: string, get: () => Object[], set: (log: Object[]) => void},
+ *   studySessions: {key: string, get: () => Object[], set: (sessions: Object[]) => void},
+ *   resourceProgress: {key: string, get: () => Object<string, Object>, set: (progress: Object) => void},
+ *   jdAnalyses: {key: string, get: () => import("./schema").AnalysisRecord[], set: (analyses: import("./schema").AnalysisRecord[]) => void},
+ *   trash: {key: string, get: () => Object[], set: (entries: Object[]) => void},
+ *   activity: {key: string, get: () => Object[], set: (entries: Object[]) => void},
+ * }}
+ */
+export const collections = {
+  skills: collection("skillTracker", () => [], (skills) => skills.map(toSkillRecord)),
+  companies: collection("companyTrackers", () => ({}), (companies) => Object.fromEntries(
+    Object.entries(companies).map(([key, company]) => [key, toCompanyRecord(company, key)])
+  )),
+  savedJobs: collection("savedJobs", () => [], (jobs) => jobs.map(toJobRecord)),
+  extractedSkills: collection("extractedSkills", () => ({})),
+  lastJD: collection("lastJD", () => ""),
+  resume: collection("resume", () => null),
+  resumeBuilder: collection("resumeBuilder", () => null),
+  tailoredVersions: collection("tailoredVersions", () => ({})),
+  roleTemplates: collection("roleTemplates", () => []),
+  roadmapPlan: collection("roadmapPlan", () => ({})),
+  jobAnalyses: collection("jobAnalyses", () => ({})),
+  mockSessions: collection("mockSessions", () => []),
+  practiceLog: collection("practiceLog", () => []),
+  studySessions: collection("studySessions", () => []),
+  resourceProgress: collection("resourceProgress", () => ({})),
+  jdAnalyses: collection("jdAnalyses", () => []),
+  // Local to this device, see history.js
+  trash: collection("trash", () => []),
+  activity: collection("activityLog", () => []),
+};
+
+// Current sync status: "idle" | "syncing" | "synced" | "offline" | "error" | "tooLarge"
+export function getSyncStatus() {
+  return syncStatus;
+}
+
+// Subscribe to sync status changes, returns an unsubscribe function
+export function subscribeSyncStatus(listener) {
+  statusListeners.add(listener);
+  listener(syncStatus);
+  return () => statusListeners.delete(listener);
+}
+
+// Start mirroring synced keys to users/{uid}/data/{key}, resolving conflicts by last-modified time
+export async function startSync(uid) {
+  if (currentUid === uid) return;
+  stopSync();
+  claimLocalData(uid);
+  currentUid = uid;
+  setStatus("syncing");
+
+  try {
+    const stored = await getDocs(dataCollection(uid));
+    if (currentUid !== uid) return;
+    mergeRemote(toEntries(stored.docs));
+    await flushPending();
+
+    unsubscribeRemote = onSnapshot(
+      dataCollection(uid),
+      (snap) => {
+        if (!snap.metadata.hasPendingWrites) mergeRemote(toEntries(snap.docs));
+      },
+      (error) => {
+        console.error("Firestore sync listener error:", error);
+        setStatus("error");
+      }
+    );
+  } catch (error) {
+    console.error("Firestore sync failed:", error);
+    setStatus(navigator.onLine ? "error" : "offline");
+  }
+}
+
+// Stop mirroring, e.g. on sign out. Local data is left untouched until another account signs in.
+export function stopSync() {
+  if (unsubscribeRemote) unsubscribeRemote();
+  unsubscribeRemote = null;
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  currentUid = null;
+  setStatus("idle");
+}
+
+// Local data belongs to the account that last synced it. When a different account signs in on this
+// device it starts empty, so the previous user's data, settings and API keys are neither used by nor
+// pushed to the new account. Only keys describing the device itself survive.
+function claimLocalData(uid) {
+  const deviceKeys = [VERSION_KEY, OWNER_KEY];
+  const owner = getData(OWNER_KEY);
+  if (owner && owner !== uid) {
+    const userKeys = Array.from({ length: localStorage.length }, (_, i) => localStorage.key(i))
+      .filter(key => !deviceKeys.includes(key));
+    userKeys.forEach(key => localStorage.removeItem(key));
+    notifyData(null);
+  }
+  localStorage.setItem(OWNER_KEY, JSON.stringify(uid));
+}
+
+function dataCollection(uid) {
+  return firestoreCollection(db, "users", uid, "data");
+}
+
+const toEntries = (docs) => Object.fromEntries(docs.map(d => [d.id, d.data()]));
+
+// UTF-8 size of a stored entry's value
+const entryBytes = (entry) => (entry.value === null ? 0 : new Blob([entry.value]).size);
+
+function setStatus(status) {
+  syncStatus = status;
+  statusListeners.forEach(listener => listener(status));
+}
+
+function markDirty(key) {
+  const meta = getData(META_KEY) || {};
+  meta[key] = Date.now();
+  localStorage.setItem(META_KEY, JSON.stringify(meta));
+
+  const pending = new Set(getData(PENDING_KEY) || []);
+  pending.add(key);
+  localStorage.setItem(PENDING_KEY, JSON.stringify([...pending]));
+
+  if (currentUid) scheduleFlush();
+}
+
+// Pending keys stay recorded in localStorage, so whatever is dirtied before the timer fires goes out together
+function scheduleFlush() {
+  if (flushTimer) return;
+  flushTimer = setTimeout(() => {
+    flushTimer = null;
+    flushPending();
+  }, FLUSH_DELAY_MS);
+}
+
+// Remote entries are { value: JSON string, updatedAt: ms }; the newer side wins per key.
+// Another device may still be on an older schema, so pulled values are migrated like local ones;
+// migrations are idempotent, which makes running them all over current data a no-op.
+function mergeRemote(remote) {
+  const meta = getData(META_KEY) || {};
+  const pending = new Set(getData(PENDING_KEY) || []);
+  const changed = [];
+
+  SYNCED_KEYS.forEach(key => {
+    const entry = remote[key];
+    const localUpdatedAt = meta[key] || 0;
+
+    if (entry && entry.updatedAt > localUpdatedAt) {
+      if (entry.value === null) localStorage.removeItem(key);
+      else localStorage.setItem(key, entry.value);
+      meta[key] = entry.updatedAt;
+      pending.delete(key);
+      changed.push(key);
+    } else if (localUpdatedAt > (entry?.updatedAt || 0) || (!entry && localStorage.getItem(key) !== null)) {
+      pending.add(key);
+    }
+  });
+
+  if (changed.length > 0) {
+    migrateSynced(0).forEach(key => {
+      if (!changed.includes(key)) changed.push(key);
+    });
+  }
+
+  localStorage.setItem(META_KEY, JSON.stringify(meta));
+  localStorage.setItem(PENDING_KEY, JSON.stringify([...pending]));
+  changed.forEach(notifyData);
+  if (changed.length > 0) window.dispatchEvent(new CustomEvent("prephub:synced"));
+  if (pending.size === 0) setStatus("synced");
+}
+
+async function flushPending() {
+  const uid = currentUid;
+  const pending = getData(PENDING_KEY) || [];
+  if (!uid || pending.length === 0) {
+    if (uid) setStatus("synced");
+    return;
+  }
+  if (!navigator.onLine) {
+    setStatus("offline");
+    return;
+  }
+
+  const meta = getData(META_KEY) || {};
+  const payload = {};
+  const oversized = [];
+  pending.forEach(key => {
+    const entry = { value: localStorage.getItem(key), updatedAt: meta[key] || Date.now() };
+    if (entryBytes(entry) > MAX_DOC_BYTES) oversized.push(key);
+    else payload[key] = entry;
+  });
+  // Oversized keys stay pending and go out with the next edit that brings them under the limit
+  if (oversized.length > 0) console.warn(`Not syncing ${oversized.join(", ")}: over Firestore's 1 MiB document limit`);
+
+  // Pending keys go out together, split only when they wouldn't fit in one commit
+  const batches = [];
+  let batchBytes = Infinity;
+  Object.entries(payload).forEach(([key, entry]) => {
+    if (batchBytes + entryBytes(entry) > MAX_BATCH_BYTES) {
+      batches.push(writeBatch(db));
+      batchBytes = 0;
+    }
+    batches[batches.length - 1].set(doc(dataCollection(uid), key), entry);
+    batchBytes += entryBytes(entry);
+  });
+
+  setStatus("syncing");
+  try {
+    await Promise.all(batches.map(batch => batch.commit()));
+    const stillPending = (getData(PENDING_KEY) || []).filter(key =>
+      !(key in payload) || (getData(META_KEY) || {})[key] !== payload[key].updatedAt
+    );
+    localStorage.setItem(PENDING_KEY, JSON.stringify(stillPending));
+    setStatus(oversized.length > 0 ? "tooLarge" : stillPending.length === 0 ? "synced" : "syncing");
+  } catch (error) {
+    console.error("Firestore write failed:", error);
+    setStatus(navigator.onLine ? "error" : "offline");
+  }
+}
+
+window.addEventListener("online", () => {
+  if (currentUid) flushPending();
+});
+window.addEventListener("offline", () => {
+  if (currentUid) setStatus("offline");
+});
@@ -0,0 +1,179 @@
+import { getData, saveData, deleteData, collections } from "./storage";
+import { normalizeSkill, skillResources } from "./resources";
+import { getSkillCategory } from "./skillExtractor";
+import { dayKey } from "./dates";
+
+export const FOCUS_MINUTES = 25;
+export const BREAK_MINUTES = 5;
+
+// Sessions shorter than this when stopped early aren't worth logging
+const MIN_LOGGED_MINUTES = 1;
+
+// The running timer is device-local, so it lives outside SYNCED_KEYS
+const TIMER_KEY = "activeTimer";
+const TIMER_EVENT = "prephub:timer";
+
+const notify = () => window.dispatchEvent(new CustomEvent(TIMER_EVENT));
+
+/**
+ * Subscribe to timer starts, pauses and stops from anywhere in the app
+ * @param {Function} callback - Called with no arguments on every change
+ * @returns {Function} Unsubscribe
+ */
+export function onTimerChange(callback) {
+  window.addEventListener(TIMER_EVENT, callback);
+  return () => window.removeEventListener(TIMER_EVENT, callback);
+}
+
+/**
+ * The running or paused timer, if any
+ * @returns {{skill: string, resource: Object|null, phase: "focus"|"break", startedAt: number, endsAt: number, pausedRemaining: number|null}|null}
+ */
+export function getActiveTimer() {
+  return getData(TIMER_KEY);
+}
+
+const setActiveTimer = (timer) => {
+  if (timer) saveData(TIMER_KEY, timer);
+  else deleteData(TIMER_KEY);
+  notify();
+};
+
+/**
+ * Remaining milliseconds on a timer, frozen while paused
+ * @param {Object} timer - Active timer
+ * @param {number} now - Current time in ms
+ * @returns {number}
+ */
+export function getRemaining(timer, now) {
+  return timer.pausedRemaining ?? Math.max(0, timer.endsAt - now);
+}
+
+/**
+ * Start a focus session, replacing any running timer (whose elapsed focus time is logged first)
+ * @param {string} skill - Skill being studied
+ * @param {{title: string, url: string}} [resource] - Resource used, if started from one
+ */
+export function startStudyTimer(skill, resource = null) {
+  stopStudyTimer();
+  const now = Date.now();
+  setActiveTimer({ skill, resource, phase: "focus", startedAt: now, endsAt: now + FOCUS_MINUTES * 60000, pausedRemaining: null });
+}
+
+/**
+ * Pause or resume the active timer
+ */
+export function togglePauseTimer() {
+  const timer = getActiveTimer();
+  if (!timer) return;
+  const now = Date.now();
+  setActiveTimer(timer.pausedRemaining === null
+    ? { ...timer, pausedRemaining: getRemaining(timer, now) }
+    : { ...timer, endsAt: now + timer.pausedRemaining, pausedRemaining: null });
+}
+
+/**
+ * Stop the active timer, logging the focus time spent so far
+ */
+export function stopStudyTimer() {
+  const timer = getActiveTimer();
+  if (!timer) return;
+  if (timer.phase === "focus") {
+    const minutes = Math.floor((FOCUS_MINUTES * 60000 - getRemaining(timer, Date.now())) / 60000);
+    if (minutes >= MIN_LOGGED_MINUTES) logStudySession(timer, minutes);
+  }
+  setActiveTimer(null);
+}
+
+/**
+ * Move a timer whose phase has run out to its next phase
+ * A finished focus phase is logged in full and followed by a break; a finished break clears the timer
+ * @param {number} now - Current time in ms
+ * @returns {boolean} Whether the phase changed
+ */
+export function advanceTimer(now) {
+  const timer = getActiveTimer();
+  if (!timer || timer.pausedRemaining !== null || now < timer.endsAt) return false;
+  if (timer.phase === "focus") {
+    logStudySession(timer, FOCUS_MINUTES);
+    setActiveTimer({ ...timer, phase: "break", endsAt: timer.endsAt + BREAK_MINUTES * 60000 });
+  } else {
+    setActiveTimer(null);
+  }
+  return true;
+}
+
+/**
+ * Logged study sessions, newest first
+ * @returns {Array<{id: string, skill: string, resource: Object|null, minutes: number, startedAt: string}>}
+ */
+export function getStudySessions() {
+  return collections.studySessions.get();
+}
+
+function logStudySession(timer, minutes) {
+  const session = {
+    id: timer.startedAt.toString(),
+    skill: timer.skill,
+    resource: timer.resource,
+    minutes,
+    startedAt: new Date(timer.startedAt).toISOString(),
+  };
+  collections.studySessions.set([session, ...getStudySessions().filter(s => s.id !== session.id)]);
+}
+
+// Tracked skill names may be aliases, so categorize by their canonical name
+const categoryOf = (skill) => getSkillCategory(skillResources[skill] ? skill : normalizeSkill(skill));
+
+const sumBy = (sessions, keyOf) => {
+  const totals = {};
+  sessions.forEach(s => {
+    const key = keyOf(s);
+    totals[key] = (totals[key] || 0) + s.minutes;
+  });
+  return Object.entries(totals).map(([name, minutes]) => ({ name, minutes })).sort((a, b) => b.minutes - a.minutes);
+};
+
+/**
+ * Study time totals over the last week or month
+ * @param {Array} sessions - Study sessions
+ * @param {"week"|"month"} range - Last 7 or 30 days including today
+ * @returns {{totalMinutes: number, sessionCount: number, bySkill: Array<{name: string, minutes: number}>, byCategory: Array<{name: string, minutes: number}>}}
+ */
+export function getStudyAnalytics(sessions, range = "week") {
+  const since = new Date();
+  since.setHours(0, 0, 0, 0);
+  since.setDate(since.getDate() - (range === "month" ? 29 : 6));
+  const inRange = sessions.filter(s => new Date(s.startedAt) >= since);
+  return {
+    totalMinutes: inRange.reduce((sum, s) => sum + s.minutes, 0),
+    sessionCount: inRange.length,
+    bySkill: sumBy(inRange, s => s.skill),
+    byCategory: sumBy(inRange, s => categoryOf(s.skill)),
+  };
+}
+
+/**
+ * Minutes studied per day as Monday-first weeks ending with the current week
+ * @param {Array} sessions - Study sessions
+ * @param {number} weeks - Number of weeks to cover
+ * @returns {Array<Array<{date: string, minutes: number, future: boolean}>>}
+ */
+export function getStudyHeatmap(sessions, weeks = 16) {
+  const minutesByDay = {};
+  sessions.forEach(s => {
+    const key = dayKey(s.startedAt);
+    minutesByDay[key] = (minutesByDay[key] || 0) + s.minutes;
+  });
+
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const start = new Date(today);
+  start.setDate(start.getDate() - ((today.getDay() + 6) % 7) - (weeks - 1) * 7);
+
+  return Array.from({ length: weeks }, (_, w) => Array.from({ length: 7 }, (_, d) => {
+    const date = new Date(start.getFullYear(), start.getMonth(), start.getDate() + w * 7 + d);
+    const key = dayKey(date);
+    return { date: key, minutes: minutesByDay[key] || 0, future: date > today };
+  }));
+}